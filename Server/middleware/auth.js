@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -14,14 +15,23 @@ export const protect = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens are tied to a server-side session so logging out revokes them immediately.
+    // Old session-less tokens are no longer accepted.
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
     
     if (!req.user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    req.sessionId = session._id;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Not authorized, token failed' });
   }
-};
\ No newline at end of file
+};
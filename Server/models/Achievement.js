@@ -6,6 +6,10 @@ const achievementSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Catalog id (see services/achievements.js); one unlock per user and key
+  key: {
+    type: String
+  },
   name: {
     type: String,
     required: true
@@ -23,4 +27,9 @@ const achievementSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+achievementSchema.index(
+  { user: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $exists: true } } }
+);
+
 export default mongoose.model('Achievement', achievementSchema);
\ No newline at end of file
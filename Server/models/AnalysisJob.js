@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const analysisJobSchema = new mongoose.Schema({
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'done', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: true });
+
+analysisJobSchema.index({ status: 1, runAt: 1 });
+
+export default mongoose.model('AnalysisJob', analysisJobSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A file attached to a journal. The bytes live in blob storage (services/storage)
+// under storageKey; images also get a small WebP thumbnail.
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'audio'],
+    required: true
+  },
+  filename: {
+    type: String,
+    default: ''
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  // Bytes of the original plus its thumbnail; counts against the user's quota
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: ''
+  },
+  width: Number,
+  height: Number
+}, { timestamps: true });
+
+attachmentSchema.index({ journal: 1, createdAt: 1 });
+attachmentSchema.index({ user: 1 });
+
+export default mongoose.model('Attachment', attachmentSchema);
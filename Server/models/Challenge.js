@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One document per period, shared by every user
+const challengeSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  // 'YYYY-MM-DD': the day for daily challenges, the Monday for weekly ones
+  key: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  points: {
+    type: Number,
+    default: 10
+  },
+  criteria: {
+    minWords: { type: Number, default: 0 },
+    requiredTag: { type: String, default: '' },
+    reflectOnYesterday: { type: Boolean, default: false }
+  }
+}, { timestamps: true });
+
+challengeSchema.index({ period: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('Challenge', challengeSchema);
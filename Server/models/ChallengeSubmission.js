@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const challengeSubmissionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    required: true
+  },
+  points: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+challengeSubmissionSchema.index({ user: 1, challenge: 1 }, { unique: true });
+
+export default mongoose.model('ChallengeSubmission', challengeSubmissionSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Autosaved, unsubmitted editor state. One per user and entry; `journal` is
+// null for a new entry. Removed when the entry is saved, or after a month.
+const draftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    default: null
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  mood: {
+    type: String,
+    default: ''
+  },
+  moodIntensity: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  emotions: [{
+    type: String
+  }],
+  metrics: {
+    type: Map,
+    of: Number
+  },
+  // Guided template answers, as on journals
+  template: {
+    type: String,
+    default: ''
+  },
+  sections: [new mongoose.Schema({
+    key: String,
+    label: String,
+    value: String
+  }, { _id: false })],
+  // Title, content and section values are ciphertext, as for encrypted journals
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 30 * 86400000)
+  }
+}, { timestamps: true });
+
+draftSchema.index({ user: 1, journal: 1 }, { unique: true });
+draftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Draft', draftSchema);
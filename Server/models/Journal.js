@@ -24,14 +24,92 @@ const journalSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // 1 (barely) to 5 (intensely); unset when the writer didn't rate it
+  moodIntensity: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  // Secondary emotions alongside the primary mood, lowercase
+  emotions: [{
+    type: String
+  }],
+  // Numbers by metric key (services/metrics.js): energy, sleep, stress or the user's own
+  metrics: {
+    type: Map,
+    of: Number
+  },
+  // 'user' once the writer picks a mood; the AI then only suggests via aiMood
+  moodSource: {
+    type: String,
+    enum: ['user', 'ai'],
+    default: 'ai'
+  },
   aiMood: {
     type: String,
     default: ''
   },
+  aiMoodDismissed: {
+    type: Boolean,
+    default: false
+  },
+  // End-to-end encrypted: title, content and aiSummary hold ciphertext only the
+  // browser can open. Mood, tags and dates stay readable so stats keep working.
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  // Entries saved before the background queue existed were analyzed inline.
+  // 'skipped': encrypted entry whose owner hasn't asked for analysis.
+  analysisStatus: {
+    type: String,
+    enum: ['pending', 'done', 'failed', 'skipped'],
+    default: 'done'
+  },
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  // Written from a guided template (services/templates.js): its id, and the answers
+  // to its fields. content holds the same text as markdown; for encrypted entries
+  // each value is ciphertext too.
+  template: {
+    type: String,
+    default: ''
+  },
+  sections: [new mongoose.Schema({
+    key: String,
+    label: String,
+    value: String
+  }, { _id: false })],
+  // Tags the AI proposed that the user hasn't accepted or dismissed yet
+  aiTags: [{
+    type: String
+  }],
+  // Semantic search vector (services/embeddings). Left out of queries unless
+  // selected with +embedding; encrypted entries never get one.
+  embedding: {
+    type: new mongoose.Schema({
+      vector: [Number],
+      model: String
+    }, { _id: false }),
+    select: false
+  }
 }, { timestamps: true });
 
+// The embedding describes the text it was computed from; drop it when that changes
+// so the indexer picks the entry up again
+journalSchema.pre('save', function(next) {
+  if (!this.isNew && ['title', 'content', 'tags', 'encrypted'].some((path) => this.isModified(path))) {
+    this.embedding = undefined;
+  }
+  next();
+});
+
+journalSchema.index({ user: 1, createdAt: -1, _id: -1 });
+journalSchema.index(
+  { title: 'text', content: 'text', tags: 'text', aiSummary: 'text' },
+  { name: 'journal_text', weights: { title: 10, tags: 5, aiSummary: 3, content: 1 } }
+);
+
 export default mongoose.model('Journal', journalSchema);
\ No newline at end of file
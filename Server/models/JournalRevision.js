@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// The state of a journal just before an edit or restore replaced it
+const journalRevisionSchema = new mongoose.Schema({
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String
+  }],
+  mood: {
+    type: String,
+    default: 'neutral'
+  },
+  moodSource: {
+    type: String,
+    default: 'ai'
+  },
+  moodIntensity: {
+    type: Number
+  },
+  emotions: [{
+    type: String
+  }],
+  metrics: {
+    type: Map,
+    of: Number
+  },
+  aiSummary: {
+    type: String,
+    default: ''
+  },
+  aiMood: {
+    type: String,
+    default: ''
+  },
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  template: {
+    type: String,
+    default: ''
+  },
+  sections: [new mongoose.Schema({
+    key: String,
+    label: String,
+    value: String
+  }, { _id: false })],
+  // When the replaced version was last saved
+  editedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+journalRevisionSchema.index({ journal: 1, createdAt: -1 });
+
+export default mongoose.model('JournalRevision', journalRevisionSchema);
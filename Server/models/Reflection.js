@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// A week or month in review. Counts and the trend direction are computed from the
+// entries; the prose comes from the AI provider (or the local analyzer).
+const reflectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['week', 'month'],
+    required: true
+  },
+  // Calendar days (YYYY-MM-DD) in the user's timezone, inclusive
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  // Generated on demand before the period was over; the scheduler redoes it afterwards
+  partial: {
+    type: Boolean,
+    default: false
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  // Entries whose text was left out because they're end-to-end encrypted
+  sealedCount: {
+    type: Number,
+    default: 0
+  },
+  overview: {
+    type: String,
+    default: ''
+  },
+  themes: [{
+    _id: false,
+    title: String,
+    detail: String
+  }],
+  moodCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  moodTrend: {
+    direction: {
+      type: String,
+      enum: ['improving', 'declining', 'steady', 'mixed', 'none'],
+      default: 'none'
+    },
+    summary: {
+      type: String,
+      default: ''
+    },
+    // Dominant mood per day that has entries
+    days: [{
+      _id: false,
+      date: String,
+      mood: String,
+      count: Number
+    }]
+  },
+  notableDays: [{
+    _id: false,
+    date: String,
+    reason: String,
+    journal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Journal'
+    }
+  }],
+  suggestions: [{
+    type: String
+  }],
+  provider: {
+    type: String,
+    default: ''
+  },
+  // Written by the local analyzer after the AI provider failed
+  isFallback: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+reflectionSchema.index({ user: 1, period: 1, from: 1 }, { unique: true });
+reflectionSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('Reflection', reflectionSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One per signed-in device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced; seeing it again means a stolen token was replayed
+  previousTokenHash: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A user-defined guided journaling template; built-ins live in services/templates.js
+const templateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // key identifies the field in entries' sections; prompt is the hint shown while writing
+  fields: [new mongoose.Schema({
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    prompt: { type: String, default: '' }
+  }, { _id: false })]
+}, { timestamps: true });
+
+templateSchema.index({ user: 1, name: 1 });
+
+export default mongoose.model('Template', templateSchema);
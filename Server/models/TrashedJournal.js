@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// A deleted journal, kept whole so it can be put back under the same id
+const trashedJournalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Typed copy of journal._id; the Mixed snapshot isn't cast in queries
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  journal: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Purged (with its revisions) after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+trashedJournalSchema.index({ user: 1, deletedAt: -1 });
+trashedJournalSchema.index({ journalId: 1 }, { unique: true });
+trashedJournalSchema.index({ expiresAt: 1 });
+
+export default mongoose.model('TrashedJournal', trashedJournalSchema);
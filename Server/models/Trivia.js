@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Daily trivia is generated once per calendar date and locale, then shared by all users
+const triviaSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    required: true
+  },
+  events: [{
+    type: String
+  }],
+  provider: {
+    type: String,
+    default: ''
+  },
+  // Generated by the local analyzer after the AI provider failed; retried later
+  isFallback: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+triviaSchema.index({ date: 1, locale: 1 }, { unique: true });
+
+export default mongoose.model('Trivia', triviaSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { DEFAULT_TIMEZONE, isValidTimezone } from '../services/dates.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -21,10 +22,53 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   theme: {
     type: String,
     enum: ['light', 'dark'],
     default: 'light'
+  },
+  // Earned by completing writing challenges
+  points: {
+    type: Number,
+    default: 0
+  },
+  // Attachment bytes stored, reserved with $inc before upload (services/attachments.js)
+  attachmentBytes: {
+    type: Number,
+    default: 0
+  },
+  // IANA name; decides where one day ends and the next begins for streaks and charts
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  // Metrics the user tracks on top of the built-in ones (services/metrics.js)
+  customMetrics: [new mongoose.Schema({
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    min: { type: Number, default: 1 },
+    max: { type: Number, default: 5 },
+    unit: { type: String, default: '' }
+  }, { _id: false })],
+  // Key derivation parameters for end-to-end encrypted entries; unset until
+  // the user picks a passphrase. The passphrase itself never reaches the server.
+  encryption: {
+    salt: String,
+    iterations: Number,
+    verifier: String,
+    createdAt: Date
   }
 }, { timestamps: true });
 
@@ -0,0 +1,17 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { achievementCatalog } from '../services/achievements.js';
+
+const router = express.Router();
+
+// @route   GET /api/achievements
+// @desc    Full badge catalog with locked/unlocked state and progress
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json(await achievementCatalog(req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
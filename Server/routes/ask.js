@@ -0,0 +1,44 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { AskError, askJournal, searchEntries } from '../services/ask.js';
+
+const router = express.Router();
+
+const EXCERPT_LENGTH = 200;
+
+const sendAskError = (res, error) => {
+  if (error instanceof AskError) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+// @route   GET /api/ask/search?q=&limit=
+// @desc    Entries closest in meaning to q, with their similarity score
+router.get('/search', protect, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+    const matches = await searchEntries(req.user, req.query.q, { limit });
+    res.json(matches.map(({ journal, score }) => ({
+      _id: journal._id,
+      title: journal.title,
+      mood: journal.mood,
+      tags: journal.tags,
+      createdAt: journal.createdAt,
+      excerpt: journal.content.slice(0, EXCERPT_LENGTH),
+      score
+    })));
+  } catch (error) {
+    sendAskError(res, error);
+  }
+});
+
+// @route   POST /api/ask
+// @desc    Answer { question } from the user's entries; citations map [n] markers to entry IDs
+router.post('/', protect, async (req, res) => {
+  try {
+    res.json(await askJournal(req.user, req.body.question));
+  } catch (error) {
+    sendAskError(res, error);
+  }
+});
+
+export default router;
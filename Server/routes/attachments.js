@@ -0,0 +1,75 @@
+import express from 'express';
+import Attachment from '../models/Attachment.js';
+import { protect } from '../middleware/auth.js';
+import { attachmentUsage, openAttachment, removeAttachments } from '../services/attachments.js';
+
+const router = express.Router();
+
+// Uploading and listing live under /api/journals/:id/attachments
+
+// @route   GET /api/attachments/usage
+// @desc    Bytes used against the user's attachment quota
+router.get('/usage', protect, async (req, res) => {
+  try {
+    res.json(await attachmentUsage(req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const sendFile = async (req, res, { thumbnail }) => {
+  const attachment = await Attachment.findById(req.params.id);
+  if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+  if (attachment.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+  let stream;
+  try {
+    stream = await openAttachment(attachment, { thumbnail });
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.status(404).json({ message: 'Attachment file is missing' });
+    throw error;
+  }
+  stream.on('error', (error) => {
+    if (res.headersSent) return res.destroy(error);
+    res.status(404).json({ message: 'Attachment file is missing' });
+  });
+  res.type(thumbnail && attachment.thumbnailKey ? 'image/webp' : attachment.contentType);
+  res.set('Cache-Control', 'private, max-age=86400');
+  stream.pipe(res);
+};
+
+// @route   GET /api/attachments/:id
+// @desc    The original file
+router.get('/:id', protect, async (req, res) => {
+  try {
+    await sendFile(req, res, { thumbnail: false });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/attachments/:id/thumbnail
+// @desc    WebP thumbnail for images (falls back to the original)
+router.get('/:id/thumbnail', protect, async (req, res) => {
+  try {
+    await sendFile(req, res, { thumbnail: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/attachments/:id
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+    if (attachment.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    await removeAttachments({ _id: attachment._id });
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
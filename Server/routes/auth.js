@@ -1,20 +1,43 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { protect } from '../middleware/auth.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from '../services/dates.js';
+import {
+  createSession,
+  listSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession,
+  rotateSession
+} from '../services/sessions.js';
+import {
+  consumePasswordResetToken,
+  consumeVerificationToken,
+  createPasswordResetToken,
+  createVerificationToken
+} from '../services/accountTokens.js';
+import { EncryptionError, setEncryptionKey } from '../services/encryption.js';
+import { sendMail } from '../services/mail/index.js';
+import { passwordResetEmail, verificationEmail } from '../services/mail/templates.js';
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+const MIN_PASSWORD_LENGTH = User.schema.path('password').options.minlength;
+
+// Mail problems shouldn't block sign-up; the user can ask for another link
+const sendVerificationEmail = async (user) => {
+  try {
+    await sendMail(verificationEmail(user, createVerificationToken(user)));
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
 };
 
 // @route   POST /api/auth/register
 // @desc    Register new user
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, timezone } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ $or: [{ email }, { username }] });
@@ -23,14 +46,23 @@ router.post('/register', async (req, res) => {
     }
 
     // Create user
-    const user = await User.create({ username, email, password });
+    const user = await User.create({
+      username,
+      email,
+      password,
+      timezone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE
+    });
+    await sendVerificationEmail(user);
 
     res.status(201).json({
       _id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       theme: user.theme,
-      token: generateToken(user._id)
+      timezone: user.timezone,
+      points: user.points,
+      ...await createSession(user, req)
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -59,14 +91,184 @@ router.post('/login', async (req, res) => {
       _id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       theme: user.theme,
-      token: generateToken(user._id)
+      timezone: user.timezone,
+      points: user.points,
+      ...await createSession(user, req)
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    res.json(tokens);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List signed-in devices
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.json(sessions.map((s) => ({
+      ...s.toJSON(),
+      current: s._id.toString() === req.sessionId.toString()
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out everywhere, including this device
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+    res.json({ message: 'All sessions revoked', revoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const result = await revokeSession(req.user._id, req.params.id);
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. Always answers the same way so it can't be used to probe for accounts.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const user = email && await User.findOne({ email });
+    // Not awaited: a slow or failing mail server would otherwise reveal the account exists
+    if (user) {
+      sendMail(passwordResetEmail(user, createPasswordResetToken(user)))
+        .catch((error) => console.error('Failed to send password reset email:', error));
+    }
+    res.json({ message: 'If that email is registered, a reset link is on its way' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out every device
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await consumePasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Receiving the email proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ message: 'Password updated, please sign in' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password; other devices are signed out
+router.put('/password', protect, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (typeof currentPassword !== 'string' || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeOtherSessions(user._id, req.sessionId);
+
+    res.json({ message: 'Password updated' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await consumeVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a fresh verification link
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    await sendMail(verificationEmail(req.user, createVerificationToken(req.user)));
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 router.get('/me', protect, async (req, res) => {
@@ -86,4 +288,32 @@ router.put('/theme', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/timezone
+// @desc    Update user timezone (IANA name, e.g. "Asia/Kolkata")
+router.put('/timezone', protect, async (req, res) => {
+  try {
+    const { timezone } = req.body;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+    req.user.timezone = timezone;
+    await req.user.save();
+    res.json({ timezone: req.user.timezone });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/auth/encryption
+// @desc    Save key derivation parameters for end-to-end encryption: { salt, iterations, verifier }
+router.put('/encryption', protect, async (req, res) => {
+  try {
+    const encryption = await setEncryptionKey(req.user, req.body);
+    res.json({ encryption });
+  } catch (error) {
+    if (error instanceof EncryptionError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { ChallengeError, currentChallenges, submitChallenge } from '../services/challenges.js';
+
+const router = express.Router();
+
+const sendChallengeError = (res, error) => {
+  if (error instanceof ChallengeError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+// @route   GET /api/challenges/current
+// @desc    Today's and this week's challenge with the user's completion state
+router.get('/current', protect, async (req, res) => {
+  try {
+    res.json(await currentChallenges(req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/challenges/:id/submit
+// @desc    Link a journal entry as the submission; awards points if the criteria are met
+router.post('/:id/submit', protect, async (req, res) => {
+  try {
+    const result = await submitChallenge(req.user, req.params.id, req.body.journalId);
+    res.json({ success: true, message: 'Challenge completed!', ...result });
+  } catch (error) {
+    sendChallengeError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Draft from '../models/Draft.js';
+import Journal from '../models/Journal.js';
+import { protect } from '../middleware/auth.js';
+import { hasEncryptionKey, unsealedField } from '../services/encryption.js';
+import { normalizeTags } from '../services/tags.js';
+import { TemplateError, normalizeSections } from '../services/templates.js';
+import { MetricError, metricDefinitions, normalizeEmotions, normalizeIntensity, normalizeMetrics } from '../services/metrics.js';
+
+const router = express.Router();
+
+const DRAFT_TTL_MS = 30 * 86400000;
+
+// @route   GET /api/drafts
+// @desc    The user's unfinished drafts, newest first
+router.get('/', protect, async (req, res) => {
+  try {
+    const drafts = await Draft.find({ user: req.user._id }).sort({ updatedAt: -1 });
+    res.json(drafts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/drafts
+// @desc    Autosave: create or replace the draft for { journal } (null for a new entry)
+router.put('/', protect, async (req, res) => {
+  try {
+    const { title = '', content = '', tags = [], mood = '', template = '' } = req.body;
+    const encrypted = req.body.encrypted === true;
+    const journalId = req.body.journal || null;
+
+    if (journalId) {
+      if (!mongoose.isValidObjectId(journalId)) return res.status(400).json({ message: 'Invalid journal id' });
+      const journal = await Journal.findById(journalId).select('user');
+      if (!journal) return res.status(404).json({ message: 'Journal not found' });
+      if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+    }
+    if (encrypted) {
+      if (!hasEncryptionKey(req.user)) return res.status(400).json({ message: 'Set up an encryption passphrase first' });
+      const field = unsealedField({ title, content });
+      if (field) return res.status(400).json({ message: `${field} must be encrypted` });
+    }
+    const sections = normalizeSections(req.body.sections, { encrypted });
+    const moodIntensity = normalizeIntensity(req.body.moodIntensity) ?? null;
+    const metrics = normalizeMetrics(req.body.metrics, metricDefinitions(req.user));
+
+    const draft = await Draft.findOneAndUpdate(
+      { user: req.user._id, journal: journalId },
+      {
+        title,
+        content,
+        tags: normalizeTags(tags),
+        mood,
+        moodIntensity,
+        emotions: normalizeEmotions(req.body.emotions),
+        metrics,
+        template: String(template),
+        sections,
+        encrypted,
+        expiresAt: new Date(Date.now() + DRAFT_TTL_MS)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    res.json(draft);
+  } catch (error) {
+    if (error instanceof TemplateError || error instanceof MetricError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/drafts/:id
+// @desc    Discard a draft
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.id);
+    if (!draft) return res.status(404).json({ message: 'Draft not found' });
+    if (draft.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    await draft.deleteOne();
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -1,193 +1,273 @@
 import express from 'express';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import multer from 'multer';
 import Journal from '../models/Journal.js';
 import { protect } from '../middleware/auth.js';
+import AnalysisJob from '../models/AnalysisJob.js';
+import Attachment from '../models/Attachment.js';
+import Draft from '../models/Draft.js';
+import JournalRevision from '../models/JournalRevision.js';
+import { enqueueAnalysis } from '../services/analysisQueue.js';
+import { checkAchievements } from '../services/achievements.js';
+import { analyzeWithAI, followUpWithAI } from '../services/ai/index.js';
+import { hasEncryptionKey, unsealedField } from '../services/encryption.js';
+import { ChallengeError, submitChallenge } from '../services/challenges.js';
+import { dateLabel, getTrivia, resolveLocale } from '../services/trivia.js';
+import { dayKey, isDayKey } from '../services/dates.js';
+import { afterCursor, decodeCursor, encodeCursor } from '../services/pagination.js';
+import {
+  StatsQueryError,
+  activityByDay,
+  emotionCounts,
+  metricCorrelations,
+  metricsByDay,
+  moodCounts,
+  resolveRange,
+  writingStreak
+} from '../services/stats.js';
+import { MetricError, metricDefinitions, normalizeEmotions, normalizeIntensity, normalizeMetrics } from '../services/metrics.js';
+import { calendarDays, dayFilter, onThisDayFilter, resolveCalendarPeriod } from '../services/calendar.js';
+import { normalizeTag, normalizeTags } from '../services/tags.js';
+import { relatedEntries } from '../services/related.js';
+import { TemplateError, findTemplate, normalizeSections } from '../services/templates.js';
+import { buildSearchFilter, buildSnippet, findHighlights, queryTerms } from '../services/search.js';
+import { streamExport } from '../services/export.js';
+import { AttachmentError, attachmentKind, maxAttachmentBytes, storeAttachments } from '../services/attachments.js';
+import { SpeechError, transcribeAudio } from '../services/speech/index.js';
+import { ImportError, importEntries } from '../services/import/index.js';
+import { REVISION_FIELDS, compareVersions, saveWithRevision, snapshot } from '../services/revisions.js';
+import { TrashError, listTrash, moveToTrash, purgeFromTrash, restoreFromTrash, trashRetentionDays } from '../services/trash.js';
 
 const router = express.Router();
 
-// Lazily initialize Gemini client so dotenv can load before use
-let genAI = null;
-const initGenAI = () => {
-  if (genAI) return genAI;
-  if (!process.env.GEMINI_API_KEY) return null;
+const MOODS = Journal.schema.path('mood').enumValues;
+
+// Badges are a bonus; never fail a save because the rules engine did
+const unlockAchievements = async (user) => {
   try {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    return genAI;
-  } catch (e) {
-    console.error('Failed to initialize Gemini client:', e);
-    return null;
+    return await checkAchievements(user);
+  } catch (error) {
+    console.error('Achievement check failed:', error);
+    return [];
   }
 };
 
-const analyzeWithAI = async (content) => {
-  const client = initGenAI();
-  if (!client || !content) {
-    return { summary: 'AI analysis unavailable', mood: 'neutral' };
-  }
-
-  try {
-    const model = client.getGenerativeModel({ model: 'gemini-pro' });
-    const prompt = `Analyze this journal entry and provide:
-1) A brief 1-2 sentence summary.
-2) The detected mood (choose from: happy, sad, neutral, excited, anxious, calm, angry, grateful).
-Return valid JSON with keys "summary" and "mood".
-
-Journal entry:
-${content}`;
-
-  const result = await model.generateContent(prompt);
-
-    // Normalize different possible SDK shapes and extract text
-    let text = '';
-    if (!result) text = '';
-    else if (typeof result === 'string') text = result;
-    else if (result?.response) {
-      const resp = result.response;
-      if (typeof resp === 'string') text = resp;
-      else if (typeof resp.text === 'function') text = await resp.text();
-      else text = String(resp);
-    } else if (Array.isArray(result?.output)) {
-      text = result.output.map((o) => {
-        if (o?.content && Array.isArray(o.content)) {
-          return o.content.map((c) => c.text || '').join('');
-        }
-        return o?.text || '';
-      }).join('');
-    } else if (typeof result?.text === 'function') {
-      text = await result.text();
-    } else {
-      text = String(result);
-    }
-
-    // Try parse JSON; fallback to extracting JSON substring
-    let parsed = {};
-    try {
-      parsed = text ? JSON.parse(text) : {};
-    } catch {
-      const match = text.match(/\{[\s\S]*\}/);
-      if (match) {
-        try { parsed = JSON.parse(match[0]); } catch {}
-      }
-    }
+const EXCERPT_LENGTH = 200;
+// Enough of the latest writing for a follow-up question
+const PROMPT_CONTEXT_LENGTH = 4000;
+
+// Compact shape for list views; the full body is only sent by GET /:id
+const LIST_PROJECTION = {
+  title: 1,
+  mood: 1,
+  moodSource: 1,
+  moodIntensity: 1,
+  emotions: 1,
+  aiMood: 1,
+  tags: 1,
+  aiSummary: 1,
+  analysisStatus: 1,
+  encrypted: 1,
+  createdAt: 1,
+  updatedAt: 1,
+  // A slice of ciphertext can't be decrypted, so sealed entries get no excerpt
+  excerpt: { $cond: ['$encrypted', '', { $substrCP: ['$content', 0, EXCERPT_LENGTH] }] },
+  truncated: { $and: [{ $not: ['$encrypted'] }, { $gt: [{ $strLenCP: '$content' }, EXCERPT_LENGTH] }] }
+};
 
-    return {
-      summary: parsed.summary || 'No summary available',
-      mood: parsed.mood || 'neutral'
-    };
-  } catch (error) {
-    console.error('AI Analysis Error:', error);
-    return { summary: 'AI analysis unavailable', mood: 'neutral' };
-  }
+// Encrypted entries must arrive sealed; returns an error message or null
+const sealingError = (user, fields) => {
+  if (!hasEncryptionKey(user)) return 'Set up an encryption passphrase first';
+  const field = unsealedField(fields);
+  return field ? `${field} must be encrypted` : null;
 };
 
 // Stats and auxiliary routes (place before parameterized routes)
-router.get('/stats/weekly', protect, async (req, res) => {
-  try {
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+// Days are bucketed in the user's timezone preference (?tz= overrides it for one request),
+// and most stats take ?range=7|30|90|365|custom with &from=&to= (YYYY-MM-DD) for custom.
 
-    const journals = await Journal.find({
-      user: req.user._id,
-      createdAt: { $gte: sevenDaysAgo }
-    });
+const statsQuery = (req) => ({ ...req.query, tz: req.query.tz || req.user.timezone });
 
-    const stats = {};
-    journals.forEach((j) => {
-      const date = j.createdAt.toISOString().split('T')[0];
-      stats[date] = (stats[date] || 0) + 1;
-    });
+const sendStatsError = (res, error) => {
+  if (error instanceof StatsQueryError) return res.status(400).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
 
-    res.json(stats);
+// GET /api/journals/stats/activity
+router.get('/stats/activity', protect, async (req, res) => {
+  try {
+    const period = resolveRange(statsQuery(req));
+    const { days, total } = await activityByDay(req.user._id, period);
+    res.json({ range: period.range, timezone: period.timezone, from: period.from, to: period.to, total, days });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendStatsError(res, error);
+  }
+});
+
+// GET /api/journals/stats/weekly
+// Kept for older clients: { 'YYYY-MM-DD': count } over the last 7 days
+router.get('/stats/weekly', protect, async (req, res) => {
+  try {
+    const period = resolveRange({ ...statsQuery(req), range: '7', from: undefined, to: undefined });
+    const { days } = await activityByDay(req.user._id, period);
+    res.json(Object.fromEntries(days.filter((d) => d.count > 0).map((d) => [d.date, d.count])));
+  } catch (error) {
+    sendStatsError(res, error);
   }
 });
 
+// GET /api/journals/stats/moods
+// All time unless a range is given
 router.get('/stats/moods', protect, async (req, res) => {
   try {
-    const journals = await Journal.find({ user: req.user._id });
-    const moodCount = journals.reduce((acc, j) => {
-      const m = j.mood || j.aiMood || 'neutral';
-      acc[m] = (acc[m] || 0) + 1;
-      return acc;
-    }, {});
-    res.json(moodCount);
+    const period = resolveRange(statsQuery(req), { allowAll: true });
+    res.json(await moodCounts(req.user._id, period));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendStatsError(res, error);
   }
 });
 
+// GET /api/journals/stats/streak
 router.get('/stats/streak', protect, async (req, res) => {
   try {
-    const journals = await Journal.find({ user: req.user._id }).sort({ createdAt: -1 });
-    if (journals.length === 0) return res.json({ streak: 0 });
+    const { timezone } = resolveRange(statsQuery(req), { allowAll: true });
+    res.json(await writingStreak(req.user._id, timezone));
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
 
-    let streak = 0;
-    let cursor = new Date();
-    cursor.setHours(0, 0, 0, 0);
+// GET /api/journals/stats/metrics
+// Daily averages of mood score, mood intensity and every metric the user tracks.
+// Mood score is -1 (unpleasant) to 1 (pleasant), scaled by intensity; see services/stats.js.
+router.get('/stats/metrics', protect, async (req, res) => {
+  try {
+    const period = resolveRange(statsQuery(req), { defaultRange: '30' });
+    const metrics = metricDefinitions(req.user);
+    const days = await metricsByDay(req.user._id, period, metrics);
+    res.json({ range: period.range, timezone: period.timezone, from: period.from, to: period.to, metrics, days });
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
 
-    for (let i = 0; i < journals.length; i++) {
-      const entryDate = new Date(journals[i].createdAt);
-      entryDate.setHours(0, 0, 0, 0);
+// GET /api/journals/stats/correlations
+// Per metric: Pearson correlation with mood score over entries that recorded it
+// (null with fewer than 3), its average, and its average under each primary mood
+router.get('/stats/correlations', protect, async (req, res) => {
+  try {
+    const period = resolveRange(statsQuery(req), { defaultRange: '30' });
+    const correlations = await metricCorrelations(req.user._id, period, metricDefinitions(req.user));
+    res.json({ range: period.range, from: period.from, to: period.to, correlations });
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
 
-      const diffDays = Math.floor((cursor - entryDate) / (1000 * 60 * 60 * 24));
-      if (diffDays === 0 || diffDays === 1) {
-        streak++;
-        cursor = new Date(entryDate);
-        cursor.setDate(cursor.getDate() - 1);
+// GET /api/journals/stats/emotions
+// Secondary emotion counts; all time unless a range is given
+router.get('/stats/emotions', protect, async (req, res) => {
+  try {
+    const period = resolveRange(statsQuery(req), { allowAll: true });
+    res.json(await emotionCounts(req.user._id, period));
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
+
+// How often the mood the user picked differs from the AI's reading
+router.get('/stats/mood-agreement', protect, async (req, res) => {
+  try {
+    const pairs = await Journal.aggregate([
+      { $match: { user: req.user._id, moodSource: 'user', aiMood: { $nin: ['', null] } } },
+      { $group: { _id: { mood: '$mood', aiMood: '$aiMood' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    let agreed = 0;
+    let disagreed = 0;
+    const mismatches = [];
+    pairs.forEach(({ _id, count }) => {
+      if (_id.mood === _id.aiMood) {
+        agreed += count;
       } else {
-        break;
+        disagreed += count;
+        mismatches.push({ mood: _id.mood, aiMood: _id.aiMood, count });
       }
-    }
+    });
 
-    res.json({ streak });
+    const compared = agreed + disagreed;
+    res.json({
+      compared,
+      agreed,
+      disagreed,
+      disagreementRate: compared ? disagreed / compared : 0,
+      mismatches
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-router.get('/trivia/daily', protect, async (req, res) => {
+// GET /api/journals/calendar?month=YYYY-MM | ?year=YYYY
+// Per-day counts and dominant mood for the days that have entries
+router.get('/calendar', protect, async (req, res) => {
   try {
-    const today = new Date();
-    const month = today.toLocaleDateString('en-US', { month: 'long' });
-    const day = today.getDate();
-
-    if (!genAI) {
-      return res.json({
-        date: `${month} ${day}`,
-        events: [
-          'Every day is a chance to write your story.',
-          'Journaling has been practiced for thousands of years.',
-          'Today is a perfect day to reflect on your journey.'
-        ]
-      });
-    }
+    const period = resolveCalendarPeriod(statsQuery(req));
+    const days = await calendarDays(req.user._id, period);
+    res.json({ timezone: period.timezone, from: period.from, to: period.to, days });
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
 
-    const prompt = `Provide 3 concise interesting historical events, fun facts, or notable birthdays that happened on ${month} ${day}. Return valid JSON with keys "event1","event2","event3".`;
-
-    const result = await genAI.getGenerativeModel({ model: 'gemini-pro' }).generateContent(prompt);
-
-    // extract text
-    let text = '';
-    if (result?.response) {
-      const r = result.response;
-      if (typeof r === 'string') text = r;
-      else if (typeof r.text === 'function') text = await r.text();
-      else text = String(r);
-    } else if (typeof result === 'string') text = result;
-    else text = JSON.stringify(result);
-
-    let parsed = {};
-    try { parsed = JSON.parse(text); } catch {
-      const match = text.match(/\{[\s\S]*\}/);
-      if (match) {
-        try { parsed = JSON.parse(match[0]); } catch {}
-      }
-    }
+// GET /api/journals/calendar/:date
+// One day's entries, oldest first
+router.get('/calendar/:date', protect, async (req, res) => {
+  try {
+    const { timezone } = resolveRange(statsQuery(req), { allowAll: true });
+    if (!isDayKey(req.params.date)) return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+
+    const items = await Journal.aggregate([
+      { $match: dayFilter(req.user._id, req.params.date, timezone) },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $project: LIST_PROJECTION }
+    ]);
+    res.json({ date: req.params.date, items });
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
+
+// GET /api/journals/on-this-day
+// Entries from today's date in previous years, newest first
+router.get('/on-this-day', protect, async (req, res) => {
+  try {
+    const { timezone } = resolveRange(statsQuery(req), { allowAll: true });
+    const items = await Journal.aggregate([
+      { $match: onThisDayFilter(req.user._id, timezone) },
+      { $sort: { createdAt: -1 } },
+      { $limit: 20 },
+      { $project: LIST_PROJECTION }
+    ]);
+    res.json({ date: dayKey(new Date(), timezone), items });
+  } catch (error) {
+    sendStatsError(res, error);
+  }
+});
+
+// GET /api/journals/trivia/daily?locale=
+// Trivia for the user's current calendar day, generated once per date and locale
+router.get('/trivia/daily', protect, async (req, res) => {
+  try {
+    const date = dayKey(new Date(), req.user.timezone);
+    const locale = resolveLocale(req.query.locale);
+    const trivia = await getTrivia(date, locale);
 
     res.json({
-      date: `${month} ${day}`,
-      events: [parsed.event1 || '', parsed.event2 || '', parsed.event3 || ''].filter(Boolean)
+      date: dateLabel(date, locale),
+      dateKey: date,
+      locale,
+      events: trivia.events
     });
   } catch (error) {
     console.error('Trivia Error:', error);
@@ -202,22 +282,215 @@ router.get('/trivia/daily', protect, async (req, res) => {
   }
 });
 
+// Older path for POST /api/challenges/:id/submit; body: { challengeId, journalId }
 router.post('/challenge/submit', protect, async (req, res) => {
   try {
-    // placeholder - implement storage if needed
-    res.json({ success: true, message: 'Challenge completed!', points: 10 });
+    const result = await submitChallenge(req.user, req.body.challengeId, req.body.journalId);
+    res.json({ success: true, message: 'Challenge completed!', ...result });
   } catch (error) {
+    if (error instanceof ChallengeError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
+// GET /api/journals/search?q=&from=&to=&tag=&mood=&limit=
+// Ranked full-text search over title, content, tags and AI summary
+router.get('/search', protect, async (req, res) => {
+  try {
+    // Repeated parameters (?q=a&q=b) arrive as arrays
+    const q = String(req.query.q ?? '').trim();
+    const tag = req.query.tag && String(req.query.tag);
+    const { from, to, mood } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    if (mood && !MOODS.includes(mood)) return res.status(400).json({ message: 'Invalid mood' });
+    if ([from, to].some((d) => d && isNaN(new Date(d)))) return res.status(400).json({ message: 'Invalid date' });
+
+    const filter = buildSearchFilter(req.user._id, { q, from, to, tag, mood, timezone: req.user.timezone });
+    const query = q
+      ? Journal.find(filter, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      : Journal.find(filter).sort({ createdAt: -1 });
+    const journals = await query.limit(limit);
+
+    const terms = queryTerms(q);
+    const results = journals.map((j) => {
+      const inContent = findHighlights(j.content, terms).length > 0;
+      return {
+        _id: j._id,
+        title: j.title,
+        titleHighlights: findHighlights(j.title, terms),
+        mood: j.mood,
+        tags: j.tags,
+        aiSummary: j.aiSummary,
+        createdAt: j.createdAt,
+        score: j.get('score') || 0,
+        snippet: buildSnippet(inContent || !j.aiSummary ? j.content : j.aiSummary, terms)
+      };
+    });
+
+    res.json({ query: q, count: results.length, results });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/journals/export?from=&to=&tags=a,b
+// Streams a ZIP with Markdown entries, a JSON dump and a printable HTML book
+router.get('/export', protect, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ([from, to].some((d) => d && isNaN(new Date(d)))) return res.status(400).json({ message: 'Invalid date' });
+    // ?tags=a,b and ?tags=a&tags=b (an array) both work
+    const tags = [].concat(req.query.tags ?? []).join(',').split(',').map((t) => t.trim()).filter(Boolean);
+
+    const filename = `journal-export-${dayKey(new Date(), req.user.timezone)}.zip`;
+    res.attachment(filename);
+    await streamExport(res, req.user, { from, to, tags });
+  } catch (error) {
+    // Once the ZIP has started there's no way to report the error but to cut it short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Uploads are parsed in memory; multer errors (too large, too many files) are the client's.
+// Limits are a function so configured sizes are read per request.
+const receiveFiles = (limits, field = 'files') => (req, res, next) =>
+  multer({ storage: multer.memoryStorage(), limits: limits() }).array(field)(req, res, (error) => {
+    if (error) return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message: error.message });
+    next();
+  });
+
+// ZIPs are capped again once unpacked
+const receiveImport = receiveFiles(() => ({ fileSize: 25 * 1024 * 1024, files: 200 }));
+const receiveAttachments = receiveFiles(() => ({ fileSize: maxAttachmentBytes(), files: 10 }));
+const receiveRecording = receiveFiles(() => ({ fileSize: maxAttachmentBytes(), files: 1 }), 'audio');
+
+// POST /api/journals/import?dryRun=true
+// Multipart "files": Markdown (front matter) or .txt files, ZIPs of them, or Day One JSON.
+// Dry runs report what would happen without saving anything.
+router.post('/import', protect, receiveImport, async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await importEntries(req.user, req.files, { dryRun });
+    const newAchievements = dryRun ? [] : await unlockAchievements(req.user);
+    res.status(dryRun ? 200 : 201).json({ ...report, newAchievements });
+  } catch (error) {
+    if (error instanceof ImportError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/transcribe
+// Multipart "audio": one voice recording, returned as text for the entry's content.
+// Nothing is stored; the client attaches the recording once the entry is saved.
+router.post('/transcribe', protect, receiveRecording, async (req, res) => {
+  try {
+    const [recording] = req.files || [];
+    if (!recording) return res.status(400).json({ message: 'No recording uploaded' });
+    if (attachmentKind(recording.mimetype) !== 'audio') return res.status(415).json({ message: 'Unsupported audio format' });
+
+    res.json(await transcribeAudio(recording.buffer, {
+      contentType: recording.mimetype,
+      filename: recording.originalname,
+      language: typeof req.body.language === 'string' ? req.body.language.split('-')[0] : undefined
+    }));
+  } catch (error) {
+    if (error instanceof SpeechError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/prompt
+// "Prompt me": a follow-up question for { text } written so far, optionally
+// with the { template } id it's being written from. Nothing is stored.
+router.post('/prompt', protect, async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim().slice(-PROMPT_CONTEXT_LENGTH) : '';
+    const template = req.body.template ? await findTemplate(req.user._id, String(req.body.template)) : null;
+
+    const { question } = await followUpWithAI({ text, template: template?.name });
+    if (!question) return res.status(502).json({ message: 'Couldn\'t come up with a question, please try again' });
+    res.json({ question });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Trash: deleted entries stay restorable for TRASH_RETENTION_DAYS
+
+const sendTrashError = (res, error) => {
+  if (error instanceof TrashError) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+// GET /api/journals/trash
+router.get('/trash', protect, async (req, res) => {
+  try {
+    res.json({ retentionDays: trashRetentionDays(), items: await listTrash(req.user._id) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/trash/:id/restore
+router.post('/trash/:id/restore', protect, async (req, res) => {
+  try {
+    res.json(await restoreFromTrash(req.user._id, req.params.id));
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+// DELETE /api/journals/trash/:id
+// Permanent; also drops the entry's revision history
+router.delete('/trash/:id', protect, async (req, res) => {
+  try {
+    await purgeFromTrash(req.user._id, req.params.id);
+    res.json({ message: 'Journal permanently deleted' });
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
 // CRUD routes
 
-// GET /api/journals
+// GET /api/journals?cursor=&limit=&mood=&tag=
+// Newest first, compact projection. Pass nextCursor back to get the next page.
 router.get('/', protect, async (req, res) => {
   try {
-    const journals = await Journal.find({ user: req.user._id }).sort({ createdAt: -1 });
-    res.json(journals);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const { cursor, mood, tag } = req.query;
+    if (mood && !MOODS.includes(mood)) return res.status(400).json({ message: 'Invalid mood' });
+
+    const match = { user: req.user._id };
+    if (mood) match.mood = mood;
+    if (tag) match.tags = normalizeTag(tag);
+
+    let position = null;
+    if (cursor) {
+      position = decodeCursor(cursor);
+      if (!position) return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const page = await Journal.aggregate([
+      { $match: position ? { ...match, ...afterCursor(position) } : match },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      { $project: LIST_PROJECTION }
+    ]);
+
+    const hasMore = page.length > limit;
+    const items = hasMore ? page.slice(0, limit) : page;
+
+    res.json({
+      items,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+      // Only counted on the first page; it doesn't change while paging
+      ...(!cursor && { total: await Journal.countDocuments(match) })
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -235,24 +508,294 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// GET /api/journals/:id/revisions
+// Newest first; each revision is the version an edit replaced
+router.get('/:id/revisions', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id).select('user');
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const revisions = await JournalRevision.find({ journal: journal._id })
+      .sort({ createdAt: -1 })
+      .select('title tags mood encrypted editedAt createdAt');
+    res.json(revisions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/journals/:id/revisions/:revisionId?compare=<revisionId>
+// The revision plus what changed from it to the current entry (or to another revision)
+router.get('/:id/revisions/:revisionId', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const revision = await JournalRevision.findOne({ _id: req.params.revisionId, journal: journal._id });
+    if (!revision) return res.status(404).json({ message: 'Revision not found' });
+
+    let target = journal;
+    if (req.query.compare) {
+      target = await JournalRevision.findOne({ _id: req.query.compare, journal: journal._id });
+      if (!target) return res.status(404).json({ message: 'Revision to compare with not found' });
+    }
+
+    res.json({ revision, changes: compareVersions(revision, target) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/revisions/:revisionId/restore
+// The current version becomes a revision itself, so a restore can be undone
+router.post('/:id/revisions/:revisionId/restore', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const revision = await JournalRevision.findOne({ _id: req.params.revisionId, journal: journal._id });
+    if (!revision) return res.status(404).json({ message: 'Revision not found' });
+
+    const before = snapshot(journal);
+    REVISION_FIELDS.forEach((field) => journal.set(field, revision.get(field)));
+    journal.aiMoodDismissed = false;
+    // The revision's AI fields describe its text; only re-analyze if it has none
+    if (journal.encrypted) journal.analysisStatus = journal.aiSummary ? 'done' : 'skipped';
+    else journal.analysisStatus = journal.aiSummary ? 'done' : 'pending';
+
+    await saveWithRevision(journal, before);
+    if (journal.analysisStatus === 'pending') await enqueueAnalysis(journal);
+
+    res.json(journal);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/journals/:id/attachments
+router.get('/:id/attachments', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id).select('user');
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    res.json(await Attachment.find({ journal: journal._id }).sort({ createdAt: 1 }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/attachments
+// Multipart "files": images (thumbnailed) and audio clips, within the user's quota
+router.post('/:id/attachments', protect, receiveAttachments, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id).select('user');
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    res.status(201).json(await storeAttachments(req.user, journal, req.files));
+  } catch (error) {
+    if (error instanceof AttachmentError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/journals/:id/analysis
+// Polled by the client while analysisStatus is pending
+router.get('/:id/analysis', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id).select('user analysisStatus aiSummary aiMood mood');
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const job = await AnalysisJob.findOne({ journal: journal._id });
+
+    res.json({
+      analysisStatus: journal.analysisStatus,
+      aiSummary: journal.aiSummary,
+      aiMood: journal.aiMood,
+      mood: journal.mood,
+      attempts: job?.attempts || 0,
+      nextAttemptAt: job?.status === 'queued' ? job.runAt : null,
+      lastError: job?.lastError || ''
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/analysis/retry
+router.post('/:id/analysis/retry', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+    if (journal.encrypted) return res.status(400).json({ message: 'Encrypted entries are analyzed through POST /:id/analyze' });
+
+    journal.analysisStatus = 'pending';
+    await journal.save();
+    await enqueueAnalysis(journal);
+
+    res.status(202).json({ analysisStatus: journal.analysisStatus });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/analyze
+// Opt-in analysis of an encrypted entry. The client sends the plaintext for this
+// call only; nothing readable is stored except the mood. The summary is returned
+// so the client can encrypt it and save it with PUT { aiSummary }.
+router.post('/:id/analyze', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+    if (!journal.encrypted) return res.status(400).json({ message: 'Only encrypted entries are analyzed on request' });
+
+    const { content } = req.body;
+    if (!content || typeof content !== 'string') return res.status(400).json({ message: 'Content is required' });
+
+    const analysis = await analyzeWithAI(content);
+    journal.aiMood = analysis.mood;
+    journal.aiMoodDismissed = false;
+    if (journal.moodSource !== 'user') journal.mood = analysis.mood;
+    journal.analysisStatus = 'done';
+    await journal.save();
+
+    // Suggested tags aren't stored: unlike chosen tags, they'd reveal what the entry is about
+    const suggestedTags = normalizeTags(analysis.tags).filter((t) => !journal.tags.includes(t));
+    res.json({ ...journal.toJSON(), summary: analysis.summary, suggestedTags });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/ai-mood/accept
+// Adopt the AI's mood suggestion as the entry's mood
+router.post('/:id/ai-mood/accept', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+    if (!MOODS.includes(journal.aiMood)) return res.status(400).json({ message: 'No AI mood to accept' });
+
+    journal.mood = journal.aiMood;
+    journal.moodSource = 'user';
+    journal.aiMoodDismissed = false;
+    await journal.save();
+    res.json(journal);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/ai-mood/dismiss
+router.post('/:id/ai-mood/dismiss', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    journal.aiMoodDismissed = true;
+    await journal.save();
+    res.json(journal);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/ai-tags/accept
+// Add { tags } (default: all pending AI suggestions) to the entry
+router.post('/:id/ai-tags/accept', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const accepted = normalizeTags(req.body.tags ?? journal.aiTags);
+    if (accepted.length === 0) return res.status(400).json({ message: 'No tags to accept' });
+    journal.tags = normalizeTags([...journal.tags, ...accepted]);
+    journal.aiTags = journal.aiTags.filter((t) => !accepted.includes(t));
+    await journal.save();
+    res.json(journal);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/journals/:id/ai-tags/dismiss
+// Drop { tags } (default: all) from the pending AI suggestions
+router.post('/:id/ai-tags/dismiss', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const dismissed = req.body.tags ? normalizeTags(req.body.tags) : journal.aiTags;
+    journal.aiTags = journal.aiTags.filter((t) => !dismissed.includes(t));
+    await journal.save();
+    res.json(journal);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/journals/:id/related?limit=
+// Entries sharing tags or close in content, best match first
+router.get('/:id/related', protect, async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id).select('user');
+    if (!journal) return res.status(404).json({ message: 'Journal not found' });
+    if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 20);
+    res.json(await relatedEntries(journal, { limit }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // POST /api/journals
+// Saves immediately; AI analysis runs in the background queue.
+// With { encrypted: true } title and content are ciphertext and analysis is skipped.
 router.post('/', protect, async (req, res) => {
   try {
-    const { title, content, tags } = req.body;
-    const aiAnalysis = await analyzeWithAI(content);
+    const { title, content, tags, mood, template } = req.body;
+    const encrypted = req.body.encrypted === true;
+    if (mood && !MOODS.includes(mood)) return res.status(400).json({ message: 'Invalid mood' });
+    if (encrypted) {
+      const message = sealingError(req.user, { title, content });
+      if (message) return res.status(400).json({ message });
+    }
+    const sections = normalizeSections(req.body.sections, { encrypted });
+    const moodIntensity = normalizeIntensity(req.body.moodIntensity);
+    const metrics = normalizeMetrics(req.body.metrics, metricDefinitions(req.user));
 
     const journal = await Journal.create({
       user: req.user._id,
       title,
       content,
-      tags: tags || [],
-      aiSummary: aiAnalysis.summary,
-      aiMood: aiAnalysis.mood,
-      mood: aiAnalysis.mood
+      tags: normalizeTags(tags),
+      ...(mood && { mood, moodSource: 'user' }),
+      ...(moodIntensity && { moodIntensity }),
+      emotions: normalizeEmotions(req.body.emotions),
+      metrics,
+      template: sections.length ? String(template || '') : '',
+      sections,
+      encrypted,
+      analysisStatus: encrypted ? 'skipped' : 'pending'
     });
+    if (!encrypted) await enqueueAnalysis(journal);
+    await Draft.deleteOne({ user: req.user._id, journal: null });
+    const newAchievements = await unlockAchievements(req.user);
 
-    res.status(201).json(journal);
+    res.status(201).json({ ...journal.toJSON(), newAchievements });
   } catch (error) {
+    if (error instanceof TemplateError || error instanceof MetricError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: error.message });
   }
 });
@@ -263,37 +806,85 @@ router.put('/:id', protect, async (req, res) => {
     const journal = await Journal.findById(req.params.id);
     if (!journal) return res.status(404).json({ message: 'Journal not found' });
     if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+    const before = snapshot(journal);
 
-    const { title, content, tags } = req.body;
+    const { title, content, tags, mood, aiSummary } = req.body;
+    if (mood && !MOODS.includes(mood)) return res.status(400).json({ message: 'Invalid mood' });
 
-    let aiAnalysis = { summary: journal.aiSummary, mood: journal.aiMood };
-    if (content && content !== journal.content) {
-      aiAnalysis = await analyzeWithAI(content);
+    // Switching encryption on or off replaces title and content wholesale
+    const encrypted = typeof req.body.encrypted === 'boolean' ? req.body.encrypted : journal.encrypted;
+    const switching = encrypted !== journal.encrypted;
+    if (switching && (!title || !content)) {
+      return res.status(400).json({ message: 'Title and content are required when changing encryption' });
+    }
+    if (switching && journal.sections.length > 0 && req.body.sections === undefined) {
+      return res.status(400).json({ message: 'Sections are required when changing encryption' });
     }
+    if (encrypted) {
+      const message = sealingError(req.user, { title, content, aiSummary });
+      if (message) return res.status(400).json({ message });
+    }
+    const sections = req.body.sections === undefined ? null : normalizeSections(req.body.sections, { encrypted });
+    const moodIntensity = normalizeIntensity(req.body.moodIntensity);
+    const metrics = req.body.metrics === undefined ? null : normalizeMetrics(req.body.metrics, metricDefinitions(req.user));
+    const contentChanged = Boolean(content) && content !== journal.content;
 
     journal.title = title || journal.title;
     journal.content = content || journal.content;
-    journal.tags = tags || journal.tags;
-    journal.aiSummary = aiAnalysis.summary;
-    journal.aiMood = aiAnalysis.mood;
-    journal.mood = aiAnalysis.mood;
+    if (tags) {
+      journal.tags = normalizeTags(tags);
+      journal.aiTags = journal.aiTags.filter((t) => !journal.tags.includes(t));
+    }
+    // undefined leaves these alone; null or empty clears them
+    if (moodIntensity !== undefined) journal.moodIntensity = moodIntensity ?? undefined;
+    if (req.body.emotions !== undefined) journal.emotions = normalizeEmotions(req.body.emotions);
+    if (metrics) journal.metrics = metrics;
+    if (sections) {
+      journal.sections = sections;
+      journal.template = sections.length ? String(req.body.template ?? journal.template) : '';
+    }
+    journal.encrypted = encrypted;
+    if (mood) {
+      journal.mood = mood;
+      journal.moodSource = 'user';
+    } else if (mood === '' || mood === null) {
+      // Cleared: hand the mood back to the AI
+      journal.moodSource = 'ai';
+      journal.mood = MOODS.includes(journal.aiMood) ? journal.aiMood : 'neutral';
+    }
+    if (encrypted) {
+      // The old summary describes old (or, when switching, readable) text
+      if (aiSummary !== undefined) journal.aiSummary = aiSummary;
+      else if (contentChanged) journal.aiSummary = '';
+      if (contentChanged) journal.analysisStatus = 'skipped';
+    } else if (contentChanged) {
+      if (switching) journal.aiSummary = '';
+      journal.analysisStatus = 'pending';
+    }
 
-    await journal.save();
-    res.json(journal);
+    await saveWithRevision(journal, before);
+    if (encrypted && switching) await AnalysisJob.deleteOne({ journal: journal._id });
+    if (!encrypted && contentChanged) await enqueueAnalysis(journal);
+    await Draft.deleteOne({ user: req.user._id, journal: journal._id });
+    const newAchievements = await unlockAchievements(req.user);
+
+    res.json({ ...journal.toJSON(), newAchievements });
   } catch (error) {
+    if (error instanceof TemplateError || error instanceof MetricError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: error.message });
   }
 });
 
 // DELETE /api/journals/:id
+// Moves the entry to the trash; see /trash routes
 router.delete('/:id', protect, async (req, res) => {
   try {
     const journal = await Journal.findById(req.params.id);
     if (!journal) return res.status(404).json({ message: 'Journal not found' });
     if (journal.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
 
-    await journal.deleteOne();
-    res.json({ message: 'Journal deleted' });
+    const trashed = await moveToTrash(journal);
+    res.json({ message: 'Journal moved to trash', expiresAt: trashed.expiresAt });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -0,0 +1,38 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { MetricError, addCustomMetric, metricDefinitions, removeCustomMetric } from '../services/metrics.js';
+
+const router = express.Router();
+
+const sendMetricError = (res, error) => {
+  if (error instanceof MetricError) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+// @route   GET /api/metrics
+// @desc    Metrics entries can record: the built-ins, then the user's own
+router.get('/', protect, async (req, res) => {
+  res.json(metricDefinitions(req.user));
+});
+
+// @route   POST /api/metrics
+// @desc    Track a custom metric: { label, min, max, unit }
+router.post('/', protect, async (req, res) => {
+  try {
+    res.status(201).json(await addCustomMetric(req.user, req.body));
+  } catch (error) {
+    sendMetricError(res, error);
+  }
+});
+
+// @route   DELETE /api/metrics/:key
+// @desc    Stop tracking a custom metric and drop its recorded values
+router.delete('/:key', protect, async (req, res) => {
+  try {
+    res.json(await removeCustomMetric(req.user, req.params.key));
+  } catch (error) {
+    sendMetricError(res, error);
+  }
+});
+
+export default router;
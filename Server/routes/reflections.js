@@ -0,0 +1,61 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Reflection from '../models/Reflection.js';
+import { protect } from '../middleware/auth.js';
+import { REFLECTION_PERIODS, ReflectionError, generateReflection } from '../services/reflections.js';
+
+const router = express.Router();
+
+const periodFilter = (req) => (REFLECTION_PERIODS.includes(req.query.period) ? { period: req.query.period } : {});
+
+// @route   GET /api/reflections?period=week|month
+// @desc    Past reviews, newest period first (without the per-day detail)
+router.get('/', protect, async (req, res) => {
+  try {
+    const reflections = await Reflection.find({ user: req.user._id, ...periodFilter(req) })
+      .sort({ from: -1 })
+      .limit(60)
+      .select('period from to partial entryCount overview moodTrend.direction createdAt updatedAt');
+    res.json(reflections);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/reflections/latest?period=week|month
+router.get('/latest', protect, async (req, res) => {
+  try {
+    const reflection = await Reflection.findOne({ user: req.user._id, ...periodFilter(req) }).sort({ from: -1 });
+    if (!reflection) return res.status(404).json({ message: 'No reviews yet' });
+    res.json(reflection);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/reflections
+// @desc    Review the week or month containing { date } (default today) now; rewrites an existing one
+router.post('/', protect, async (req, res) => {
+  try {
+    const { period = 'week', date } = req.body;
+    res.status(201).json(await generateReflection(req.user, period, { date }));
+  } catch (error) {
+    if (error instanceof ReflectionError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/reflections/:id
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Review not found' });
+    const reflection = await Reflection.findById(req.params.id);
+    if (!reflection) return res.status(404).json({ message: 'Review not found' });
+    if (reflection.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+    res.json(reflection);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { TagError, deleteTag, mergeTags, tagCounts } from '../services/tags.js';
+
+const router = express.Router();
+
+const sendTagError = (res, error) => {
+  if (error instanceof TagError) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+// @route   GET /api/tags
+// @desc    Every tag the user has used, with how many entries carry it
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json(await tagCounts(req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Fold { tags: [...] } into { into } across all entries
+router.post('/merge', protect, async (req, res) => {
+  try {
+    const { tags, into } = req.body;
+    if (!Array.isArray(tags)) return res.status(400).json({ message: 'tags must be a list' });
+    res.json(await mergeTags(req.user._id, tags, into));
+  } catch (error) {
+    sendTagError(res, error);
+  }
+});
+
+// @route   PUT /api/tags/:tag
+// @desc    Rename a tag everywhere: { name }. Renaming onto an existing tag merges them.
+router.put('/:tag', protect, async (req, res) => {
+  try {
+    res.json(await mergeTags(req.user._id, [req.params.tag], req.body.name));
+  } catch (error) {
+    sendTagError(res, error);
+  }
+});
+
+// @route   DELETE /api/tags/:tag
+// @desc    Remove a tag from every entry (the entries stay)
+router.delete('/:tag', protect, async (req, res) => {
+  try {
+    res.json(await deleteTag(req.user._id, req.params.tag));
+  } catch (error) {
+    sendTagError(res, error);
+  }
+});
+
+export default router;
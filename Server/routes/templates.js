@@ -0,0 +1,72 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Template from '../models/Template.js';
+import { protect } from '../middleware/auth.js';
+import { BUILT_IN_TEMPLATES, TemplateError, listTemplates, validateTemplate } from '../services/templates.js';
+
+const router = express.Router();
+
+const sendTemplateError = (res, error) => {
+  if (error instanceof TemplateError) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+const isBuiltIn = (id) => BUILT_IN_TEMPLATES.some((template) => template._id === id);
+
+// @route   GET /api/templates
+// @desc    Built-in templates followed by the user's own
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json(await listTemplates(req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Create a template: { name, description, fields: [{ label, prompt }] }
+router.post('/', protect, async (req, res) => {
+  try {
+    const template = await Template.create({ user: req.user._id, ...validateTemplate(req.body) });
+    res.status(201).json({ ...template.toJSON(), builtIn: false });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Replace a template. Entries already written from it keep their sections as they are.
+router.put('/:id', protect, async (req, res) => {
+  try {
+    if (isBuiltIn(req.params.id)) return res.status(400).json({ message: 'Built-in templates can\'t be changed' });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Template not found' });
+    const template = await Template.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (template.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    template.set(validateTemplate(req.body));
+    await template.save();
+    res.json({ ...template.toJSON(), builtIn: false });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template; entries written from it are kept
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (isBuiltIn(req.params.id)) return res.status(400).json({ message: 'Built-in templates can\'t be deleted' });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Template not found' });
+    const template = await Template.findById(req.params.id);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    if (template.user.toString() !== req.user._id.toString()) return res.status(403).json({ message: 'Not authorized' });
+
+    await template.deleteOne();
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -4,6 +4,20 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import journalRoutes from './routes/journal.js';
+import achievementRoutes from './routes/achievements.js';
+import challengeRoutes from './routes/challenges.js';
+import draftRoutes from './routes/drafts.js';
+import attachmentRoutes from './routes/attachments.js';
+import reflectionRoutes from './routes/reflections.js';
+import askRoutes from './routes/ask.js';
+import tagRoutes from './routes/tags.js';
+import templateRoutes from './routes/templates.js';
+import metricRoutes from './routes/metrics.js';
+import { startAnalysisWorker } from './services/analysisQueue.js';
+import { startTriviaScheduler } from './services/trivia.js';
+import { startTrashSweeper } from './services/trash.js';
+import { startReflectionScheduler } from './services/reflections.js';
+import { startEmbeddingIndexer } from './services/ask.js';
 
 
 dotenv.config();
@@ -17,11 +31,27 @@ app.use(express.json());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/journals', journalRoutes);
+app.use('/api/achievements', achievementRoutes);
+app.use('/api/challenges', challengeRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/reflections', reflectionRoutes);
+app.use('/api/ask', askRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/metrics', metricRoutes);
 
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    startAnalysisWorker();
+    startTriviaScheduler();
+    startTrashSweeper();
+    startReflectionScheduler();
+    startEmbeddingIndexer();
+  })
   .catch(err => console.error('❌ MongoDB Connection Error:', err));
 
 // Start Server
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+// Signed, expiring tokens for emailed links. Each purpose gets its own key so a
+// token for one flow (or an access token) is never accepted by another.
+
+const RESET_TTL = '1h';
+const VERIFY_TTL = '24h';
+
+const keyFor = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+// Changes whenever the password does, so a reset link works only once
+const passwordFingerprint = (user) =>
+  crypto.createHash('sha256').update(user.password).digest('hex').slice(0, 16);
+
+const verify = (token, purpose) => {
+  try {
+    return jwt.verify(String(token || ''), keyFor(purpose));
+  } catch {
+    return null;
+  }
+};
+
+export const createPasswordResetToken = (user) =>
+  jwt.sign({ id: user._id, pf: passwordFingerprint(user) }, keyFor('reset'), { expiresIn: RESET_TTL });
+
+// Returns the user (with password) or null
+export const consumePasswordResetToken = async (token) => {
+  const payload = verify(token, 'reset');
+  if (!payload) return null;
+  const user = await User.findById(payload.id);
+  if (!user || passwordFingerprint(user) !== payload.pf) return null;
+  return user;
+};
+
+export const createVerificationToken = (user) =>
+  jwt.sign({ id: user._id, email: user.email }, keyFor('verify'), { expiresIn: VERIFY_TTL });
+
+// Returns the user or null; the token is bound to the address it was sent to
+export const consumeVerificationToken = async (token) => {
+  const payload = verify(token, 'verify');
+  if (!payload) return null;
+  const user = await User.findById(payload.id);
+  if (!user || user.email !== payload.email) return null;
+  return user;
+};
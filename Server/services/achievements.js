@@ -0,0 +1,96 @@
+import Achievement from '../models/Achievement.js';
+import Journal from '../models/Journal.js';
+import { writingStreak } from './stats.js';
+
+// Every badge is "metric reaches target", which keeps progress reporting uniform.
+export const CATALOG = [
+  { key: 'first-entry', name: 'First Words', icon: '✍️', description: 'Write your first journal entry', metric: 'entries', target: 1 },
+  { key: 'entries-10', name: 'Getting Into It', icon: '📓', description: 'Write 10 entries', metric: 'entries', target: 10 },
+  { key: 'entries-50', name: 'Dedicated Writer', icon: '📚', description: 'Write 50 entries', metric: 'entries', target: 50 },
+  { key: 'entries-100', name: 'Centurion', icon: '🏛️', description: 'Write 100 entries', metric: 'entries', target: 100 },
+  { key: 'streak-7', name: 'One Week Strong', icon: '🔥', description: 'Write 7 days in a row', metric: 'longestStreak', target: 7 },
+  { key: 'streak-30', name: 'Habit Formed', icon: '🌟', description: 'Write 30 days in a row', metric: 'longestStreak', target: 30 },
+  { key: 'streak-100', name: 'Unstoppable', icon: '💎', description: 'Write 100 days in a row', metric: 'longestStreak', target: 100 },
+  { key: 'all-moods', name: 'Full Spectrum', icon: '🌈', description: 'Log every mood at least once', metric: 'moodsLogged', target: Journal.schema.path('mood').enumValues.length },
+  { key: 'long-entry', name: 'Deep Dive', icon: '🤿', description: 'Write a single entry of 1,000 words', metric: 'longestEntryWords', target: 1000 },
+  { key: 'words-10k', name: 'Wordsmith', icon: '🖋️', description: 'Write 10,000 words in total', metric: 'totalWords', target: 10000 },
+  { key: 'words-50k', name: 'Novelist', icon: '📖', description: 'Write 50,000 words in total', metric: 'totalWords', target: 50000 }
+];
+
+// Runs of non-whitespace, the same rule as countWords. Encrypted entries can't
+// be counted server-side.
+const wordCount = {
+  $cond: ['$encrypted', 0, { $size: { $regexFindAll: { input: '$content', regex: /\S+/ } } }]
+};
+
+export const collectMetrics = async (user) => {
+  const [totals] = await Journal.aggregate([
+    { $match: { user: user._id } },
+    {
+      $group: {
+        _id: null,
+        entries: { $sum: 1 },
+        totalWords: { $sum: wordCount },
+        longestEntryWords: { $max: wordCount },
+        moods: { $addToSet: '$mood' }
+      }
+    }
+  ]);
+  const { longest } = await writingStreak(user._id, user.timezone);
+
+  return {
+    entries: totals?.entries || 0,
+    totalWords: totals?.totalWords || 0,
+    longestEntryWords: totals?.longestEntryWords || 0,
+    moodsLogged: totals?.moods.length || 0,
+    longestStreak: longest
+  };
+};
+
+// Unlock every badge whose target is met. The upsert on (user, key) makes this
+// safe to run repeatedly and concurrently; only the first run reports a badge as new.
+export const checkAchievements = async (user, metrics) => {
+  const values = metrics || await collectMetrics(user);
+  const unlocked = [];
+
+  for (const badge of CATALOG) {
+    if (values[badge.metric] < badge.target) continue;
+
+    const result = await Achievement.updateOne(
+      { user: user._id, key: badge.key },
+      {
+        $setOnInsert: {
+          name: badge.name,
+          icon: badge.icon,
+          description: badge.description,
+          unlockedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) unlocked.push(badge);
+  }
+
+  return unlocked.map(({ key, name, icon, description }) => ({ key, name, icon, description }));
+};
+
+// Catalog with unlock state and progress for one user
+export const achievementCatalog = async (user) => {
+  const metrics = await collectMetrics(user);
+  const newlyUnlocked = await checkAchievements(user, metrics);
+  const earned = await Achievement.find({ user: user._id, key: { $exists: true } });
+  const earnedByKey = Object.fromEntries(earned.map((a) => [a.key, a]));
+
+  const achievements = CATALOG.map(({ key, name, icon, description, metric, target }) => ({
+    key,
+    name,
+    icon,
+    description,
+    unlocked: Boolean(earnedByKey[key]),
+    unlockedAt: earnedByKey[key]?.unlockedAt || null,
+    progress: Math.min(metrics[metric], target),
+    target
+  }));
+
+  return { achievements, newlyUnlocked };
+};
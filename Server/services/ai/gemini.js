@@ -0,0 +1,24 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createLLMProvider, extractText } from './llm.js';
+
+// Lazily initialize Gemini client so dotenv can load before use
+let genAI = null;
+const initGenAI = () => {
+  if (genAI) return genAI;
+  if (!process.env.GEMINI_API_KEY) return null;
+  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return genAI;
+};
+
+export const isConfigured = () => Boolean(process.env.GEMINI_API_KEY);
+
+export default createLLMProvider({
+  name: 'gemini',
+  complete: async (prompt) => {
+    const client = initGenAI();
+    if (!client) throw new Error('GEMINI_API_KEY is not set');
+
+    const model = client.getGenerativeModel({ model: process.env.GEMINI_MODEL || 'gemini-pro' });
+    return extractText(await model.generateContent(prompt));
+  }
+});
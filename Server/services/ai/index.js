@@ -0,0 +1,67 @@
+import gemini, { isConfigured as geminiConfigured } from './gemini.js';
+import openai, { isConfigured as openaiConfigured } from './openai.js';
+import local from './local.js';
+
+// Provider selection:
+//   AI_PROVIDER=gemini|openai|local picks one explicitly.
+//   Otherwise the first provider with credentials wins, falling back to local.
+const providers = { gemini, openai, local };
+
+let override = null;
+
+// Swap the active provider (e.g. a stub in tests). Pass null to restore config-based selection.
+export const setProvider = (provider) => {
+  override = provider;
+};
+
+export const getProvider = () => {
+  if (override) return override;
+
+  const configured = (process.env.AI_PROVIDER || '').toLowerCase();
+  if (configured) {
+    if (providers[configured]) return providers[configured];
+    console.warn(`Unknown AI_PROVIDER "${configured}", using local analyzer`);
+    return local;
+  }
+
+  if (geminiConfigured()) return gemini;
+  if (openaiConfigured()) return openai;
+  return local;
+};
+
+// Run a provider task; if the remote call fails, degrade to the local analyzer.
+// Callers that retry on their own (the analysis queue) pass fallback: false.
+const runTask = async (task, args, { fallback = true } = {}) => {
+  const provider = getProvider();
+  try {
+    return await provider[task](...args);
+  } catch (error) {
+    if (!fallback || provider === local) throw error;
+    console.error(`AI ${task} failed with ${provider.name}, using local analyzer:`, error.message);
+    return local[task](...args);
+  }
+};
+
+// existingTags lets the provider reuse the user's tags instead of inventing synonyms
+export const analyzeWithAI = async (content, { existingTags = [], ...options } = {}) => {
+  if (!content) {
+    return { summary: 'AI analysis unavailable', mood: 'neutral', tags: [] };
+  }
+  return runTask('analyzeEntry', [content, { existingTags }], options);
+};
+
+export const getDailyTrivia = async ({ month, day, locale }, options) =>
+  runTask('dailyTrivia', [{ month, day, locale }], options);
+
+// Week or month in review; see services/reflections.js for the input shape
+export const reflectWithAI = async (input, options) => runTask('reflect', [input], options);
+
+// Question answering over retrieved entries; see services/ask.js
+export const answerWithAI = async ({ question, sources }, options) =>
+  runTask('answerQuestion', [{ question, sources }], options);
+
+// "Prompt me" while writing: one question based on the text so far
+export const followUpWithAI = async ({ text, template }, options) =>
+  runTask('followUpQuestion', [{ text, template }], options);
+
+export { MOODS, MOOD_VALENCE } from './llm.js';
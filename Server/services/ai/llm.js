@@ -0,0 +1,136 @@
+// Shared prompt building and reply parsing for text-completion providers
+// (Gemini, OpenAI-compatible). A provider only has to supply `complete(prompt)`.
+
+export const MOODS = ['happy', 'sad', 'neutral', 'excited', 'anxious', 'calm', 'angry', 'grateful'];
+
+// How pleasant each mood is, for trends over time
+export const MOOD_VALENCE = { happy: 1, excited: 1, grateful: 1, calm: 0.5, neutral: 0, anxious: -1, sad: -1, angry: -1 };
+
+// Normalize the different response shapes the SDKs return into plain text
+export const extractText = async (result) => {
+  if (!result) return '';
+  if (typeof result === 'string') return result;
+  if (result.response) {
+    const resp = result.response;
+    if (typeof resp === 'string') return resp;
+    if (typeof resp.text === 'function') return await resp.text();
+    return String(resp);
+  }
+  if (Array.isArray(result.choices)) {
+    return result.choices.map((c) => c?.message?.content || c?.text || '').join('');
+  }
+  if (Array.isArray(result.output)) {
+    return result.output.map((o) => {
+      if (o?.content && Array.isArray(o.content)) {
+        return o.content.map((c) => c.text || '').join('');
+      }
+      return o?.text || '';
+    }).join('');
+  }
+  if (typeof result.text === 'function') return await result.text();
+  return String(result);
+};
+
+// Try parse JSON; fallback to extracting a JSON substring (models like to wrap it in prose or fences)
+export const parseJSONReply = (text) => {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (match) {
+      try { return JSON.parse(match[0]); } catch { /* fall through */ }
+    }
+  }
+  return {};
+};
+
+export const createLLMProvider = ({ name, complete }) => ({
+  name,
+
+  analyzeEntry: async (content, { existingTags = [] } = {}) => {
+    const prompt = `Analyze this journal entry and provide:
+1) A brief 1-2 sentence summary.
+2) The detected mood (choose from: ${MOODS.join(', ')}).
+3) Up to 4 short topic tags, lowercase, with hyphens instead of spaces.${existingTags.length ? ` Reuse these existing tags where they fit: ${existingTags.join(', ')}.` : ''}
+Return valid JSON with keys "summary", "mood" and "tags".
+
+Journal entry:
+${content}`;
+
+    const parsed = parseJSONReply(await complete(prompt));
+    const mood = String(parsed.mood || '').toLowerCase().trim();
+    return {
+      summary: parsed.summary || 'No summary available',
+      mood: MOODS.includes(mood) ? mood : 'neutral',
+      tags: Array.isArray(parsed.tags) ? parsed.tags.map(String) : []
+    };
+  },
+
+  dailyTrivia: async ({ month, day, locale = 'en-US' }) => {
+    const prompt = `Provide 3 concise interesting historical events, fun facts, or notable birthdays that happened on ${month} ${day}. Write them in the language of the "${locale}" locale. Return valid JSON with keys "event1","event2","event3".`;
+
+    const parsed = parseJSONReply(await complete(prompt));
+    return [parsed.event1 || '', parsed.event2 || '', parsed.event3 || ''].filter(Boolean);
+  },
+
+  // input: { period, from, to, entries: [{ date, title, summary, mood, tags }], days, moodCounts, trend }
+  reflect: async ({ period, from, to, entries, days, moodCounts, trend }) => {
+    const prompt = `Help someone reflect on their journal for the ${period} from ${from} to ${to}.
+Entries (date, mood, title, summary, tags):
+${JSON.stringify(entries.map(({ date, mood, title, summary, tags }) => ({ date, mood, title, summary, tags })))}
+Dominant mood per day: ${JSON.stringify(days)}
+Mood counts: ${JSON.stringify(moodCounts)}
+Over the ${period} their mood was ${trend}.
+
+Write a warm, non-judgmental review addressed to the writer as "you". Do not give medical advice.
+Return valid JSON with keys:
+"overview": 2-3 sentences,
+"themes": up to 4 objects with "title" and "detail" for things that kept coming up,
+"moodTrend": 1-2 sentences on how their mood moved,
+"notableDays": up to 3 objects with "date" (YYYY-MM-DD, one of the entry dates) and "reason",
+"suggestions": 2-3 gentle, practical suggestions as strings.`;
+
+    const parsed = parseJSONReply(await complete(prompt));
+    return {
+      overview: parsed.overview || '',
+      themes: Array.isArray(parsed.themes) ? parsed.themes : [],
+      moodTrend: parsed.moodTrend || '',
+      notableDays: Array.isArray(parsed.notableDays) ? parsed.notableDays : [],
+      suggestions: Array.isArray(parsed.suggestions) ? parsed.suggestions : []
+    };
+  },
+
+  // sources: [{ n, date, title, mood, text }]; the answer cites them as [n]
+  answerQuestion: async ({ question, sources }) => {
+    const prompt = `You answer questions about the writer's own journal using only the entries below.
+
+${sources.map((s) => `[${s.n}] ${s.date}, mood: ${s.mood}, title: ${s.title}\n${s.text}`).join('\n\n')}
+
+Question: ${question}
+
+Answer in 2-5 sentences addressed to the writer as "you". After each statement, cite the entries it comes from as [number].
+If the entries don't answer the question, say so plainly instead of guessing.
+Return valid JSON with keys "answer" (string) and "citations" (array of the entry numbers you cited).`;
+
+    const parsed = parseJSONReply(await complete(prompt));
+    return {
+      answer: parsed.answer || '',
+      citations: Array.isArray(parsed.citations) ? parsed.citations : []
+    };
+  },
+
+  // One question to help the writer keep going; template is the guided template's name, if any
+  followUpQuestion: async ({ text, template }) => {
+    const prompt = `Someone is writing a journal entry${template ? ` using a "${template}" template` : ''}. Here is what they have so far:
+
+${text || '(nothing yet)'}
+
+Ask them one short, open-ended follow-up question, addressed as "you", that helps them go deeper into what they wrote.
+Be warm and curious, not clinical. Do not give advice or medical guidance.
+Return valid JSON with the key "question".`;
+
+    const parsed = parseJSONReply(await complete(prompt));
+    return { question: String(parsed.question || '').trim() };
+  }
+});
@@ -0,0 +1,222 @@
+import { MOOD_VALENCE } from './llm.js';
+
+// Deterministic, offline analyzer. Used when no API key is configured, as the
+// fallback when a remote provider fails, and as the provider for offline tests.
+
+const LEXICON = {
+  happy: ['happy', 'glad', 'joy', 'joyful', 'fun', 'smile', 'smiled', 'laugh', 'laughed', 'great', 'good', 'awesome', 'wonderful', 'love', 'loved', 'enjoyed', 'nice', 'cheerful'],
+  sad: ['sad', 'unhappy', 'down', 'cry', 'cried', 'crying', 'lonely', 'miss', 'missed', 'lost', 'depressed', 'hurt', 'tired', 'heartbroken', 'disappointed', 'gloomy'],
+  excited: ['excited', 'exciting', 'thrilled', 'can\'t wait', 'amazing', 'incredible', 'pumped', 'eager', 'adventure', 'finally', 'wow'],
+  anxious: ['anxious', 'anxiety', 'worried', 'worry', 'nervous', 'stress', 'stressed', 'afraid', 'scared', 'fear', 'panic', 'overwhelmed', 'deadline', 'uneasy'],
+  calm: ['calm', 'peaceful', 'relaxed', 'relaxing', 'quiet', 'rest', 'rested', 'meditate', 'meditation', 'serene', 'slow', 'content', 'walk'],
+  angry: ['angry', 'mad', 'furious', 'annoyed', 'annoying', 'frustrated', 'frustrating', 'hate', 'irritated', 'rage', 'unfair', 'argument', 'fight'],
+  grateful: ['grateful', 'thankful', 'thanks', 'thank', 'appreciate', 'appreciated', 'blessed', 'fortunate', 'lucky', 'gratitude']
+};
+
+const LEXICON_WORDS = new Set(Object.values(LEXICON).flat());
+
+const NEGATIONS = ['not', 'no', 'never', 'don\'t', 'didn\'t', 'isn\'t', 'wasn\'t', 'hardly'];
+
+const FALLBACK_TRIVIA = [
+  'Every day is a chance to write your story.',
+  'Journaling has been practiced for thousands of years.',
+  'Today is a perfect day to reflect on your journey.'
+];
+
+// Words too common to count as a theme
+const STOPWORDS = new Set(['about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'didn\'t', 'does', 'doing', 'down', 'each', 'even', 'feel', 'felt', 'from', 'going', 'have', 'having', 'here', 'into', 'just', 'know', 'like', 'made', 'make', 'more', 'most', 'much', 'need', 'only', 'other', 'over', 'really', 'said', 'same', 'some', 'still', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'through', 'today', 'very', 'want', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your', 'entry', 'writer', 'summary', 'available']);
+
+const TREND_SENTENCES = {
+  improving: 'Your mood lifted as the {period} went on.',
+  declining: 'Your mood dipped as the {period} went on.',
+  steady: 'Your mood held fairly steady through the {period}.',
+  mixed: 'Your mood moved up and down through the {period}.',
+  none: 'There wasn\'t enough this {period} to see a mood trend.'
+};
+
+const MOOD_SUGGESTIONS = {
+  happy: 'Note what made the good days good, so you can come back to it.',
+  excited: 'Jot down what you\'re looking forward to and one small step toward it.',
+  grateful: 'Keep a short gratitude list going; it seems to suit you.',
+  calm: 'Protect whatever gave you those calm moments.',
+  neutral: 'Try ending each entry with one thing you noticed about how you felt.',
+  sad: 'Be gentle with yourself, and consider reaching out to someone you trust.',
+  anxious: 'When worries pile up, try writing down the one next step you can take.',
+  angry: 'Writing out what felt unfair, and then what you need, can take some of the heat out of it.'
+};
+
+// Offline follow-up questions, by the mood the entry leans towards
+const FOLLOW_UPS = {
+  happy: 'What made this feel good, and how could you make room for more of it?',
+  excited: 'What are you most looking forward to, and what\'s one small step toward it?',
+  grateful: 'Who or what made this possible, and have you told them?',
+  calm: 'What helped you feel this settled?',
+  neutral: 'What stood out to you most about this, and why do you think it did?',
+  sad: 'What would help you feel a little more supported right now?',
+  anxious: 'What\'s the one part of this you can do something about next?',
+  angry: 'What did you need in that moment that you didn\'t get?'
+};
+const OPENING_QUESTION = 'What\'s been on your mind most today?';
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z']+/g) || [];
+
+export const scoreMoods = (content) => {
+  const tokens = tokenize(content);
+  const text = tokens.join(' ');
+  const scores = {};
+
+  for (const [mood, words] of Object.entries(LEXICON)) {
+    let score = 0;
+    for (const word of words) {
+      if (word.includes(' ')) {
+        if (text.includes(word)) score++;
+        continue;
+      }
+      tokens.forEach((token, i) => {
+        if (token !== word) return;
+        const negated = NEGATIONS.includes(tokens[i - 1]) || NEGATIONS.includes(tokens[i - 2]);
+        if (!negated) score++;
+      });
+    }
+    if (score > 0) scores[mood] = score;
+  }
+
+  return scores;
+};
+
+export const detectMood = (content) => {
+  const scores = scoreMoods(content || '');
+  // Ties resolve in LEXICON order so the result is stable
+  let best = 'neutral';
+  let bestScore = 0;
+  for (const mood of Object.keys(LEXICON)) {
+    if ((scores[mood] || 0) > bestScore) {
+      best = mood;
+      bestScore = scores[mood];
+    }
+  }
+  return best;
+};
+
+export const summarize = (content, maxLength = 200) => {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  if (!text) return 'No summary available';
+
+  const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+  let summary = sentences[0].trim();
+  if (sentences[1] && summary.length + sentences[1].length <= maxLength) {
+    summary += ' ' + sentences[1].trim();
+  }
+  if (summary.length > maxLength) {
+    summary = summary.slice(0, maxLength).replace(/\s+\S*$/, '') + '…';
+  }
+  return summary;
+};
+
+// Existing tags whose words all appear in the entry, then words it keeps coming back to
+export const suggestTags = (content, existingTags = [], max = 4) => {
+  const tokens = tokenize(content || '');
+  const present = new Set(tokens);
+  const reused = existingTags.filter((tag) => tag.split('-').every((part) => present.has(part)));
+
+  const counts = new Map();
+  tokens
+    .filter((w) => w.length >= 4 && !STOPWORDS.has(w) && !LEXICON_WORDS.has(w) && !w.includes('\''))
+    .forEach((w) => counts.set(w, (counts.get(w) || 0) + 1));
+  const keywords = [...counts.entries()]
+    .filter(([, n]) => n >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .map(([w]) => w);
+
+  return [...new Set([...reused, ...keywords])].slice(0, max);
+};
+
+const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+
+// Tags and words that show up in at least two entries, most frequent first
+const recurringThemes = (entries) => {
+  const counts = new Map();
+  const count = (key, title) => {
+    const theme = counts.get(key) || { title, entries: 0 };
+    theme.entries++;
+    counts.set(key, theme);
+  };
+
+  entries.forEach((entry) => {
+    new Set((entry.tags || []).map((t) => t.toLowerCase())).forEach((tag) => count(`#${tag}`, `#${tag}`));
+    const words = tokenize(`${entry.title || ''} ${entry.summary || ''}`)
+      .filter((w) => w.length >= 4 && !STOPWORDS.has(w) && !LEXICON_WORDS.has(w));
+    new Set(words).forEach((word) => count(word, word.charAt(0).toUpperCase() + word.slice(1)));
+  });
+
+  return [...counts.values()]
+    .filter((t) => t.entries >= 2)
+    .sort((a, b) => b.entries - a.entries)
+    .slice(0, 4)
+    .map((t) => ({ title: t.title, detail: `Came up in ${plural(t.entries, 'entry', 'entries')}.` }));
+};
+
+// Brightest day, hardest day and busiest day, when they stand out
+const notableDays = (days) => {
+  const picks = [];
+  const byValence = [...days].sort((a, b) => (MOOD_VALENCE[b.mood] ?? 0) - (MOOD_VALENCE[a.mood] ?? 0));
+  const brightest = byValence[0];
+  const hardest = byValence[byValence.length - 1];
+  const busiest = [...days].sort((a, b) => b.count - a.count)[0];
+
+  if (brightest && MOOD_VALENCE[brightest.mood] > 0) picks.push({ date: brightest.date, reason: `A bright day: mostly ${brightest.mood}.` });
+  if (hardest && MOOD_VALENCE[hardest.mood] < 0) picks.push({ date: hardest.date, reason: `A harder day: mostly ${hardest.mood}.` });
+  if (busiest && busiest.count > 1) picks.push({ date: busiest.date, reason: `You wrote ${busiest.count} entries.` });
+  return picks.filter((pick, i) => picks.findIndex((p) => p.date === pick.date) === i);
+};
+
+const reflect = ({ period, from, to, entryCount, entries, days, moodCounts, trend }) => {
+  const dominant = Object.entries(moodCounts).sort((a, b) => b[1] - a[1])[0]?.[0];
+  const span = Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+
+  const suggestions = [];
+  if (dominant) suggestions.push(MOOD_SUGGESTIONS[dominant]);
+  if (trend === 'declining') suggestions.push(`Look back at your entries from the start of the ${period} for what was helping then.`);
+  if (days.length < span / 2) suggestions.push('Writing a few lines on more days can make patterns easier to spot.');
+
+  return {
+    overview: `You wrote ${plural(entryCount, 'entry', 'entries')} on ${plural(days.length, 'day')} this ${period}` +
+      (dominant ? `, most often feeling ${dominant}.` : '.'),
+    themes: recurringThemes(entries),
+    moodTrend: TREND_SENTENCES[trend].replace('{period}', period),
+    notableDays: notableDays(days),
+    suggestions
+  };
+};
+
+export default {
+  name: 'local',
+
+  analyzeEntry: async (content, { existingTags = [] } = {}) => ({
+    summary: summarize(content),
+    mood: detectMood(content),
+    tags: suggestTags(content, existingTags)
+  }),
+
+  dailyTrivia: async () => [...FALLBACK_TRIVIA],
+
+  reflect: async (input) => reflect(input),
+
+  followUpQuestion: async ({ text }) => {
+    if (!text?.trim()) return { question: OPENING_QUESTION };
+    // Ask about a recurring topic when there is one, otherwise go by mood
+    const [topic] = suggestTags(text, [], 1);
+    if (topic) return { question: `You mentioned ${topic.replace(/-/g, ' ')} more than once. What is it about that that matters to you?` };
+    return { question: FOLLOW_UPS[detectMood(text)] };
+  },
+
+  // No language model offline: point at the closest entries instead of answering
+  answerQuestion: async ({ sources }) => {
+    if (sources.length === 0) return { answer: 'I couldn\'t find any entries about that.', citations: [] };
+    const top = sources.slice(0, 3);
+    return {
+      answer: `These entries come closest to your question. ${top.map((s) => `On ${s.date} (${s.mood}): ${summarize(s.text, 160)} [${s.n}]`).join(' ')}`,
+      citations: top.map((s) => s.n)
+    };
+  }
+};
@@ -0,0 +1,32 @@
+import OpenAI from 'openai';
+import { createLLMProvider, extractText } from './llm.js';
+
+// Works with api.openai.com and any OpenAI-compatible server (OPENAI_BASE_URL),
+// e.g. a self-hosted Ollama or vLLM instance.
+let client = null;
+const initClient = () => {
+  if (client) return client;
+  if (!process.env.OPENAI_API_KEY && !process.env.OPENAI_BASE_URL) return null;
+  client = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+    baseURL: process.env.OPENAI_BASE_URL || undefined
+  });
+  return client;
+};
+
+export const isConfigured = () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+
+export default createLLMProvider({
+  name: 'openai',
+  complete: async (prompt) => {
+    const openai = initClient();
+    if (!openai) throw new Error('OPENAI_API_KEY or OPENAI_BASE_URL is not set');
+
+    const result = await openai.chat.completions.create({
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.4
+    });
+    return extractText(result);
+  }
+});
@@ -0,0 +1,175 @@
+import AnalysisJob from '../models/AnalysisJob.js';
+import Journal from '../models/Journal.js';
+import User from '../models/User.js';
+import { checkAchievements } from './achievements.js';
+import { analyzeWithAI } from './ai/index.js';
+import { normalizeTags, tagCounts } from './tags.js';
+
+// Persisted queue for AI analysis. Journals are saved immediately with
+// analysisStatus "pending"; the worker fills in aiSummary/aiMood later and
+// retries failed provider calls with exponential backoff.
+
+// Settings are read on use; this module is imported before dotenv has run
+const pollIntervalMs = () => Number(process.env.ANALYSIS_POLL_INTERVAL_MS) || 5000;
+const backoffBaseMs = () => Number(process.env.ANALYSIS_BACKOFF_MS) || 10000;
+const maxAttempts = () => Number(process.env.ANALYSIS_MAX_ATTEMPTS) || 5;
+// A job still "running" after this long belongs to a worker that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 5;
+// Gap between imported entries so a big import doesn't hammer the AI provider
+const importSpacingMs = () => Number(process.env.ANALYSIS_IMPORT_SPACING_MS) || 3000;
+// The user's most used tags are offered to the provider for reuse
+const EXISTING_TAG_HINTS = 50;
+
+let timer = null;
+let processing = false;
+
+export const backoffDelay = (attempts) => backoffBaseMs() * 2 ** Math.max(attempts - 1, 0);
+
+// Queue (or re-queue) analysis for a journal. One job per journal: re-queueing
+// resets attempts and releases the lock so an in-flight run can't overwrite it.
+export const enqueueAnalysis = async (journal) => {
+  await AnalysisJob.findOneAndUpdate(
+    { journal: journal._id },
+    {
+      user: journal.user,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: maxAttempts(),
+      runAt: new Date(),
+      lockedAt: null,
+      lastError: ''
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  // Don't make the caller wait for the next poll
+  if (timer) setImmediate(processQueue);
+};
+
+// Queue a batch (e.g. an import) with staggered run times. Jobs are claimed in
+// runAt order, so entries written in the meantime still get analyzed first.
+export const enqueueAnalysisBatch = async (journals, spacingMs = importSpacingMs()) => {
+  if (journals.length === 0) return;
+  const start = Date.now();
+
+  await AnalysisJob.bulkWrite(journals.map((journal, i) => ({
+    updateOne: {
+      filter: { journal: journal._id },
+      update: {
+        user: journal.user,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts: maxAttempts(),
+        runAt: new Date(start + i * spacingMs),
+        lockedAt: null,
+        lastError: ''
+      },
+      upsert: true
+    }
+  })));
+
+  if (timer) setImmediate(processQueue);
+};
+
+const claimNextJob = () => {
+  const now = new Date();
+  return AnalysisJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now - STALE_LOCK_MS) } }
+      ]
+    },
+    { status: 'running', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Only the worker holding the lock may finish a job
+const finishJob = (job, update) => AnalysisJob.updateOne(
+  { _id: job._id, lockedAt: job.lockedAt },
+  { ...update, lockedAt: null }
+);
+
+const runJob = async (job) => {
+  const journal = await Journal.findById(job.journal);
+  // Encrypted entries are only analyzed on request, with plaintext from the client
+  if (!journal || journal.encrypted) {
+    await AnalysisJob.deleteOne({ _id: job._id });
+    return;
+  }
+
+  const content = journal.content;
+
+  try {
+    const existingTags = (await tagCounts(journal.user)).slice(0, EXISTING_TAG_HINTS).map((t) => t.tag);
+    const aiAnalysis = await analyzeWithAI(content, { fallback: false, existingTags });
+    const suggestedTags = normalizeTags(aiAnalysis.tags);
+
+    // Skip the write if the entry was edited meanwhile; its own job will run.
+    // A mood the user picked wins; the AI mood then stays a suggestion.
+    // Provider output is wrapped in $literal: a leading "$" would read as a field path.
+    await Journal.updateOne(
+      { _id: journal._id, content },
+      [{
+        $set: {
+          aiSummary: { $literal: aiAnalysis.summary },
+          aiMood: { $literal: aiAnalysis.mood },
+          aiMoodDismissed: false,
+          mood: { $cond: [{ $eq: ['$moodSource', 'user'] }, '$mood', { $literal: aiAnalysis.mood }] },
+          // Suggestions the entry already has aren't worth showing
+          aiTags: { $filter: { input: { $literal: suggestedTags }, cond: { $not: [{ $in: ['$$this', '$tags'] }] } } },
+          analysisStatus: 'done'
+        }
+      }]
+    );
+    await finishJob(job, { status: 'done', lastError: '' });
+
+    // Mood-based badges can only unlock once the AI mood is in
+    const user = await User.findById(job.user);
+    if (user) await checkAchievements(user).catch((e) => console.error('Achievement check failed:', e));
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    console.error(`Analysis attempt ${job.attempts}/${job.maxAttempts} failed for journal ${journal._id}:`, error.message);
+
+    if (exhausted) {
+      await Journal.updateOne({ _id: journal._id, content }, { analysisStatus: 'failed' });
+      await finishJob(job, { status: 'failed', lastError: error.message });
+    } else {
+      await finishJob(job, {
+        status: 'queued',
+        runAt: new Date(Date.now() + backoffDelay(job.attempts)),
+        lastError: error.message
+      });
+    }
+  }
+};
+
+export const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Analysis queue error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+export const startAnalysisWorker = () => {
+  if (timer) return;
+  timer = setInterval(processQueue, pollIntervalMs());
+  timer.unref?.();
+  processQueue();
+};
+
+export const stopAnalysisWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,199 @@
+import Journal from '../models/Journal.js';
+import { answerWithAI } from './ai/index.js';
+import { embedderKey, getEmbedder } from './embeddings/index.js';
+import { DEFAULT_TIMEZONE, dayKey } from './dates.js';
+
+// "Ask your journal": entries are embedded in the background, questions are
+// matched against them by cosine similarity, and the best matches are handed to
+// the AI provider as numbered sources it has to cite. Vectors are compared in
+// memory, which is plenty for one person's journal.
+
+const EMBED_BATCH_SIZE = 20;
+const EMBED_TEXT_LENGTH = 6000;
+const SOURCE_TEXT_LENGTH = 1500;
+const ANSWER_SOURCES = 6;
+export const MAX_QUESTION_LENGTH = 500;
+// Read on use, since this module is imported before dotenv runs
+const minScore = () => Number(process.env.SIMILARITY_MIN_SCORE) || 0.1;
+const indexIntervalMs = () => Number(process.env.EMBEDDING_INDEX_INTERVAL_MS) || 60 * 1000;
+// Entries written since the last indexer pass are embedded before searching, at
+// most once per user per interval so repeated searches don't each pay for a pass
+const ON_DEMAND_INDEX_LIMIT = 50;
+const ON_DEMAND_INDEX_INTERVAL_MS = 30 * 1000;
+
+export class AskError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const embeddingText = (journal) => [
+  journal.title,
+  (journal.tags || []).map((t) => `#${t}`).join(' '),
+  journal.content
+].filter(Boolean).join('\n\n').slice(0, EMBED_TEXT_LENGTH);
+
+export const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Vectors for a batch, with null for entries the provider rejects. A failed batch
+// is retried one entry at a time so a single bad entry can't hold up the rest.
+const embedBatch = async (embedder, batch) => {
+  try {
+    return await embedder.embed(batch.map(embeddingText));
+  } catch (error) {
+    if (batch.length === 1) {
+      console.error(`Embedding failed for journal ${batch[0]._id}:`, error.message);
+      return [null];
+    }
+  }
+  const vectors = [];
+  for (const journal of batch) {
+    vectors.push(...await embedBatch(embedder, [journal]));
+  }
+  return vectors;
+};
+
+// Embed entries without a vector from the current model (new, edited, or embedded
+// by a provider that has since been switched). Encrypted entries are never sent.
+// Each entry is tried at most once per run, so `limit` caps the provider calls.
+export const indexPendingEmbeddings = async ({ user, limit = 200 } = {}) => {
+  const embedder = getEmbedder();
+  const model = embedderKey(embedder);
+  const filter = { encrypted: { $ne: true }, 'embedding.model': { $ne: model }, ...(user && { user }) };
+
+  const attempted = [];
+  let indexed = 0;
+  while (attempted.length < limit) {
+    const batch = await Journal.find({ ...filter, _id: { $nin: [...attempted] } })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(EMBED_BATCH_SIZE, limit - attempted.length))
+      .select('title content tags updatedAt');
+    if (batch.length === 0) break;
+    attempted.push(...batch.map((journal) => journal._id));
+
+    const vectors = await embedBatch(embedder, batch);
+    // An entry edited while we were embedding keeps no vector; the next run gets it
+    const updates = batch
+      .map((journal, i) => vectors[i] && {
+        updateOne: {
+          filter: { _id: journal._id, updatedAt: journal.updatedAt },
+          update: { $set: { embedding: { vector: vectors[i], model } } },
+          timestamps: false
+        }
+      })
+      .filter(Boolean);
+    if (updates.length > 0) await Journal.bulkWrite(updates);
+    indexed += updates.length;
+  }
+  return indexed;
+};
+
+const lastOnDemandIndex = new Map();
+
+const indexRecentEntries = async (userId) => {
+  const key = userId.toString();
+  const now = Date.now();
+  if (now - (lastOnDemandIndex.get(key) || 0) < ON_DEMAND_INDEX_INTERVAL_MS) return;
+  // Forget users whose window has passed so the map stays small
+  for (const [id, at] of lastOnDemandIndex) {
+    if (now - at >= ON_DEMAND_INDEX_INTERVAL_MS) lastOnDemandIndex.delete(id);
+  }
+  lastOnDemandIndex.set(key, now);
+  await indexPendingEmbeddings({ user: userId, limit: ON_DEMAND_INDEX_LIMIT });
+};
+
+// The user's entries closest in meaning to `query`, best first
+export const searchEntries = async (user, query, { limit = 10 } = {}) => {
+  const text = String(query || '').trim().slice(0, MAX_QUESTION_LENGTH);
+  if (!text) throw new AskError('Ask a question or enter something to search for');
+
+  // Entries that already have vectors can still answer if this fails
+  await indexRecentEntries(user._id).catch((error) => console.error('On-demand embedding failed:', error.message));
+  const embedder = getEmbedder();
+  const [queryVector] = await embedder.embed([text]);
+
+  const candidates = await Journal.find({ user: user._id, encrypted: { $ne: true }, 'embedding.model': embedderKey(embedder) })
+    .select('embedding.vector')
+    .lean();
+  const threshold = minScore();
+  const ranked = candidates
+    .map((c) => ({ _id: c._id, score: cosineSimilarity(queryVector, c.embedding.vector) }))
+    .filter((r) => r.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  const journals = await Journal.find({ _id: { $in: ranked.map((r) => r._id) } })
+    .select('title content aiSummary mood tags createdAt')
+    .lean();
+  const byId = new Map(journals.map((j) => [j._id.toString(), j]));
+  return ranked
+    .filter((r) => byId.has(r._id.toString()))
+    .map((r) => ({ journal: byId.get(r._id.toString()), score: r.score }));
+};
+
+const citedNumbers = (reply, count) => {
+  const fromText = [...String(reply.answer).matchAll(/\[(\d+)\]/g)].map((m) => Number(m[1]));
+  return [...new Set([...reply.citations.map(Number), ...fromText])]
+    .filter((n) => Number.isInteger(n) && n >= 1 && n <= count)
+    .sort((a, b) => a - b);
+};
+
+// Answer grounded in the retrieved entries. Citations map the [n] markers in the
+// answer to journal IDs.
+export const askJournal = async (user, question) => {
+  const matches = await searchEntries(user, question, { limit: ANSWER_SOURCES });
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const sources = matches.map(({ journal }, i) => ({
+    n: i + 1,
+    date: dayKey(journal.createdAt, timezone),
+    title: journal.title,
+    mood: journal.mood,
+    text: [journal.aiSummary && `Summary: ${journal.aiSummary}`, journal.content.slice(0, SOURCE_TEXT_LENGTH)].filter(Boolean).join('\n')
+  }));
+
+  const reply = await answerWithAI({ question: String(question).trim().slice(0, MAX_QUESTION_LENGTH), sources });
+  return {
+    answer: String(reply.answer || '').trim() || 'I couldn\'t find an answer in your journal.',
+    citations: citedNumbers(reply, sources.length).map((n) => ({
+      n,
+      _id: matches[n - 1].journal._id,
+      title: matches[n - 1].journal.title,
+      createdAt: matches[n - 1].journal.createdAt,
+      score: matches[n - 1].score
+    }))
+  };
+};
+
+let timer = null;
+let running = false;
+
+const runIndexer = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await indexPendingEmbeddings();
+  } catch (error) {
+    console.error('Embedding indexer error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startEmbeddingIndexer = () => {
+  if (timer) return;
+  timer = setInterval(runIndexer, indexIntervalMs());
+  timer.unref?.();
+  runIndexer();
+};
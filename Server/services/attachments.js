@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Attachment from '../models/Attachment.js';
+import User from '../models/User.js';
+import { getStorage } from './storage/index.js';
+
+// Images and audio clips attached to journal entries: type checks, per-user
+// quota, thumbnails, and keeping blob storage in step with the database.
+
+// Limits are read on use; this module is imported before dotenv has run
+export const maxAttachmentBytes = () => Number(process.env.MAX_ATTACHMENT_BYTES) || 15 * 1024 * 1024;
+const attachmentQuotaBytes = () => Number(process.env.ATTACHMENT_QUOTA_BYTES) || 200 * 1024 * 1024;
+const THUMBNAIL_WIDTH = 320;
+
+const KINDS = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'audio/mpeg': 'audio',
+  'audio/mp4': 'audio',
+  'audio/x-m4a': 'audio',
+  'audio/aac': 'audio',
+  'audio/ogg': 'audio',
+  'audio/webm': 'audio',
+  'audio/wav': 'audio',
+  'audio/x-wav': 'audio'
+};
+
+export const ALLOWED_TYPES = Object.keys(KINDS);
+
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const attachmentUsage = async (userId) => {
+  const [user, count] = await Promise.all([
+    User.findById(userId).select('attachmentBytes').lean(),
+    Attachment.countDocuments({ user: userId })
+  ]);
+  return { used: user?.attachmentBytes || 0, count, quota: attachmentQuotaBytes() };
+};
+
+// Claims `bytes` of quota in one update, so concurrent uploads can't both
+// squeeze under the limit. False when they don't fit.
+const reserveQuota = async (userId, bytes) => {
+  const result = await User.updateOne(
+    { _id: userId, attachmentBytes: { $not: { $gt: attachmentQuotaBytes() - bytes } } },
+    { $inc: { attachmentBytes: bytes } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const releaseQuota = (userId, bytes) => bytes > 0
+  ? User.updateOne({ _id: userId }, { $inc: { attachmentBytes: -bytes } })
+  : null;
+
+// Codec parameters ("audio/webm;codecs=opus") don't change the kind
+const baseType = (mimetype) => (mimetype || '').split(';')[0].trim().toLowerCase();
+
+// 'image', 'audio', or undefined for unsupported types
+export const attachmentKind = (mimetype) => KINDS[baseType(mimetype)];
+
+const thumbnailFor = (buffer) => sharp(buffer, { animated: false })
+  .rotate()
+  .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+  .webp({ quality: 75 })
+  .toBuffer();
+
+// Multer files -> stored Attachment documents. All-or-nothing for the quota check.
+export const storeAttachments = async (user, journal, files) => {
+  if (!files?.length) throw new AttachmentError('No files uploaded');
+
+  const unsupported = files.find((file) => !KINDS[baseType(file.mimetype)]);
+  if (unsupported) throw new AttachmentError(`${unsupported.originalname}: unsupported file type`, 415);
+
+  // Thumbnails count too, so make them before checking the quota
+  const prepared = await Promise.all(files.map(async (file) => {
+    const contentType = baseType(file.mimetype);
+    const kind = KINDS[contentType];
+    if (kind !== 'image') return { file, kind, contentType, thumbnail: null };
+
+    try {
+      const { width, height } = await sharp(file.buffer).metadata();
+      return { file, kind, contentType, width, height, thumbnail: await thumbnailFor(file.buffer) };
+    } catch {
+      throw new AttachmentError(`${file.originalname}: not a readable image`);
+    }
+  }));
+
+  const incoming = prepared.reduce((sum, p) => sum + p.file.size + (p.thumbnail?.length || 0), 0);
+  if (!await reserveQuota(user._id, incoming)) {
+    throw new AttachmentError('Attachment storage quota exceeded', 413);
+  }
+
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const p of prepared) {
+      const id = crypto.randomUUID();
+      const storageKey = `${user._id}/${journal._id}/${id}`;
+      const thumbnailKey = p.thumbnail ? `${storageKey}-thumb.webp` : '';
+
+      await storage.put(storageKey, p.file.buffer, p.contentType);
+      if (p.thumbnail) await storage.put(thumbnailKey, p.thumbnail, 'image/webp');
+
+      stored.push(await Attachment.create({
+        user: user._id,
+        journal: journal._id,
+        kind: p.kind,
+        filename: p.file.originalname,
+        contentType: p.contentType,
+        size: p.file.size + (p.thumbnail?.length || 0),
+        storageKey,
+        thumbnailKey,
+        width: p.width,
+        height: p.height
+      }));
+    }
+  } catch (error) {
+    // Don't leave half an upload behind. Removing the stored ones gives their
+    // bytes back; the rest of the reservation is released here.
+    await removeAttachments({ _id: { $in: stored.map((a) => a._id) } });
+    await releaseQuota(user._id, incoming - stored.reduce((sum, a) => sum + a.size, 0));
+    throw error;
+  }
+
+  return stored;
+};
+
+export const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter);
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    await Promise.all([attachment.storageKey, attachment.thumbnailKey]
+      .filter(Boolean)
+      .map((key) => storage.remove(key).catch((e) => console.error(`Failed to remove ${key}:`, e.message))));
+  }
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+
+  const freed = new Map();
+  attachments.forEach((a) => freed.set(a.user.toString(), (freed.get(a.user.toString()) || 0) + a.size));
+  await Promise.all([...freed].map(([userId, bytes]) => releaseQuota(userId, bytes)));
+  return attachments.length;
+};
+
+export const openAttachment = (attachment, { thumbnail = false } = {}) =>
+  getStorage().get(thumbnail && attachment.thumbnailKey ? attachment.thumbnailKey : attachment.storageKey);
@@ -0,0 +1,68 @@
+import Journal from '../models/Journal.js';
+import { StatsQueryError, resolveRange } from './stats.js';
+import { addDays, dayKey, startOfDay } from './dates.js';
+
+// Month and year calendars: per-day entry counts and the mood that colors each day.
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const YEAR_PATTERN = /^\d{4}$/;
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// ?month=YYYY-MM or ?year=YYYY (the current month when neither is given)
+export const resolveCalendarPeriod = ({ month, year, tz }) => {
+  if (year !== undefined) {
+    if (!YEAR_PATTERN.test(year)) throw new StatsQueryError('year must be YYYY');
+    return resolveRange({ range: 'custom', from: `${year}-01-01`, to: `${year}-12-31`, tz });
+  }
+
+  const selected = month || dayKey(new Date(), tz).slice(0, 7);
+  const match = MONTH_PATTERN.exec(selected);
+  if (!match) throw new StatsQueryError('month must be YYYY-MM');
+  const last = lastDayOfMonth(Number(match[1]), Number(match[2]));
+  return resolveRange({ range: 'custom', from: `${selected}-01`, to: `${selected}-${String(last).padStart(2, '0')}`, tz });
+};
+
+// Days that have entries, each with its mood breakdown. The dominant mood is the
+// most frequent one; ties go to the mood written most recently that day.
+export const calendarDays = async (userId, period) => {
+  const rows = await Journal.aggregate([
+    { $match: { user: userId, createdAt: { $gte: period.start, $lt: period.end } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: period.timezone } },
+          mood: { $ifNull: ['$mood', 'neutral'] }
+        },
+        count: { $sum: 1 },
+        latest: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { '_id.date': 1, count: -1, latest: -1 } }
+  ]);
+
+  const days = new Map();
+  rows.forEach(({ _id, count }) => {
+    if (!days.has(_id.date)) days.set(_id.date, { date: _id.date, count: 0, dominantMood: _id.mood, moods: {} });
+    const day = days.get(_id.date);
+    day.count += count;
+    day.moods[_id.mood] = count;
+  });
+  return [...days.values()];
+};
+
+// Entries written on one calendar day
+export const dayFilter = (userId, date, timezone) => ({
+  user: userId,
+  createdAt: { $gte: startOfDay(date, timezone), $lt: startOfDay(addDays(date, 1), timezone) }
+});
+
+// Entries from today's month and day in earlier years
+export const onThisDayFilter = (userId, timezone) => {
+  const today = dayKey(new Date(), timezone);
+  return {
+    user: userId,
+    createdAt: { $lt: startOfDay(`${today.slice(0, 4)}-01-01`, timezone) },
+    $expr: { $eq: [{ $dateToString: { format: '%m-%d', date: '$createdAt', timezone } }, today.slice(5)] }
+  };
+};
@@ -0,0 +1,150 @@
+import Challenge from '../models/Challenge.js';
+import ChallengeSubmission from '../models/ChallengeSubmission.js';
+import Journal from '../models/Journal.js';
+import User from '../models/User.js';
+import { addDays, dayKey, daysBetween, startOfDay } from './dates.js';
+
+// Prompts rotate by date, so every user sees the same challenge for a given day or week.
+const DAILY_PROMPTS = [
+  { title: 'Three Good Things', prompt: 'Write about three things that went well today and why they happened.', points: 10, criteria: { minWords: 80, requiredTag: 'gratitude' } },
+  { title: 'Looking Back', prompt: 'Re-read yesterday. What would you tell yourself now, one day later?', points: 15, criteria: { minWords: 100, reflectOnYesterday: true } },
+  { title: 'Small Win', prompt: 'Describe one small win from today, however tiny.', points: 10, criteria: { minWords: 50 } },
+  { title: 'Energy Check', prompt: 'What gave you energy today, and what drained it?', points: 10, criteria: { minWords: 80 } },
+  { title: 'A Conversation', prompt: 'Write about a conversation that stuck with you today.', points: 10, criteria: { minWords: 100, requiredTag: 'people' } },
+  { title: 'Tomorrow\'s Intention', prompt: 'What is one thing you want to do differently tomorrow?', points: 10, criteria: { minWords: 60 } },
+  { title: 'Five Senses', prompt: 'Describe a moment from today using all five senses.', points: 15, criteria: { minWords: 120 } }
+];
+
+const WEEKLY_PROMPTS = [
+  { title: 'Week in Review', prompt: 'Look back on this week: what are you proud of, and what would you change?', points: 50, criteria: { minWords: 300, requiredTag: 'review' } },
+  { title: 'Letter to Future You', prompt: 'Write a letter to yourself one year from now.', points: 50, criteria: { minWords: 300 } },
+  { title: 'Someone to Thank', prompt: 'Write about someone who helped you recently and what it meant.', points: 40, criteria: { minWords: 250, requiredTag: 'gratitude' } },
+  { title: 'Unfinished Business', prompt: 'What have you been putting off, and what is really in the way?', points: 40, criteria: { minWords: 250 } }
+];
+
+const EPOCH = '2024-01-01'; // a Monday
+
+export const countWords = (text) => (text || '').trim().split(/\s+/).filter(Boolean).length;
+
+// Monday of the week containing the day key
+const weekStart = (key) => {
+  const dow = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return addDays(key, -((dow + 6) % 7));
+};
+
+const periodWindow = (challenge, timezone) => {
+  const length = challenge.period === 'weekly' ? 7 : 1;
+  return {
+    start: startOfDay(challenge.key, timezone),
+    end: startOfDay(addDays(challenge.key, length), timezone)
+  };
+};
+
+const ensureChallenge = async (period, key) => {
+  const prompts = period === 'weekly' ? WEEKLY_PROMPTS : DAILY_PROMPTS;
+  const step = period === 'weekly' ? 7 : 1;
+  const index = Math.floor(daysBetween(EPOCH, key) / step);
+  const template = prompts[((index % prompts.length) + prompts.length) % prompts.length];
+
+  return Challenge.findOneAndUpdate(
+    { period, key },
+    { $setOnInsert: { period, key, ...template } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Today's and this week's challenges, in the user's timezone
+export const currentChallenges = async (user) => {
+  const today = dayKey(new Date(), user.timezone);
+  const [daily, weekly] = await Promise.all([
+    ensureChallenge('daily', today),
+    ensureChallenge('weekly', weekStart(today))
+  ]);
+
+  const submissions = await ChallengeSubmission.find({ user: user._id, challenge: { $in: [daily._id, weekly._id] } });
+  const done = Object.fromEntries(submissions.map((s) => [s.challenge.toString(), s]));
+  const withStatus = (challenge) => ({
+    ...challenge.toJSON(),
+    completed: Boolean(done[challenge._id]),
+    submission: done[challenge._id] || null
+  });
+
+  return { daily: withStatus(daily), weekly: withStatus(weekly), points: user.points };
+};
+
+// List of criteria the journal misses; empty means it qualifies
+export const unmetCriteria = async (challenge, journal, user) => {
+  const missing = [];
+  const { minWords, requiredTag, reflectOnYesterday } = challenge.criteria;
+  if (journal.encrypted && (minWords || reflectOnYesterday)) {
+    return ['Encrypted entries can\'t be checked against this challenge'];
+  }
+  const { start, end } = periodWindow(challenge, user.timezone);
+
+  if (journal.createdAt < start || journal.createdAt >= end) {
+    missing.push(challenge.period === 'weekly' ? 'Entry must be written this week' : 'Entry must be written today');
+  }
+
+  const words = countWords(journal.content);
+  if (minWords && words < minWords) {
+    missing.push(`Write at least ${minWords} words (you have ${words})`);
+  }
+
+  if (requiredTag && !journal.tags.some((t) => t.toLowerCase() === requiredTag.toLowerCase())) {
+    missing.push(`Tag the entry with "${requiredTag}"`);
+  }
+
+  if (reflectOnYesterday) {
+    const today = dayKey(journal.createdAt, user.timezone);
+    const yesterday = addDays(today, -1);
+    const wroteYesterday = await Journal.exists({
+      user: user._id,
+      createdAt: { $gte: startOfDay(yesterday, user.timezone), $lt: startOfDay(today, user.timezone) }
+    });
+    if (!wroteYesterday) missing.push('You need an entry from yesterday to reflect on');
+    if (!/\byesterday\b/i.test(journal.content)) missing.push('Reflect on yesterday in your entry');
+  }
+
+  return missing;
+};
+
+export class ChallengeError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const submitChallenge = async (user, challengeId, journalId) => {
+  const [challenge, journal] = await Promise.all([
+    Challenge.findById(challengeId),
+    Journal.findById(journalId)
+  ]);
+  if (!challenge) throw new ChallengeError('Challenge not found', 404);
+  if (!journal) throw new ChallengeError('Journal not found', 404);
+  if (journal.user.toString() !== user._id.toString()) throw new ChallengeError('Not authorized', 403);
+
+  if (await ChallengeSubmission.exists({ user: user._id, challenge: challenge._id })) {
+    throw new ChallengeError('Challenge already completed', 409);
+  }
+
+  const missing = await unmetCriteria(challenge, journal, user);
+  if (missing.length > 0) throw new ChallengeError('Challenge criteria not met', 422, missing);
+
+  try {
+    await ChallengeSubmission.create({
+      user: user._id,
+      challenge: challenge._id,
+      journal: journal._id,
+      points: challenge.points
+    });
+  } catch (error) {
+    // Lost a race with a concurrent submit
+    if (error.code === 11000) throw new ChallengeError('Challenge already completed', 409);
+    throw error;
+  }
+
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { points: challenge.points } }, { new: true });
+  return { points: challenge.points, totalPoints: updated.points };
+};
@@ -0,0 +1,80 @@
+// Calendar-day helpers. Days are 'YYYY-MM-DD' keys in an IANA timezone so that
+// Mongo's $dateToString buckets and JS-side arithmetic agree on the boundary.
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+export const isValidTimezone = (tz) => {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const partsFormatter = (tz) => {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(tz);
+};
+
+const zonedParts = (date, tz) => {
+  const parts = {};
+  partsFormatter(tz).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Calendar day of an instant, as seen in tz
+export const dayKey = (date, tz = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = zonedParts(new Date(date), tz);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+export const isDayKey = (value) => typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+
+export const addDays = (key, n) => {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + n);
+  return date.toISOString().slice(0, 10);
+};
+
+export const daysBetween = (fromKey, toKey) =>
+  Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000);
+
+// Milliseconds tz is ahead of UTC at the given instant
+const offsetAt = (date, tz) => {
+  const p = zonedParts(date, tz);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall-clock time without offset ("2024-05-01T08:30") happens in tz
+// (DST-safe: re-checks the offset at the result)
+export const zonedDateTime = (local, tz = DEFAULT_TIMEZONE) => {
+  const guess = new Date(`${local}Z`);
+  const first = new Date(guess.getTime() - offsetAt(guess, tz));
+  return new Date(guess.getTime() - offsetAt(first, tz));
+};
+
+// The instant a calendar day starts in tz
+export const startOfDay = (key, tz = DEFAULT_TIMEZONE) => zonedDateTime(`${key}T00:00:00`, tz);
+
+// Every day key from..to inclusive
+export const eachDay = (fromKey, toKey) => {
+  const days = [];
+  for (let key = fromKey; key <= toKey; key = addDays(key, 1)) days.push(key);
+  return days;
+};
@@ -0,0 +1,29 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+let genAI = null;
+const initGenAI = () => {
+  if (genAI) return genAI;
+  if (!process.env.GEMINI_API_KEY) return null;
+  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return genAI;
+};
+
+export const isConfigured = () => Boolean(process.env.GEMINI_API_KEY);
+
+const model = () => process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+
+export default {
+  name: 'gemini',
+  get model() {
+    return model();
+  },
+  embed: async (texts) => {
+    const client = initGenAI();
+    if (!client) throw new Error('GEMINI_API_KEY is not set');
+
+    const result = await client.getGenerativeModel({ model: model() }).batchEmbedContents({
+      requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return result.embeddings.map((e) => e.values);
+  }
+};
@@ -0,0 +1,34 @@
+import gemini, { isConfigured as geminiConfigured } from './gemini.js';
+import openai, { isConfigured as openaiConfigured } from './openai.js';
+import local from './local.js';
+
+// Embedding provider selection, mirroring the AI provider:
+//   EMBEDDING_PROVIDER=gemini|openai|local picks one explicitly.
+//   Otherwise the first provider with credentials wins, falling back to local.
+// Providers implement embed(texts) -> vectors and expose a `model` name. Vectors
+// from different models aren't comparable, so each stored vector records its model.
+const providers = { gemini, openai, local };
+
+let override = null;
+
+// Swap the provider (e.g. the local one in tests). Pass null to restore config-based selection.
+export const setEmbedder = (provider) => {
+  override = provider;
+};
+
+export const getEmbedder = () => {
+  if (override) return override;
+
+  const configured = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+  if (configured) {
+    if (providers[configured]) return providers[configured];
+    console.warn(`Unknown EMBEDDING_PROVIDER "${configured}", using local embeddings`);
+    return local;
+  }
+
+  if (geminiConfigured()) return gemini;
+  if (openaiConfigured()) return openai;
+  return local;
+};
+
+export const embedderKey = (embedder = getEmbedder()) => `${embedder.name}:${embedder.model}`;
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+// Deterministic, offline embeddings: hashed word and word-pair counts, L2-normalized.
+// No notion of synonyms, but entries that share words land close together, which
+// is enough for tests and for running without any API key.
+const DIMENSIONS = 512;
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9']+/g) || [])
+  // Crude stemming so "worried" and "worrying" meet
+  .map((word) => word.replace(/'s$/, '').replace(/(ing|ed|es|s)$/, (suffix, _, offset) => (offset >= 3 ? '' : suffix)));
+
+const bucket = (feature) => {
+  const hash = crypto.createHash('md5').update(feature).digest();
+  return { index: hash.readUInt32LE(0) % DIMENSIONS, sign: hash[4] & 1 ? 1 : -1 };
+};
+
+export const embedText = (text) => {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const tokens = tokenize(text || '').filter((t) => t.length > 2);
+  const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`)];
+
+  features.forEach((feature) => {
+    const { index, sign } = bucket(feature);
+    vector[index] += sign;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+};
+
+export default {
+  name: 'local',
+  model: `hash-${DIMENSIONS}`,
+  embed: async (texts) => texts.map(embedText)
+};
@@ -0,0 +1,31 @@
+import OpenAI from 'openai';
+
+// OpenAI or any OpenAI-compatible server with an embeddings endpoint (OPENAI_BASE_URL)
+let client = null;
+const initClient = () => {
+  if (client) return client;
+  if (!process.env.OPENAI_API_KEY && !process.env.OPENAI_BASE_URL) return null;
+  client = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+    baseURL: process.env.OPENAI_BASE_URL || undefined
+  });
+  return client;
+};
+
+export const isConfigured = () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+
+const model = () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+export default {
+  name: 'openai',
+  get model() {
+    return model();
+  },
+  embed: async (texts) => {
+    const openai = initClient();
+    if (!openai) throw new Error('OPENAI_API_KEY or OPENAI_BASE_URL is not set');
+
+    const result = await openai.embeddings.create({ model: model(), input: texts });
+    return result.data.sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  }
+};
@@ -0,0 +1,47 @@
+import Journal from '../models/Journal.js';
+
+// End-to-end encryption happens in the browser. The server only checks that
+// sealed fields look like ciphertext and keeps the parameters a client needs
+// to re-derive the key from the passphrase (never the passphrase or key).
+
+// "v1.<iv>.<ciphertext>", both parts base64 (AES-GCM, key from PBKDF2-SHA256)
+const CIPHERTEXT_PATTERN = /^v1\.[A-Za-z0-9+/]+={0,2}\.[A-Za-z0-9+/]+={0,2}$/;
+const SALT_PATTERN = /^[A-Za-z0-9+/]{16,}={0,2}$/;
+
+export const MIN_KDF_ITERATIONS = 100000;
+
+export const isCiphertext = (value) => typeof value === 'string' && CIPHERTEXT_PATTERN.test(value);
+
+// Name of the first provided field that isn't ciphertext, or null
+export const unsealedField = (fields) => {
+  const entry = Object.entries(fields).find(([, value]) => value !== undefined && value !== '' && !isCiphertext(value));
+  return entry ? entry[0] : null;
+};
+
+export const hasEncryptionKey = (user) => Boolean(user.encryption?.salt);
+
+export class EncryptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Store the key derivation salt and a check value (a known string encrypted
+// with the key) so any device can tell a wrong passphrase from a right one
+export const setEncryptionKey = async (user, { salt, iterations, verifier }) => {
+  if (typeof salt !== 'string' || !SALT_PATTERN.test(salt)) throw new EncryptionError('Invalid salt');
+  if (!Number.isInteger(iterations) || iterations < MIN_KDF_ITERATIONS) {
+    throw new EncryptionError(`Key derivation needs at least ${MIN_KDF_ITERATIONS} iterations`);
+  }
+  if (!isCiphertext(verifier)) throw new EncryptionError('Invalid verifier');
+
+  // A new passphrase would orphan everything sealed with the old one
+  if (hasEncryptionKey(user) && await Journal.exists({ user: user._id, encrypted: true })) {
+    throw new EncryptionError('The passphrase can\'t be replaced while encrypted entries exist', 409);
+  }
+
+  user.encryption = { salt, iterations, verifier, createdAt: new Date() };
+  await user.save();
+  return user.encryption;
+};
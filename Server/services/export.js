@@ -0,0 +1,139 @@
+import { ZipArchive } from 'archiver';
+import Journal from '../models/Journal.js';
+import { dayKey } from './dates.js';
+import { createdAtRange, escapeRegExp } from './search.js';
+
+// Builds the "download my data" archive for GET /api/journals/export:
+//   entries/YYYY-MM-DD-title.md  one Markdown file per entry with YAML front matter
+//   journals.json                everything, machine-readable
+//   journal.html                 a printable book (print to PDF from the browser)
+// Encrypted entries are exported as the ciphertext the server holds.
+
+const EXPORT_FIELDS = 'title content mood moodSource moodIntensity emotions metrics aiMood aiSummary tags encrypted createdAt updatedAt';
+
+export const exportFilter = (userId, { from, to, tags, timezone }) => {
+  const filter = { user: userId };
+  if (from || to) filter.createdAt = createdAtRange(from, to, timezone);
+  if (tags?.length) filter.tags = { $in: tags.map((t) => new RegExp(`^${escapeRegExp(t)}$`, 'i')) };
+  return filter;
+};
+
+// JSON strings are valid double-quoted YAML scalars, which sidesteps YAML's quoting rules
+const yamlValue = (value) => Array.isArray(value)
+  ? `[${value.map((v) => JSON.stringify(v)).join(', ')}]`
+  : JSON.stringify(value);
+
+export const frontMatter = (fields) => [
+  '---',
+  ...Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`),
+  '---'
+].join('\n');
+
+export const toMarkdown = (journal) => [
+  frontMatter({
+    title: journal.title,
+    date: journal.createdAt.toISOString(),
+    mood: journal.mood,
+    moodIntensity: journal.moodIntensity,
+    emotions: journal.emotions?.length ? journal.emotions : undefined,
+    metrics: journal.metrics && Object.keys(journal.metrics).length ? journal.metrics : undefined,
+    aiMood: journal.aiMood,
+    tags: journal.tags,
+    aiSummary: journal.aiSummary,
+    ...(journal.encrypted && { encrypted: true })
+  }),
+  '',
+  journal.content,
+  ''
+].join('\n');
+
+const slugify = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// Unique, date-prefixed file names; encrypted titles are ciphertext, so they don't name files
+export const entryFileNames = (journals, timezone) => {
+  const used = new Set();
+  return journals.map((journal) => {
+    const base = `${dayKey(journal.createdAt, timezone)}-${(!journal.encrypted && slugify(journal.title)) || 'entry'}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+    return `entries/${name}.md`;
+  });
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const toHtmlBook = (journals, { username, timezone }) => {
+  const formatDate = new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'short', timeZone: timezone });
+  const chapters = journals.map((journal) => `
+  <article>
+    <h2>${escapeHtml(journal.title)}</h2>
+    <p class="meta">${escapeHtml(formatDate.format(journal.createdAt))} · ${escapeHtml(journal.mood)}${journal.tags.length ? ` · ${journal.tags.map((t) => `#${escapeHtml(t)}`).join(' ')}` : ''}</p>
+    ${journal.aiSummary ? `<blockquote>${escapeHtml(journal.aiSummary)}</blockquote>` : ''}
+    <div class="content">${escapeHtml(journal.content)}</div>
+  </article>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(username)}'s journal</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.6; }
+    h1 { text-align: center; }
+    article { page-break-before: always; break-before: page; }
+    .meta { color: #666; font-size: 0.9rem; }
+    blockquote { border-left: 3px solid #9333ea; margin: 1rem 0; padding-left: 1rem; color: #555; font-style: italic; }
+    .content { white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(username)}'s journal</h1>
+  <p class="meta" style="text-align: center">${journals.length} entries</p>
+${chapters}
+</body>
+</html>
+`;
+};
+
+export const toJsonDump = (journals, { username, timezone }) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  user: { username, timezone },
+  count: journals.length,
+  journals: journals.map(({ _id, ...journal }) => ({ id: _id.toString(), ...journal }))
+}, null, 2);
+
+// Pipes a ZIP of the user's journals (oldest first) into the writable stream
+export const streamExport = async (output, user, filters) => {
+  const journals = await Journal.find(exportFilter(user._id, { ...filters, timezone: user.timezone }))
+    .select(EXPORT_FIELDS)
+    .sort({ createdAt: 1 })
+    .lean();
+  const meta = { username: user.username, timezone: user.timezone };
+
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  archive.on('warning', (error) => console.error('Export warning:', error));
+  archive.pipe(output);
+
+  const names = entryFileNames(journals, user.timezone);
+  journals.forEach((journal, i) => {
+    archive.append(toMarkdown(journal), { name: names[i], date: journal.createdAt });
+  });
+  archive.append(toJsonDump(journals, meta), { name: 'journals.json' });
+  archive.append(toHtmlBook(journals, meta), { name: 'journal.html' });
+
+  await archive.finalize();
+  return journals.length;
+};
@@ -0,0 +1,20 @@
+// Dates and titles hidden in file names such as "2023-04-05 Trip to Lisbon.md"
+
+// A time needs its separator ("20:24", "20-24"), so "2023-04-05 2024 goals" keeps its title
+const DATED_NAME = /^(\d{4}-\d{2}-\d{2})(?:[T _-]?(\d{2})[:.-](\d{2})(?!\d))?[\s_-]*(.*)$/;
+
+const baseName = (path) => path.split('/').pop().replace(/\.[^.]+$/, '');
+
+// "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" (no zone; read in the user's timezone), or null
+export const dateFromFileName = (path) => {
+  const match = DATED_NAME.exec(baseName(path));
+  if (!match) return null;
+  return match[2] ? `${match[1]}T${match[2]}:${match[3]}` : match[1];
+};
+
+export const titleFromFileName = (path) => {
+  const name = baseName(path);
+  const match = DATED_NAME.exec(name);
+  const rest = match ? match[4] : name;
+  return rest.replace(/[_-]+/g, ' ').trim();
+};
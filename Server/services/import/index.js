@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import AdmZip from 'adm-zip';
+import Journal from '../../models/Journal.js';
+import { enqueueAnalysisBatch } from '../analysisQueue.js';
+import { dayKey, isDayKey, zonedDateTime } from '../dates.js';
+import { normalizeTags } from '../tags.js';
+import { parseJSONExport } from './json.js';
+import { parseMarkdown } from './markdown.js';
+import { parsePlainText } from './plainText.js';
+
+// Bulk import for POST /api/journals/import. Uploaded files (or the members of
+// uploaded ZIPs) are parsed into entries that keep their original dates and tags,
+// checked for duplicates, and, unless it's a dry run, saved with AI analysis
+// queued as a throttled batch.
+
+export const MAX_IMPORT_ENTRIES = 2000;
+const MAX_UNZIPPED_BYTES = 50 * 1024 * 1024;
+const MAX_TITLE_LENGTH = 200;
+
+const MOODS = Journal.schema.path('mood').enumValues;
+
+const PARSERS = {
+  '.md': parseMarkdown,
+  '.markdown': parseMarkdown,
+  '.txt': parsePlainText,
+  '.json': parseJSONExport
+};
+
+export class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const extension = (name) => (/\.[^./]+$/.exec(name)?.[0] || '').toLowerCase();
+
+// Hidden files and macOS resource forks ride along in most ZIPs
+const isJunk = (path) => path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX');
+
+// Flatten uploads into { name, text } files, unpacking ZIPs
+const expandUploads = (uploads) => {
+  const files = [];
+  let unzipped = 0;
+
+  for (const upload of uploads) {
+    const name = upload.originalname;
+    if (extension(name) !== '.zip') {
+      files.push({ name, text: upload.buffer.toString('utf8') });
+      continue;
+    }
+
+    let members;
+    try {
+      members = new AdmZip(upload.buffer).getEntries();
+    } catch {
+      throw new ImportError(`${name} is not a valid ZIP file`);
+    }
+
+    for (const member of members) {
+      if (member.isDirectory || isJunk(member.entryName) || !PARSERS[extension(member.entryName)]) continue;
+      const path = `${name}/${member.entryName}`;
+      // Stop before inflating a member the cap can't fit
+      if (unzipped + member.header.size > MAX_UNZIPPED_BYTES) throw new ImportError('The archive is too large to import', 413);
+
+      // adm-zip caps inflation at the declared size, so a member that lies
+      // about it fails here or comes out a different length
+      let data;
+      try {
+        data = member.getData();
+      } catch {
+        throw new ImportError(`${path} is corrupt`);
+      }
+      if (data.length !== member.header.size) throw new ImportError(`${path} doesn't match its declared size`);
+
+      unzipped += data.length;
+      if (unzipped > MAX_UNZIPPED_BYTES) throw new ImportError('The archive is too large to import', 413);
+      files.push({ name: path, text: data.toString('utf8') });
+    }
+  }
+
+  return files;
+};
+
+const parseDate = (value, timezone) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (isDayKey(text)) return zonedDateTime(`${text}T00:00:00`, timezone);
+  // Wall-clock times without an offset are read in the user's timezone
+  if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2})?$/.test(text)) return zonedDateTime(text.replace(' ', 'T'), timezone);
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+const firstLine = (text) => (text.split(/\r?\n/).find((line) => line.trim()) || '').trim();
+
+// Validated entry with status 'new', or status 'error' and a reason
+const normalize = (raw, file, timezone) => {
+  const content = String(raw.content ?? '').trim();
+  const createdAt = parseDate(raw.date, timezone);
+  const entry = {
+    file,
+    title: String(raw.title || firstLine(content) || '').trim().slice(0, MAX_TITLE_LENGTH),
+    content,
+    createdAt,
+    tags: normalizeTags(raw.tags),
+    mood: MOODS.includes(raw.mood) ? raw.mood : null,
+    status: 'new',
+    reason: ''
+  };
+
+  const fail = (reason) => ({ ...entry, status: 'error', reason });
+  if (raw.encrypted) return fail('Encrypted entries can\'t be imported');
+  if (!content) return fail('Entry is empty');
+  if (!createdAt) return fail('No date found in the file name, front matter or first line');
+  if (createdAt > new Date()) return fail('Date is in the future');
+  if (!entry.title) entry.title = `Entry from ${dayKey(createdAt, timezone)}`;
+  return entry;
+};
+
+const parseFiles = (files, timezone) => files.flatMap((file) => {
+  const parse = PARSERS[extension(file.name)];
+  if (!parse) return [{ file: file.name, status: 'error', reason: 'Unsupported file type' }];
+  try {
+    return parse(file.text, file.name).map((raw) => normalize(raw, file.name, timezone));
+  } catch (error) {
+    return [{ file: file.name, status: 'error', reason: `Could not parse file: ${error.message}` }];
+  }
+});
+
+// Same calendar day and same text (ignoring whitespace and case) counts as the same entry
+const fingerprint = (content, createdAt, timezone) => {
+  const text = content.replace(/\s+/g, ' ').trim().toLowerCase();
+  return `${dayKey(createdAt, timezone)}:${crypto.createHash('sha1').update(text).digest('hex')}`;
+};
+
+const markDuplicates = async (userId, entries, timezone) => {
+  const candidates = entries.filter((e) => e.status === 'new');
+  if (candidates.length === 0) return;
+
+  const times = candidates.map((e) => e.createdAt.getTime());
+  const existing = new Set();
+  const cursor = Journal.find({
+    user: userId,
+    encrypted: { $ne: true },
+    // A day of slack either side covers timezone edges
+    createdAt: { $gte: new Date(Math.min(...times) - 86400000), $lte: new Date(Math.max(...times) + 86400000) }
+  }).select('content createdAt').lean().cursor();
+  for await (const journal of cursor) {
+    existing.add(fingerprint(journal.content, journal.createdAt, timezone));
+  }
+
+  const seen = new Set();
+  for (const entry of candidates) {
+    const key = fingerprint(entry.content, entry.createdAt, timezone);
+    if (existing.has(key)) {
+      Object.assign(entry, { status: 'duplicate', reason: 'Already in your journal' });
+    } else if (seen.has(key)) {
+      Object.assign(entry, { status: 'duplicate', reason: 'Appears more than once in this import' });
+    }
+    seen.add(key);
+  }
+};
+
+const countWords = (text) => (text || '').split(/\s+/).filter(Boolean).length;
+
+export const importEntries = async (user, uploads, { dryRun = false } = {}) => {
+  if (!uploads?.length) throw new ImportError('No files uploaded');
+
+  const entries = parseFiles(expandUploads(uploads), user.timezone);
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw new ImportError(`Imports are limited to ${MAX_IMPORT_ENTRIES} entries at a time`, 413);
+  }
+  await markDuplicates(user._id, entries, user.timezone);
+
+  const ready = entries.filter((e) => e.status === 'new');
+  if (!dryRun && ready.length > 0) {
+    const journals = await Journal.insertMany(ready.map((entry) => ({
+      user: user._id,
+      title: entry.title,
+      content: entry.content,
+      tags: entry.tags,
+      createdAt: entry.createdAt,
+      ...(entry.mood && { mood: entry.mood, moodSource: 'user' }),
+      analysisStatus: 'pending'
+    })));
+    await enqueueAnalysisBatch(journals);
+    ready.forEach((entry, i) => Object.assign(entry, { status: 'imported', journalId: journals[i]._id }));
+  }
+
+  const summary = { total: entries.length, new: 0, imported: 0, duplicate: 0, error: 0 };
+  entries.forEach((e) => { summary[e.status] += 1; });
+
+  return {
+    dryRun,
+    summary,
+    entries: entries.map(({ content, ...entry }) => ({ ...entry, words: countWords(content) }))
+  };
+};
@@ -0,0 +1,38 @@
+// JSON exports: Day One ("Export → JSON") and this app's own journals.json dump
+
+// Day One escapes Markdown punctuation in its JSON text
+const unescapeDayOne = (text) => text.replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1');
+
+const parseDayOneEntry = (entry) => {
+  const text = unescapeDayOne(entry.text || '').trim();
+  const [first, ...rest] = text.split(/\r?\n/);
+  // Day One shows the first line as the title
+  const hasTitle = rest.some((line) => line.trim());
+  return {
+    title: hasTitle ? first.replace(/^#+\s*/, '') : '',
+    content: hasTitle ? rest.join('\n') : text,
+    date: entry.creationDate,
+    tags: entry.tags
+  };
+};
+
+export const parseJSONExport = (text) => {
+  const data = JSON.parse(text);
+
+  if (Array.isArray(data?.entries)) {
+    return data.entries.map(parseDayOneEntry);
+  }
+
+  if (Array.isArray(data?.journals)) {
+    return data.journals.map((journal) => ({
+      title: journal.title,
+      content: journal.content,
+      date: journal.createdAt,
+      tags: journal.tags,
+      mood: journal.mood,
+      encrypted: journal.encrypted === true
+    }));
+  }
+
+  throw new Error('Not a Day One or journal JSON export');
+};
@@ -0,0 +1,31 @@
+import { CORE_SCHEMA, load } from 'js-yaml';
+import { dateFromFileName, titleFromFileName } from './fileNames.js';
+
+// Markdown with optional YAML front matter (Jekyll/Obsidian style, and our own export).
+// The core schema keeps dates as strings so day-only dates can be read in the user's timezone.
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const HEADING = /^\s*#\s+(.+)(?:\r?\n|$)/;
+
+export const parseMarkdown = (text, path) => {
+  const match = FRONT_MATTER.exec(text);
+  const meta = (match && load(match[1], { schema: CORE_SCHEMA })) || {};
+  let body = match ? text.slice(match[0].length) : text;
+
+  let title = meta.title;
+  if (!title) {
+    const heading = HEADING.exec(body);
+    if (heading) {
+      title = heading[1].trim();
+      body = body.slice(heading[0].length);
+    }
+  }
+
+  return [{
+    title: title ?? titleFromFileName(path),
+    content: body,
+    date: meta.date ?? meta.created ?? meta.createdAt ?? dateFromFileName(path),
+    tags: meta.tags,
+    mood: meta.mood,
+    encrypted: meta.encrypted === true
+  }];
+};
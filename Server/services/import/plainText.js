@@ -0,0 +1,20 @@
+import { dateFromFileName, titleFromFileName } from './fileNames.js';
+
+// Plain .txt entries dated by file name ("2023-04-05.txt", "2023-04-05 Lisbon.txt")
+// or by an ISO date on the first line.
+const DATE_LINE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export const parsePlainText = (text, path) => {
+  let date = dateFromFileName(path);
+  let body = text;
+
+  if (!date) {
+    const [first, ...rest] = text.split(/\r?\n/);
+    if (DATE_LINE.test(first.trim())) {
+      date = first.trim();
+      body = rest.join('\n');
+    }
+  }
+
+  return [{ title: titleFromFileName(path), content: body, date }];
+};
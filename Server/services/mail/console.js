@@ -0,0 +1,7 @@
+export default {
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+};
@@ -0,0 +1,16 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Writes each message to MAIL_DIR as JSON, for local development and tests
+// that need to read the link out of an email.
+export default {
+  name: 'file',
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || 'mail-outbox';
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { file };
+  }
+};
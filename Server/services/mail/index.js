@@ -0,0 +1,30 @@
+import smtp from './smtp.js';
+import file from './file.js';
+import consoleTransport from './console.js';
+
+// MAIL_TRANSPORT=smtp|file|console. Defaults to smtp when SMTP_HOST is set, otherwise
+// console, except in production, where links in the logs would be a leak.
+const transports = { smtp, file, console: consoleTransport };
+
+let override = null;
+
+// Swap the transport (e.g. an in-memory stub in tests). Pass null to restore config-based selection.
+export const setTransport = (transport) => {
+  override = transport;
+};
+
+export const getTransport = () => {
+  if (override) return override;
+  const configured = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+  if (transports[configured]) return transports[configured];
+  if (process.env.SMTP_HOST) return smtp;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Mail is not configured: set SMTP_HOST, or MAIL_TRANSPORT=console to log messages');
+  }
+  return consoleTransport;
+};
+
+export const sendMail = async (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'AI Journal <no-reply@localhost>',
+  ...message
+});
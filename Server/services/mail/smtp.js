@@ -0,0 +1,21 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+const initTransporter = () => {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return transporter;
+};
+
+export default {
+  name: 'smtp',
+  send: (message) => initTransporter().sendMail(message)
+};
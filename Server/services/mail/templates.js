@@ -0,0 +1,35 @@
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const layout = (heading, body, link, label) => `
+<div style="font-family: sans-serif; max-width: 480px; margin: auto;">
+  <h2 style="color: #7c3aed;">${heading}</h2>
+  <p>${body}</p>
+  <p><a href="${link}" style="display: inline-block; padding: 10px 18px; background: #7c3aed; color: #fff; border-radius: 8px; text-decoration: none;">${label}</a></p>
+  <p style="color: #6b7280; font-size: 12px;">If the button doesn't work, paste this link into your browser:<br>${link}</p>
+</div>`;
+
+export const passwordResetEmail = (user, token) => {
+  const link = `${appUrl()}/?reset=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Reset your AI Journal password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your AI Journal password. If it was you, open this link within the hour:\n\n${link}\n\nIf not, you can ignore this email.`,
+    html: layout('Reset your password', `Hi ${escapeHtml(user.username)}, someone asked to reset your AI Journal password. If it was you, use the button below within the hour. If not, you can ignore this email.`, link, 'Choose a new password')
+  };
+};
+
+export const verificationEmail = (user, token) => {
+  const link = `${appUrl()}/?verify=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Confirm your email for AI Journal',
+    text: `Hi ${user.username},\n\nPlease confirm your email address:\n\n${link}\n\nThe link is valid for 24 hours.`,
+    html: layout('Confirm your email', `Hi ${escapeHtml(user.username)}, please confirm this is your email address so you can recover your journal if you ever forget your password.`, link, 'Confirm email')
+  };
+};
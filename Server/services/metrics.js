@@ -0,0 +1,102 @@
+import Draft from '../models/Draft.js';
+import Journal from '../models/Journal.js';
+
+// Finer-grained tracking per entry: how intense the primary mood was (1-5),
+// secondary emotions, and numeric metrics such as energy or hours of sleep.
+// The built-in metrics are the same for everyone; custom ones live on the user.
+
+export const MAX_EMOTIONS = 8;
+export const MAX_CUSTOM_METRICS = 10;
+const MAX_EMOTION_LENGTH = 30;
+const MAX_LABEL_LENGTH = 40;
+const MAX_UNIT_LENGTH = 20;
+
+export const BUILT_IN_METRICS = [
+  { key: 'energy', label: 'Energy', min: 1, max: 5, unit: '' },
+  { key: 'sleep', label: 'Sleep', min: 0, max: 24, unit: 'hours' },
+  { key: 'stress', label: 'Stress', min: 1, max: 5, unit: '' }
+].map((metric) => ({ ...metric, builtIn: true }));
+
+export class MetricError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const metricDefinitions = (user) => [
+  ...BUILT_IN_METRICS,
+  ...(user.customMetrics || []).map(({ key, label, min, max, unit }) => ({ key, label, min, max, unit, builtIn: false }))
+];
+
+// undefined: not given; null: cleared; otherwise a whole number from 1 to 5
+export const normalizeIntensity = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const intensity = Number(value);
+  if (!Number.isInteger(intensity) || intensity < 1 || intensity > 5) {
+    throw new MetricError('moodIntensity must be a whole number from 1 to 5');
+  }
+  return intensity;
+};
+
+// Array or comma-separated string -> unique lowercase emotions
+export const normalizeEmotions = (emotions) => {
+  const list = Array.isArray(emotions) ? emotions : String(emotions ?? '').split(',');
+  const clean = list.map((e) => String(e ?? '').trim().toLowerCase().slice(0, MAX_EMOTION_LENGTH)).filter(Boolean);
+  return [...new Set(clean)].slice(0, MAX_EMOTIONS);
+};
+
+// { key: value } for the user's metrics; blank values are dropped
+export const normalizeMetrics = (values, definitions) => {
+  if (values === undefined || values === null) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) throw new MetricError('metrics must be an object');
+
+  const clean = {};
+  for (const [key, raw] of Object.entries(values)) {
+    if (raw === null || raw === '') continue;
+    const metric = definitions.find((m) => m.key === key);
+    if (!metric) throw new MetricError(`Unknown metric "${key}"`);
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < metric.min || value > metric.max) {
+      throw new MetricError(`${metric.label} must be between ${metric.min} and ${metric.max}`);
+    }
+    clean[key] = value;
+  }
+  return clean;
+};
+
+const toKey = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const addCustomMetric = async (user, { label, min = 1, max = 5, unit = '' } = {}) => {
+  const cleanLabel = typeof label === 'string' ? label.trim().slice(0, MAX_LABEL_LENGTH) : '';
+  const key = toKey(cleanLabel);
+  if (!key) throw new MetricError('A metric name is required');
+  if (metricDefinitions(user).some((m) => m.key === key)) throw new MetricError(`You already track "${cleanLabel}"`, 409);
+  if ((user.customMetrics || []).length >= MAX_CUSTOM_METRICS) {
+    throw new MetricError(`You can have at most ${MAX_CUSTOM_METRICS} custom metrics`);
+  }
+  const low = Number(min);
+  const high = Number(max);
+  if (!Number.isFinite(low) || !Number.isFinite(high) || low >= high) {
+    throw new MetricError('min must be a number below max');
+  }
+
+  const metric = { key, label: cleanLabel, min: low, max: high, unit: String(unit).trim().slice(0, MAX_UNIT_LENGTH) };
+  user.customMetrics.push(metric);
+  await user.save();
+  return { ...metric, builtIn: false };
+};
+
+// Values already recorded go too, so old entries still validate when edited
+export const removeCustomMetric = async (user, key) => {
+  if (BUILT_IN_METRICS.some((m) => m.key === key)) throw new MetricError('Built-in metrics can\'t be removed');
+  if (!(user.customMetrics || []).some((m) => m.key === key)) throw new MetricError('Metric not found', 404);
+
+  user.customMetrics = user.customMetrics.filter((m) => m.key !== key);
+  await user.save();
+  const path = `metrics.${key}`;
+  const result = await Journal.updateMany({ user: user._id, [path]: { $exists: true } }, { $unset: { [path]: '' } });
+  await Draft.updateMany({ user: user._id, [path]: { $exists: true } }, { $unset: { [path]: '' } });
+  return { key, updated: result.modifiedCount };
+};
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Opaque cursors for newest-first lists. createdAt alone isn't unique, so the
+// cursor carries the _id of the last item as a tie-breaker.
+
+export const encodeCursor = (doc) => Buffer
+  .from(`${new Date(doc.createdAt).toISOString()}_${doc._id}`)
+  .toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  const [date, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const createdAt = new Date(date);
+  if (isNaN(createdAt) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Filter for items strictly after the cursor in { createdAt: -1, _id: -1 } order
+export const afterCursor = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: _id } }
+  ]
+});
@@ -0,0 +1,202 @@
+import Journal from '../models/Journal.js';
+import Reflection from '../models/Reflection.js';
+import User from '../models/User.js';
+import { MOOD_VALENCE, getProvider, reflectWithAI } from './ai/index.js';
+import local, { summarize } from './ai/local.js';
+import { calendarDays } from './calendar.js';
+import { DEFAULT_TIMEZONE, addDays, dayKey, isDayKey } from './dates.js';
+import { resolveRange } from './stats.js';
+
+// Week and month in review. The numbers (mood counts, each day's dominant mood,
+// the trend direction) are computed here; the provider only writes the prose, so
+// the local analyzer can stand in for it offline and in tests.
+
+export const REFLECTION_PERIODS = ['week', 'month'];
+const MAX_PROMPT_ENTRIES = 100;
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+// Users who haven't written for this long get no scheduled reports
+const ACTIVE_WITHIN_DAYS = 40;
+
+export class ReflectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Weeks run Monday to Sunday
+export const periodContaining = (period, key) => {
+  if (period === 'week') {
+    const weekday = (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const from = addDays(key, -weekday);
+    return { from, to: addDays(from, 6) };
+  }
+  const [year, month] = key.split('-').map(Number);
+  const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return { from: `${key.slice(0, 7)}-01`, to: `${key.slice(0, 7)}-${String(last).padStart(2, '0')}` };
+};
+
+// Compares the first and second half of the days written on
+export const moodTrend = (days) => {
+  if (days.length < 2) return 'none';
+  const values = days.map((d) => MOOD_VALENCE[d.mood] ?? 0);
+  const half = Math.floor(values.length / 2);
+  const average = (list) => list.reduce((sum, v) => sum + v, 0) / list.length;
+  const change = average(values.slice(values.length - half)) - average(values.slice(0, half));
+
+  if (change >= 0.5) return 'improving';
+  if (change <= -0.5) return 'declining';
+  const swings = values.slice(1).filter((v, i) => Math.abs(v - values[i]) >= 1.5).length;
+  return swings >= Math.max(2, values.length / 3) ? 'mixed' : 'steady';
+};
+
+const text = (value, max) => String(value ?? '').trim().slice(0, max);
+
+// Provider replies are untrusted: clip everything and only keep days that had entries
+const normalizeNarrative = (raw, firstEntryByDay) => ({
+  overview: text(raw.overview, 1000),
+  themes: (raw.themes || [])
+    .map((t) => (typeof t === 'string' ? { title: t } : t))
+    .filter((t) => t?.title)
+    .slice(0, 5)
+    .map((t) => ({ title: text(t.title, 80), detail: text(t.detail, 300) })),
+  moodTrend: text(raw.moodTrend, 500),
+  notableDays: (raw.notableDays || [])
+    .filter((d) => firstEntryByDay.has(d?.date))
+    .slice(0, 3)
+    .map((d) => ({ date: d.date, reason: text(d.reason, 300), journal: firstEntryByDay.get(d.date) })),
+  suggestions: (raw.suggestions || [])
+    .map((s) => text(typeof s === 'string' ? s : s?.text, 300))
+    .filter(Boolean)
+    .slice(0, 4)
+});
+
+const narrate = async (input) => {
+  try {
+    return { ...(await reflectWithAI(input, { fallback: false })), provider: getProvider().name, isFallback: false };
+  } catch (error) {
+    console.error(`Reflection failed with ${getProvider().name}, using local analyzer:`, error.message);
+    return { ...(await local.reflect(input)), provider: local.name, isFallback: true };
+  }
+};
+
+// Write (or rewrite) the review of the week or month containing `date` (default today)
+export const generateReflection = async (user, period, { date } = {}) => {
+  if (!REFLECTION_PERIODS.includes(period)) throw new ReflectionError(`period must be one of ${REFLECTION_PERIODS.join(', ')}`);
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const today = dayKey(new Date(), timezone);
+  const anchor = date || today;
+  if (!isDayKey(anchor)) throw new ReflectionError('date must be YYYY-MM-DD');
+
+  const { from, to } = periodContaining(period, anchor);
+  if (from > today) throw new ReflectionError(`That ${period} hasn't started yet`);
+
+  const range = resolveRange({ range: 'custom', from, to, tz: timezone });
+  const calendar = await calendarDays(user._id, range);
+  if (calendar.length === 0) throw new ReflectionError(`No entries this ${period} to reflect on`, 404);
+
+  const journals = await Journal.find({ user: user._id, createdAt: { $gte: range.start, $lt: range.end } })
+    .sort({ createdAt: 1 })
+    .select('title content aiSummary mood tags encrypted createdAt')
+    .lean();
+
+  const days = calendar.map((d) => ({ date: d.date, mood: d.dominantMood, count: d.count }));
+  const moodCounts = {};
+  calendar.forEach((d) => Object.entries(d.moods).forEach(([mood, count]) => {
+    moodCounts[mood] = (moodCounts[mood] || 0) + count;
+  }));
+
+  const firstEntryByDay = new Map();
+  const readable = [];
+  journals.forEach((journal) => {
+    const date = dayKey(journal.createdAt, timezone);
+    if (!firstEntryByDay.has(date)) firstEntryByDay.set(date, journal._id);
+    // Sealed entries still count toward moods, but their text never leaves the browser
+    if (journal.encrypted) return;
+    readable.push({
+      date,
+      title: journal.title,
+      summary: journal.aiSummary || summarize(journal.content, 300),
+      mood: journal.mood,
+      tags: journal.tags
+    });
+  });
+
+  const trend = moodTrend(days);
+  const narrative = await narrate({
+    period,
+    from,
+    to,
+    entryCount: journals.length,
+    entries: readable.slice(-MAX_PROMPT_ENTRIES),
+    days,
+    moodCounts,
+    trend
+  });
+  const { moodTrend: trendSummary, ...rest } = normalizeNarrative(narrative, firstEntryByDay);
+
+  return Reflection.findOneAndUpdate(
+    { user: user._id, period, from },
+    {
+      $set: {
+        ...rest,
+        to,
+        timezone,
+        partial: to >= today,
+        entryCount: journals.length,
+        sealedCount: journals.length - readable.length,
+        moodCounts,
+        moodTrend: { direction: trend, summary: trendSummary, days },
+        provider: narrative.provider,
+        isFallback: narrative.isFallback
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Once a week or month is over, review it for everyone who wrote during it
+export const generateDueReflections = async () => {
+  const since = new Date(Date.now() - ACTIVE_WITHIN_DAYS * 86400000);
+  const userIds = await Journal.distinct('user', { createdAt: { $gte: since } });
+
+  for (const userId of userIds) {
+    const user = await User.findById(userId).select('timezone');
+    if (!user) continue;
+    const today = dayKey(new Date(), user.timezone);
+
+    for (const period of REFLECTION_PERIODS) {
+      const { from } = periodContaining(period, addDays(periodContaining(period, today).from, -1));
+      try {
+        const existing = await Reflection.findOne({ user: userId, period, from }).select('partial');
+        if (existing && !existing.partial) continue;
+        await generateReflection(user, period, { date: from });
+      } catch (error) {
+        if (error instanceof ReflectionError) continue;
+        console.error(`Reflection generation error for ${userId}:`, error);
+      }
+    }
+  }
+};
+
+let timer = null;
+let running = false;
+
+const runScheduled = async () => {
+  if (running) return;
+  running = true;
+  try {
+    await generateDueReflections();
+  } catch (error) {
+    console.error('Reflection scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+export const startReflectionScheduler = () => {
+  if (timer) return;
+  timer = setInterval(runScheduled, SCHEDULE_INTERVAL_MS);
+  timer.unref?.();
+  runScheduled();
+};
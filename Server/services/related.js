@@ -0,0 +1,50 @@
+import Journal from '../models/Journal.js';
+import { cosineSimilarity } from './ask.js';
+import { embedderKey } from './embeddings/index.js';
+
+// "Related entries": a blend of shared tags (Jaccard overlap) and content
+// similarity from the stored embeddings. Encrypted entries have no embedding and
+// are matched on tags alone.
+
+const TAG_WEIGHT = 0.4;
+const CONTENT_WEIGHT = 0.6;
+const MIN_SCORE = 0.15;
+
+const tagOverlap = (a, b) => {
+  if (!a.length || !b.length) return 0;
+  const shared = a.filter((t) => b.includes(t)).length;
+  return shared / new Set([...a, ...b]).size;
+};
+
+export const relatedEntries = async (journal, { limit = 5 } = {}) => {
+  const model = embedderKey();
+  const [source] = await Journal.find({ _id: journal._id }).select('tags embedding').lean();
+  const sourceVector = source?.embedding?.model === model ? source.embedding.vector : null;
+  const sourceTags = source?.tags || [];
+
+  const candidates = await Journal.find({ user: journal.user, _id: { $ne: journal._id } })
+    .select('tags embedding')
+    .lean();
+
+  const ranked = candidates
+    .map((c) => {
+      const vector = c.embedding?.model === model ? c.embedding.vector : null;
+      const contentScore = sourceVector && vector ? Math.max(cosineSimilarity(sourceVector, vector), 0) : 0;
+      // Without vectors on both sides, tags are all there is to go on
+      const score = sourceVector && vector
+        ? TAG_WEIGHT * tagOverlap(sourceTags, c.tags || []) + CONTENT_WEIGHT * contentScore
+        : tagOverlap(sourceTags, c.tags || []);
+      return { _id: c._id, score, sharedTags: (c.tags || []).filter((t) => sourceTags.includes(t)) };
+    })
+    .filter((r) => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  const journals = await Journal.find({ _id: { $in: ranked.map((r) => r._id) } })
+    .select('title mood tags encrypted createdAt')
+    .lean();
+  const byId = new Map(journals.map((j) => [j._id.toString(), j]));
+  return ranked
+    .filter((r) => byId.has(r._id.toString()))
+    .map((r) => ({ ...byId.get(r._id.toString()), score: r.score, sharedTags: r.sharedTags }));
+};
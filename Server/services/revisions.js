@@ -0,0 +1,95 @@
+import JournalRevision from '../models/JournalRevision.js';
+
+// Revision history for journals. Each edit stores the version it replaced;
+// the newest MAX_REVISIONS are kept per journal.
+
+const maxRevisions = () => Number(process.env.MAX_REVISIONS) || 50;
+export const REVISION_FIELDS = [
+  'title', 'content', 'tags', 'mood', 'moodSource', 'moodIntensity', 'emotions', 'metrics',
+  'aiSummary', 'aiMood', 'encrypted', 'template', 'sections'
+];
+// Edits to these create a revision; AI results arriving later don't
+const EDITABLE_FIELDS = ['title', 'content', 'tags', 'mood', 'moodIntensity', 'emotions', 'metrics', 'encrypted', 'template', 'sections'];
+
+export const snapshot = (journal) => ({
+  ...Object.fromEntries(REVISION_FIELDS.map((field) => [field, journal.get(field)])),
+  tags: [...journal.tags],
+  emotions: [...journal.emotions],
+  metrics: Object.fromEntries(journal.metrics || []),
+  sections: journal.sections.map(({ key, label, value }) => ({ key, label, value })),
+  editedAt: journal.updatedAt
+});
+
+// Saves the document, then records `before` if an editable field changed.
+// Saving first means a failed save never leaves an orphan revision.
+export const saveWithRevision = async (journal, before) => {
+  const edited = EDITABLE_FIELDS.some((field) => journal.isModified(field));
+  await journal.save();
+  if (!edited) return null;
+
+  const revision = await JournalRevision.create({ ...before, journal: journal._id, user: journal.user });
+
+  const stale = await JournalRevision.find({ journal: journal._id })
+    .sort({ createdAt: -1 })
+    .skip(maxRevisions())
+    .select('_id');
+  if (stale.length > 0) await JournalRevision.deleteMany({ _id: { $in: stale.map((r) => r._id) } });
+
+  return revision;
+};
+
+// Line diff via longest common subsequence: [{ type: 'same' | 'added' | 'removed', text }]
+// from `before` to `after`. Very large inputs fall back to remove-all/add-all.
+const MAX_DIFF_CELLS = 4_000_000;
+
+export const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ type: 'removed', text })),
+      ...b.map((text) => ({ type: 'added', text }))
+    ];
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] });
+    } else {
+      diff.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+  return diff;
+};
+
+// Field-level comparison of two versions; ciphertext can't be diffed, so
+// encrypted versions only report which fields changed
+export const compareVersions = (from, to) => {
+  const sealed = from.encrypted || to.encrypted;
+  const sameTags = from.tags.length === to.tags.length && from.tags.every((t, i) => t === to.tags[i]);
+  return {
+    titleChanged: from.title !== to.title,
+    tagsChanged: !sameTags,
+    moodChanged: from.mood !== to.mood,
+    contentChanged: from.content !== to.content,
+    content: sealed ? null : diffLines(from.content, to.content)
+  };
+};
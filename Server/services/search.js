@@ -0,0 +1,81 @@
+import { addDays, isDayKey, startOfDay } from './dates.js';
+
+// Helpers for GET /api/journals/search: turning the query string into a Mongo
+// filter and cutting highlighted snippets out of matching entries.
+
+export const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words from the query, minus $text operators (quotes, negation)
+export const queryTerms = (q) => (q || '')
+  .toLowerCase()
+  .split(/\s+/)
+  .filter((t) => t && !t.startsWith('-'))
+  .map((t) => t.replace(/["']/g, ''))
+  .filter((t) => t.length > 1);
+
+// $text matches stems, so "running" should also light up "runs" and "run".
+// A crude suffix strip is close enough for highlighting.
+const stem = (term) => {
+  const base = term.replace(/(ing|ed|es|ly|s)$/, '');
+  if (base.length < 3) return term;
+  return base.replace(/([b-df-hj-np-tv-z])\1$/, '$1');
+};
+
+const termsRegExp = (terms) => {
+  if (terms.length === 0) return null;
+  const stems = terms.map((t) => escapeRegExp(stem(t)));
+  return new RegExp(`\\b(?:${stems.join('|')})\\w*`, 'gi');
+};
+
+// Returns [start, end) ranges of every match in text
+export const findHighlights = (text, terms) => {
+  const re = termsRegExp(terms);
+  if (!re || !text) return [];
+  const ranges = [];
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+// A window of text around the first match; highlight offsets are relative to the snippet
+export const buildSnippet = (text, terms, radius = 90) => {
+  const source = (text || '').replace(/\s+/g, ' ').trim();
+  const all = findHighlights(source, terms);
+  if (all.length === 0) {
+    const cut = source.length > radius * 2;
+    return { text: source.slice(0, radius * 2) + (cut ? '…' : ''), highlights: [] };
+  }
+
+  const start = Math.max(0, all[0][0] - radius);
+  const end = Math.min(source.length, all[0][1] + radius);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + source.slice(start, end) + suffix,
+    highlights: all
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + offset, e + offset])
+  };
+};
+
+// Bare YYYY-MM-DD dates are calendar days in the user's timezone; `to` is inclusive
+export const createdAtRange = (from, to, timezone) => {
+  const range = {};
+  if (from) range.$gte = isDayKey(from) ? startOfDay(from, timezone) : new Date(from);
+  if (to) range.$lt = isDayKey(to) ? startOfDay(addDays(to, 1), timezone) : new Date(to);
+  return range;
+};
+
+export const buildSearchFilter = (userId, { q, from, to, tag, mood, timezone }) => {
+  // Ciphertext can't be matched or highlighted, so encrypted entries are left out
+  const filter = { user: userId, encrypted: { $ne: true } };
+  if (q) filter.$text = { $search: q };
+  if (mood) filter.mood = mood;
+  if (tag) filter.tags = { $regex: `^${escapeRegExp(tag.trim())}$`, $options: 'i' };
+  if (from || to) filter.createdAt = createdAtRange(from, to, timezone);
+  return filter;
+};
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Short-lived JWT access tokens carry the session id (sid) so `protect` can
+// reject them as soon as the session is revoked. Refresh tokens are opaque
+// "<sessionId>.<secret>" strings that rotate on every use.
+
+// Read per call, like JWT_SECRET, since dotenv runs after this module loads
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+export const generateAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: accessTokenTtl() });
+
+const issueTokens = (session, secret) => ({
+  token: generateAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+const clientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+export const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return issueTokens(session, secret);
+};
+
+// Returns new tokens, or null if the refresh token is invalid, expired or revoked
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+
+  const session = await Session.findById(sessionId).catch(() => null);
+  if (!session || !session.isActive()) return null;
+
+  const presented = hashToken(secret);
+  if (presented === session.previousTokenHash) {
+    // An already-rotated token came back: assume it leaked and kill the session
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+  if (presented !== session.refreshTokenHash) return null;
+
+  const next = newSecret();
+  // Conditional update so two concurrent refreshes can't both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presented, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(next),
+      previousTokenHash: presented,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...clientInfo(req)
+    },
+    { new: true }
+  );
+  return rotated ? issueTokens(rotated, next) : null;
+};
+
+export const revokeSession = (userId, sessionId) =>
+  Session.updateOne({ _id: sessionId, user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+export const revokeAllSessions = (userId) =>
+  Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+export const revokeOtherSessions = (userId, keepSessionId) =>
+  Session.updateMany({ user: userId, _id: { $ne: keepSessionId }, revokedAt: null }, { revokedAt: new Date() });
+
+export const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
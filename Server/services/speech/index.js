@@ -0,0 +1,51 @@
+import openai, { isConfigured as openaiConfigured } from './openai.js';
+import whisperCpp, { isConfigured as whisperCppConfigured } from './whisperCpp.js';
+
+// Speech-to-text for voice entries.
+//   STT_PROVIDER=openai|whisper-cpp picks one explicitly.
+//   Otherwise a local whisper.cpp model wins over the cloud API; with neither
+//   configured, transcription is unavailable and the recording is kept as-is.
+// Providers implement transcribe(buffer, { contentType, filename, language }) -> text.
+const providers = { openai, 'whisper-cpp': whisperCpp };
+
+let override = null;
+
+export class SpeechError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Swap the provider (e.g. a stub in tests). Pass null to restore config-based selection.
+export const setTranscriber = (provider) => {
+  override = provider;
+};
+
+export const getTranscriber = () => {
+  if (override) return override;
+
+  const configured = (process.env.STT_PROVIDER || '').toLowerCase();
+  if (configured) {
+    if (providers[configured]) return providers[configured];
+    console.warn(`Unknown STT_PROVIDER "${configured}"`);
+    return null;
+  }
+
+  if (whisperCppConfigured()) return whisperCpp;
+  if (openaiConfigured()) return openai;
+  return null;
+};
+
+export const transcribeAudio = async (buffer, { contentType, filename, language } = {}) => {
+  const provider = getTranscriber();
+  if (!provider) throw new SpeechError('Speech-to-text is not configured', 503);
+
+  try {
+    const text = await provider.transcribe(buffer, { contentType, filename, language });
+    return { text: String(text || '').trim(), provider: provider.name };
+  } catch (error) {
+    console.error(`Transcription failed with ${provider.name}:`, error.message);
+    throw new SpeechError('Transcription failed, please try again', 502);
+  }
+};
@@ -0,0 +1,32 @@
+import OpenAI, { toFile } from 'openai';
+
+// OpenAI's transcription endpoint (or a compatible server via STT_BASE_URL).
+// Kept apart from the chat client because many OpenAI-compatible chat servers
+// don't offer transcription.
+let client = null;
+const initClient = () => {
+  if (client) return client;
+  if (!process.env.OPENAI_API_KEY && !process.env.STT_BASE_URL) return null;
+  client = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+    baseURL: process.env.STT_BASE_URL || undefined
+  });
+  return client;
+};
+
+export const isConfigured = () => Boolean(process.env.OPENAI_API_KEY || process.env.STT_BASE_URL);
+
+export default {
+  name: 'openai',
+  transcribe: async (buffer, { contentType, filename, language }) => {
+    const openai = initClient();
+    if (!openai) throw new Error('OPENAI_API_KEY or STT_BASE_URL is not set');
+
+    const result = await openai.audio.transcriptions.create({
+      file: await toFile(buffer, filename || 'recording.webm', { type: contentType }),
+      model: process.env.STT_MODEL || 'whisper-1',
+      ...(language && { language })
+    });
+    return result.text;
+  }
+};
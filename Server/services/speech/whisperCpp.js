@@ -0,0 +1,40 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+// Offline transcription with whisper.cpp. Browsers record WebM/Ogg, so ffmpeg
+// first converts the clip to the 16 kHz mono WAV whisper.cpp expects.
+//   WHISPER_MODEL   path to a ggml model file (required)
+//   WHISPER_CPP_BIN whisper.cpp CLI, default "whisper-cli"
+//   FFMPEG_BIN      default "ffmpeg"
+const run = promisify(execFile);
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+export const isConfigured = () => Boolean(process.env.WHISPER_MODEL);
+
+export default {
+  name: 'whisper-cpp',
+  transcribe: async (buffer, { language }) => {
+    if (!process.env.WHISPER_MODEL) throw new Error('WHISPER_MODEL is not set');
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+    try {
+      const input = path.join(dir, 'input');
+      const wav = path.join(dir, 'input.wav');
+      await fs.writeFile(input, buffer);
+      await run(process.env.FFMPEG_BIN || 'ffmpeg', ['-i', input, '-ar', '16000', '-ac', '1', wav], { timeout: TIMEOUT_MS });
+
+      const { stdout } = await run(process.env.WHISPER_CPP_BIN || 'whisper-cli', [
+        '-m', process.env.WHISPER_MODEL,
+        '-f', wav,
+        '-l', language || 'auto',
+        '--no-timestamps'
+      ], { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+      return stdout.replace(/\s+/g, ' ');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+};
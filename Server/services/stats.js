@@ -0,0 +1,188 @@
+import Journal from '../models/Journal.js';
+import { DEFAULT_TIMEZONE, addDays, dayKey, daysBetween, eachDay, isDayKey, isValidTimezone, startOfDay } from './dates.js';
+import { MOOD_VALENCE } from './ai/index.js';
+
+export const RANGES = ['7', '30', '90', '365'];
+const MAX_CUSTOM_DAYS = 366 * 5;
+
+export class StatsQueryError extends Error {}
+
+// Turn ?range=&from=&to=&tz= into concrete day keys and instants.
+// range is a preset number of days ending today, or "custom" with from/to (inclusive).
+// Returns null when no range was asked for and allowAll is set.
+export const resolveRange = ({ range, from, to, tz }, { defaultRange = '7', allowAll = false } = {}) => {
+  const timezone = tz || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) throw new StatsQueryError('Invalid timezone');
+
+  const selected = range || (from || to ? 'custom' : (allowAll ? null : defaultRange));
+  if (!selected) return { timezone, range: 'all', start: null, end: null };
+
+  const today = dayKey(new Date(), timezone);
+  let fromKey;
+  let toKey;
+
+  if (selected === 'custom') {
+    if (!isDayKey(from) || !isDayKey(to)) throw new StatsQueryError('Custom range needs from and to as YYYY-MM-DD');
+    if (from > to) throw new StatsQueryError('from must not be after to');
+    if (daysBetween(from, to) > MAX_CUSTOM_DAYS) throw new StatsQueryError('Custom range is too long');
+    fromKey = from;
+    toKey = to;
+  } else if (RANGES.includes(String(selected))) {
+    toKey = today;
+    fromKey = addDays(today, -(Number(selected) - 1));
+  } else {
+    throw new StatsQueryError(`range must be one of ${RANGES.join(', ')} or custom`);
+  }
+
+  return {
+    timezone,
+    range: String(selected),
+    from: fromKey,
+    to: toKey,
+    start: startOfDay(fromKey, timezone),
+    end: startOfDay(addDays(toKey, 1), timezone)
+  };
+};
+
+const matchStage = (userId, { start, end }) => {
+  const match = { user: userId };
+  if (start) match.createdAt = { $gte: start, $lt: end };
+  return { $match: match };
+};
+
+// Entries per calendar day, with empty days filled in
+export const activityByDay = async (userId, period) => {
+  const rows = await Journal.aggregate([
+    matchStage(userId, period),
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: period.timezone } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+  const days = eachDay(period.from, period.to).map((date) => ({ date, count: counts[date] || 0 }));
+  return { days, total: days.reduce((sum, d) => sum + d.count, 0) };
+};
+
+export const moodCounts = async (userId, period) => {
+  const rows = await Journal.aggregate([
+    matchStage(userId, period),
+    { $group: { _id: { $ifNull: ['$mood', 'neutral'] }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]));
+};
+
+// Current streak counts back from today, or from yesterday if today has no entry yet
+export const writingStreak = async (userId, timezone) => {
+  const rows = await Journal.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } } } },
+    { $sort: { _id: -1 } }
+  ]);
+  const days = rows.map((r) => r._id);
+  const today = dayKey(new Date(), timezone);
+  if (days.length === 0) return { streak: 0, longest: 0, lastEntryDate: null, today, wroteToday: false };
+
+  let streak = 0;
+  if (daysBetween(days[0], today) <= 1) {
+    streak = 1;
+    while (streak < days.length && daysBetween(days[streak], days[streak - 1]) === 1) streak++;
+  }
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < days.length; i++) {
+    run = daysBetween(days[i], days[i - 1]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  return { streak, longest, lastEntryDate: days[0], today, wroteToday: days[0] === today };
+};
+
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+// Mood as one number for charts and correlations: how pleasant it is (-1 to 1),
+// scaled by intensity out of 5. Entries without an intensity count as 3.
+export const moodScore = (mood, intensity) => (MOOD_VALENCE[mood] ?? 0) * ((intensity || 3) / 5);
+
+// Pearson's r for [[x, y], ...]; null with fewer than 3 pairs or when either side never varies
+export const correlation = (pairs) => {
+  if (pairs.length < 3) return null;
+  const mx = average(pairs.map(([x]) => x));
+  const my = average(pairs.map(([, y]) => y));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  pairs.forEach(([x, y]) => {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+const trackedEntries = (userId, { start, end }) => Journal.find({ user: userId, createdAt: { $gte: start, $lt: end } })
+  .select('createdAt mood moodIntensity metrics')
+  .lean();
+
+// Per calendar day: average mood score, mood intensity and each metric (null when nothing was recorded)
+export const metricsByDay = async (userId, period, definitions) => {
+  const entries = await trackedEntries(userId, period);
+  const byDay = new Map();
+  entries.forEach((entry) => {
+    const key = dayKey(entry.createdAt, period.timezone);
+    byDay.set(key, [...(byDay.get(key) || []), entry]);
+  });
+
+  return eachDay(period.from, period.to).map((date) => {
+    const dayEntries = byDay.get(date) || [];
+    const day = {
+      date,
+      entries: dayEntries.length,
+      mood: round(average(dayEntries.map((e) => moodScore(e.mood, e.moodIntensity)))),
+      intensity: round(average(dayEntries.filter((e) => e.moodIntensity).map((e) => e.moodIntensity)))
+    };
+    definitions.forEach(({ key }) => {
+      day[key] = round(average(dayEntries.map((e) => e.metrics?.[key]).filter((v) => typeof v === 'number')));
+    });
+    return day;
+  });
+};
+
+// How each metric moves with mood, entry by entry, and its average under each primary mood
+export const metricCorrelations = async (userId, period, definitions) => {
+  const entries = await trackedEntries(userId, period);
+  return definitions.map(({ key, label, unit }) => {
+    const recorded = entries.filter((e) => typeof e.metrics?.[key] === 'number');
+    const byMood = {};
+    recorded.forEach((e) => {
+      (byMood[e.mood] = byMood[e.mood] || []).push(e.metrics[key]);
+    });
+    return {
+      key,
+      label,
+      unit,
+      entries: recorded.length,
+      correlation: round(correlation(recorded.map((e) => [e.metrics[key], moodScore(e.mood, e.moodIntensity)]))),
+      average: round(average(recorded.map((e) => e.metrics[key]))),
+      byMood: Object.fromEntries(Object.entries(byMood).map(([mood, values]) => [mood, round(average(values))]))
+    };
+  });
+};
+
+// Secondary emotions, most frequent first
+export const emotionCounts = async (userId, period) => {
+  const rows = await Journal.aggregate([
+    matchStage(userId, period),
+    { $unwind: '$emotions' },
+    { $group: { _id: '$emotions', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]));
+};
@@ -0,0 +1,19 @@
+import local from './local.js';
+import s3 from './s3.js';
+
+// Blob storage for attachments. STORAGE_DRIVER=local|s3, default local.
+// Adapters implement put(key, buffer, contentType), get(key) -> readable stream, remove(key).
+// A missing key surfaces as an error with code 'ENOENT', thrown by get or emitted by the stream.
+const drivers = { local, s3 };
+
+let override = null;
+
+// Swap the adapter (e.g. an in-memory stub in tests). Pass null to restore config-based selection.
+export const setStorage = (storage) => {
+  override = storage;
+};
+
+export const getStorage = () => {
+  if (override) return override;
+  return drivers[(process.env.STORAGE_DRIVER || '').toLowerCase()] || local;
+};
@@ -0,0 +1,25 @@
+import fs from 'fs';
+import path from 'path';
+
+// Files under STORAGE_DIR (default ./uploads), one path per key
+const root = () => path.resolve(process.env.STORAGE_DIR || 'uploads');
+
+const fullPath = (key) => {
+  const file = path.resolve(root(), key);
+  // Keys are generated server-side, but never let one escape the storage root
+  if (!file.startsWith(root() + path.sep)) throw new Error('Invalid storage key');
+  return file;
+};
+
+export default {
+  name: 'local',
+  put: async (key, buffer) => {
+    const file = fullPath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+  get: async (key) => fs.createReadStream(fullPath(key)),
+  remove: async (key) => {
+    await fs.promises.rm(fullPath(key), { force: true });
+  }
+};
@@ -0,0 +1,49 @@
+import { DeleteObjectCommand, GetObjectCommand, NoSuchKey, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+
+// Any S3-compatible store. Point S3_ENDPOINT at MinIO or LocalStack
+// (e.g. http://localhost:9000) to run against a local stand-in; path-style
+// addressing is used whenever an endpoint is set, which both expect.
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true }),
+      ...(process.env.S3_ACCESS_KEY_ID && {
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      })
+    });
+  }
+  return client;
+};
+
+const bucket = () => {
+  if (!process.env.S3_BUCKET) throw new Error('S3_BUCKET is not set');
+  return process.env.S3_BUCKET;
+};
+
+export default {
+  name: 's3',
+  put: async (key, buffer, contentType) => {
+    await getClient().send(new PutObjectCommand({ Bucket: bucket(), Key: key, Body: buffer, ContentType: contentType }));
+  },
+  get: async (key) => {
+    try {
+      const result = await getClient().send(new GetObjectCommand({ Bucket: bucket(), Key: key }));
+      return result.Body;
+    } catch (error) {
+      // Some S3-compatible stores answer a bare 404 instead of NoSuchKey
+      if (error instanceof NoSuchKey || error.$metadata?.httpStatusCode === 404) {
+        throw Object.assign(new Error(`No such key: ${key}`), { code: 'ENOENT' });
+      }
+      throw error;
+    }
+  },
+  remove: async (key) => {
+    await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: key }));
+  }
+};
@@ -0,0 +1,78 @@
+import Journal from '../models/Journal.js';
+
+// Tags are stored normalized: lowercase, no leading '#', words joined by single
+// hyphens, so "Work", "work " and "#work" are one tag. Synonyms ("job" vs "work")
+// are left to the user to merge.
+
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TAGS = 20;
+
+export class TagError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const normalizeTag = (tag) => String(tag ?? '')
+  .trim()
+  .replace(/^#+/, '')
+  .toLowerCase()
+  .replace(/[\s_]+/g, '-')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-|-$/g, '')
+  .slice(0, MAX_TAG_LENGTH);
+
+// Array or comma-separated string -> unique normalized tags
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+export const tagCounts = (userId) => Journal.aggregate([
+  { $match: { user: userId } },
+  { $unwind: '$tags' },
+  { $group: { _id: '$tags', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, tag: '$_id', count: 1 } }
+]);
+
+// Tag values go into pipeline updates as $literal: one starting with "$" would
+// otherwise be read as a field path
+const without = (field, tags) => ({
+  $filter: { input: { $ifNull: [field, []] }, cond: { $not: [{ $in: ['$$this', { $literal: tags }] }] } }
+});
+
+// Replace each of `sources` with `target` on every entry that has one of them.
+// Sources are matched exactly, so legacy spellings ("Work ") can be folded in.
+// The embedding includes tags, so affected entries are re-embedded.
+export const mergeTags = async (userId, sources, target) => {
+  const name = normalizeTag(target);
+  if (!name) throw new TagError('A tag name is required');
+  const from = [...new Set((Array.isArray(sources) ? sources : [sources]).map(String))].filter((t) => t && t !== name);
+  if (from.length === 0) throw new TagError('Choose at least one other tag to merge');
+
+  const result = await Journal.updateMany({ user: userId, tags: { $in: from } }, [
+    {
+      $set: {
+        tags: {
+          $let: {
+            vars: { kept: without('$tags', from) },
+            in: { $cond: [{ $in: [{ $literal: name }, '$$kept'] }, '$$kept', { $concatArrays: ['$$kept', [{ $literal: name }]] }] }
+          }
+        },
+        aiTags: without('$aiTags', [...from, name])
+      }
+    },
+    { $unset: 'embedding' }
+  ]);
+  return { tag: name, merged: from, updated: result.modifiedCount };
+};
+
+export const deleteTag = async (userId, tag) => {
+  const result = await Journal.updateMany(
+    { user: userId, tags: tag },
+    { $pull: { tags: tag }, $unset: { embedding: 1 } }
+  );
+  return { tag, updated: result.modifiedCount };
+};
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Template from '../models/Template.js';
+import { isCiphertext } from './encryption.js';
+
+// Guided journaling templates. The built-ins below are the same for everyone;
+// users can add their own. An entry written from a template keeps the answers
+// as sections ([{ key, label, value }]) and the same text as markdown in
+// `content`, so search, analysis and export work on it unchanged.
+
+export const MAX_FIELDS = 12;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_LABEL_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 300;
+
+export class TemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    _id: 'gratitude',
+    name: 'Gratitude',
+    description: 'Notice the good things, big and small.',
+    fields: [
+      { key: 'grateful-for', label: 'Three things I\'m grateful for', prompt: 'They can be as small as a good cup of coffee.' },
+      { key: 'why', label: 'Why they matter', prompt: 'What did each one add to your day?' },
+      { key: 'someone', label: 'Someone I appreciate', prompt: 'Who made a difference, and how?' }
+    ]
+  },
+  {
+    _id: 'thought-record',
+    name: 'CBT thought record',
+    description: 'Untangle a difficult moment by looking at the thought behind it.',
+    fields: [
+      { key: 'situation', label: 'Situation', prompt: 'Where were you, what happened, who was there?' },
+      { key: 'automatic-thought', label: 'Automatic thought', prompt: 'What went through your mind?' },
+      { key: 'emotions', label: 'Emotions', prompt: 'What did you feel, and how strongly (0-100%)?' },
+      { key: 'evidence-for', label: 'Evidence for the thought', prompt: 'What facts support it?' },
+      { key: 'evidence-against', label: 'Evidence against the thought', prompt: 'What facts don\'t fit it?' },
+      { key: 'balanced-thought', label: 'Balanced thought', prompt: 'A fairer way to see it, given all the evidence.' },
+      { key: 'outcome', label: 'Outcome', prompt: 'How do you feel now, and how strongly?' }
+    ]
+  },
+  {
+    _id: 'daily-review',
+    name: 'Daily review',
+    description: 'Look back on the day before it ends.',
+    fields: [
+      { key: 'went-well', label: 'What went well', prompt: 'Wins, progress, good moments.' },
+      { key: 'challenges', label: 'What was hard', prompt: 'What got in the way?' },
+      { key: 'learned', label: 'What I learned', prompt: 'About the work, other people or yourself.' },
+      { key: 'tomorrow', label: 'Tomorrow I want to', prompt: 'One or two things that matter most.' }
+    ]
+  },
+  {
+    _id: 'morning',
+    name: '5-minute morning',
+    description: 'Set the tone for the day in a few lines.',
+    fields: [
+      { key: 'grateful-for', label: 'I\'m grateful for', prompt: 'Three things, quickly.' },
+      { key: 'great-day', label: 'What would make today great', prompt: 'Things within your control.' },
+      { key: 'affirmation', label: 'Daily affirmation', prompt: 'I am...' }
+    ]
+  }
+].map((template) => ({ ...template, builtIn: true }));
+
+const toKey = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'field';
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+// Request body -> { name, description, fields }. Keys come from the labels
+// unless given, and are made unique within the template.
+export const validateTemplate = ({ name, description, fields } = {}) => {
+  const cleanName = text(name, MAX_NAME_LENGTH);
+  if (!cleanName) throw new TemplateError('A template name is required');
+  if (!Array.isArray(fields) || fields.length === 0) throw new TemplateError('A template needs at least one field');
+  if (fields.length > MAX_FIELDS) throw new TemplateError(`A template can have at most ${MAX_FIELDS} fields`);
+
+  const seen = new Set();
+  const cleanFields = fields.map((field) => {
+    const label = text(field?.label, MAX_LABEL_LENGTH);
+    if (!label) throw new TemplateError('Every field needs a label');
+    const base = toKey(text(field.key, MAX_LABEL_LENGTH) || label);
+    let key = base;
+    for (let n = 2; seen.has(key); n++) key = `${base}-${n}`;
+    seen.add(key);
+    return { key, label, prompt: text(field.prompt, MAX_PROMPT_LENGTH) };
+  });
+
+  return { name: cleanName, description: text(description, MAX_DESCRIPTION_LENGTH), fields: cleanFields };
+};
+
+// Built-ins first, then the user's own by name
+export const listTemplates = async (userId) => {
+  const own = await Template.find({ user: userId }).sort({ name: 1 }).lean();
+  return [...BUILT_IN_TEMPLATES, ...own.map((template) => ({ ...template, builtIn: false }))];
+};
+
+// A built-in id ('gratitude') or one of the user's template ids; null if neither
+export const findTemplate = async (userId, id) => {
+  const builtIn = BUILT_IN_TEMPLATES.find((template) => template._id === id);
+  if (builtIn) return builtIn;
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Template.findOne({ _id: id, user: userId }).lean();
+};
+
+// Answers from the editor -> stored sections; blank answers are dropped.
+// Labels stay readable, but an encrypted entry's answers must be ciphertext.
+export const normalizeSections = (sections, { encrypted = false } = {}) => {
+  if (sections === undefined || sections === null) return [];
+  if (!Array.isArray(sections)) throw new TemplateError('sections must be a list');
+  if (sections.length > MAX_FIELDS) throw new TemplateError(`An entry can have at most ${MAX_FIELDS} sections`);
+
+  const clean = sections
+    .map((section) => ({
+      key: toKey(text(section?.key, MAX_LABEL_LENGTH) || text(section?.label, MAX_LABEL_LENGTH)),
+      label: text(section?.label, MAX_LABEL_LENGTH),
+      value: typeof section?.value === 'string' ? section.value : ''
+    }))
+    .filter((section) => section.label && section.value.trim());
+
+  const unsealed = encrypted && clean.find((section) => !isCiphertext(section.value));
+  if (unsealed) throw new TemplateError(`${unsealed.label} must be encrypted`);
+  return clean;
+};
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import AnalysisJob from '../models/AnalysisJob.js';
+import Journal from '../models/Journal.js';
+import JournalRevision from '../models/JournalRevision.js';
+import TrashedJournal from '../models/TrashedJournal.js';
+import { enqueueAnalysis } from './analysisQueue.js';
+import { removeAttachments } from './attachments.js';
+
+// Deleted journals move to a trash collection for TRASH_RETENTION_DAYS, so
+// every other query keeps seeing only live entries. A periodic sweep purges
+// expired ones together with their revision history and attachments.
+
+// Read on use: this module is imported before dotenv has run
+export const trashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+export class TrashError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const moveToTrash = async (journal) => {
+  const deletedAt = new Date();
+  const trashed = await TrashedJournal.create({
+    user: journal.user,
+    journalId: journal._id,
+    journal: journal.toObject({ depopulate: true }),
+    deletedAt,
+    expiresAt: new Date(deletedAt.getTime() + trashRetentionDays() * 86400000)
+  });
+  await journal.deleteOne();
+  await AnalysisJob.deleteOne({ journal: journal._id });
+  return trashed;
+};
+
+export const listTrash = async (userId) => {
+  const items = await TrashedJournal.find({ user: userId }).sort({ deletedAt: -1 }).lean();
+  return items.map(({ journal, deletedAt, expiresAt }) => ({
+    _id: journal._id,
+    title: journal.title,
+    mood: journal.mood,
+    tags: journal.tags,
+    encrypted: Boolean(journal.encrypted),
+    createdAt: journal.createdAt,
+    deletedAt,
+    expiresAt
+  }));
+};
+
+const findTrashed = async (userId, journalId) => {
+  if (!mongoose.isValidObjectId(journalId)) throw new TrashError('Journal not found in trash', 404);
+  const trashed = await TrashedJournal.findOne({ journalId: new mongoose.Types.ObjectId(journalId) });
+  if (!trashed) throw new TrashError('Journal not found in trash', 404);
+  if (trashed.user.toString() !== userId.toString()) throw new TrashError('Not authorized', 403);
+  return trashed;
+};
+
+export const restoreFromTrash = async (userId, journalId) => {
+  const trashed = await findTrashed(userId, journalId);
+
+  // Raw insert keeps the original id and timestamps
+  await Journal.collection.insertOne(trashed.journal);
+  await trashed.deleteOne();
+
+  const journal = await Journal.findById(trashed.journalId);
+  if (journal.analysisStatus === 'pending') await enqueueAnalysis(journal);
+  return journal;
+};
+
+export const purgeFromTrash = async (userId, journalId) => {
+  const trashed = await findTrashed(userId, journalId);
+  await trashed.deleteOne();
+  await JournalRevision.deleteMany({ journal: trashed.journalId });
+  await removeAttachments({ journal: trashed.journalId });
+};
+
+export const sweepExpiredTrash = async () => {
+  try {
+    const expired = await TrashedJournal.find({ expiresAt: { $lte: new Date() } }).select('journalId').lean();
+    if (expired.length === 0) return;
+    const ids = expired.map((t) => t.journalId);
+    await JournalRevision.deleteMany({ journal: { $in: ids } });
+    await removeAttachments({ journal: { $in: ids } });
+    await TrashedJournal.deleteMany({ _id: { $in: expired.map((t) => t._id) } });
+  } catch (error) {
+    console.error('Trash sweep failed:', error);
+  }
+};
+
+let timer = null;
+
+export const startTrashSweeper = () => {
+  if (timer) return;
+  timer = setInterval(sweepExpiredTrash, SWEEP_INTERVAL_MS);
+  timer.unref?.();
+  sweepExpiredTrash();
+};
@@ -0,0 +1,83 @@
+import Trivia from '../models/Trivia.js';
+import { getDailyTrivia, getProvider } from './ai/index.js';
+import local from './ai/local.js';
+import { addDays, dayKey } from './dates.js';
+
+// Only configured locales are generated, so arbitrary ?locale= values can't
+// trigger unbounded model calls. The first one is the default. Read on use, as
+// this module loads before dotenv.
+const configuredLocales = () => {
+  const locales = (process.env.TRIVIA_LOCALES || '').split(',').map((l) => l.trim()).filter(Boolean);
+  return locales.length ? locales : ['en-US'];
+};
+const FALLBACK_RETRY_MS = 60 * 60 * 1000;
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+export const resolveLocale = (requested) => {
+  const locales = configuredLocales();
+  if (!requested) return locales[0];
+  const exact = locales.find((l) => l.toLowerCase() === requested.toLowerCase());
+  if (exact) return exact;
+  const language = requested.split('-')[0].toLowerCase();
+  return locales.find((l) => l.split('-')[0].toLowerCase() === language) || locales[0];
+};
+
+export const dateLabel = (date, locale) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, { month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+const generate = async (date, locale) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  const month = d.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+  const day = d.getUTCDate();
+
+  try {
+    const events = await getDailyTrivia({ month, day, locale }, { fallback: false });
+    if (events.length > 0) return { events, provider: getProvider().name, isFallback: false };
+  } catch (error) {
+    console.error(`Trivia generation failed for ${date} (${locale}):`, error.message);
+  }
+  return { events: await local.dailyTrivia(), provider: local.name, isFallback: true };
+};
+
+// Cached trivia for a date; generates it on first request
+export const getTrivia = async (date, locale) => {
+  const cached = await Trivia.findOne({ date, locale });
+  const stale = cached?.isFallback && getProvider() !== local &&
+    Date.now() - cached.updatedAt.getTime() > FALLBACK_RETRY_MS;
+  if (cached && !stale) return cached;
+
+  const generated = await generate(date, locale);
+  // Never replace real trivia with a fallback someone else cached meanwhile
+  return Trivia.findOneAndUpdate(
+    { date, locale, $or: [{ isFallback: true }, { events: { $size: 0 } }] },
+    { $set: generated },
+    { upsert: true, new: true }
+  ).catch(async (error) => {
+    if (error.code === 11000) return Trivia.findOne({ date, locale });
+    throw error;
+  });
+};
+
+// Users span timezones, so "today" somewhere can be yesterday or tomorrow in UTC.
+// Keep today and tomorrow (UTC) ready for every configured locale.
+export const pregenerateTrivia = async () => {
+  const today = dayKey(new Date(), 'UTC');
+  for (const date of [today, addDays(today, 1)]) {
+    for (const locale of configuredLocales()) {
+      try {
+        await getTrivia(date, locale);
+      } catch (error) {
+        console.error('Trivia pre-generation error:', error);
+      }
+    }
+  }
+};
+
+let timer = null;
+
+export const startTriviaScheduler = () => {
+  if (timer) return;
+  timer = setInterval(pregenerateTrivia, SCHEDULE_INTERVAL_MS);
+  timer.unref?.();
+  pregenerateTrivia();
+};
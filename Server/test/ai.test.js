@@ -0,0 +1,82 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import local, { detectMood, summarize } from '../services/ai/local.js';
+import { analyzeWithAI, getProvider, setProvider } from '../services/ai/index.js';
+import { parseJSONReply } from '../services/ai/llm.js';
+
+// Everything here runs offline: the local analyzer, or a stub swapped in with setProvider
+
+const stub = (overrides = {}) => ({
+  name: 'stub',
+  analyzeEntry: async () => ({ summary: 'stubbed', mood: 'calm', tags: ['stub'] }),
+  dailyTrivia: async () => ['a fact'],
+  ...overrides
+});
+
+afterEach(() => setProvider(null));
+
+describe('local analyzer', () => {
+  test('detects the dominant mood from the lexicon', () => {
+    assert.equal(detectMood('I was so happy and glad today, we laughed a lot'), 'happy');
+    assert.equal(detectMood('Worried and stressed about the deadline'), 'anxious');
+  });
+
+  test('ignores negated mood words', () => {
+    assert.equal(detectMood('I was not happy'), 'neutral');
+  });
+
+  test('summarizes to the opening sentences within the limit', () => {
+    assert.equal(summarize('First sentence. Second one. Third one.'), 'First sentence. Second one.');
+    assert.ok(summarize('word '.repeat(100), 50).length <= 51);
+    assert.equal(summarize(''), 'No summary available');
+  });
+
+  test('analyzeEntry is deterministic', async () => {
+    const text = 'Grateful for the garden. The garden was full of tomatoes.';
+    assert.deepEqual(await local.analyzeEntry(text), await local.analyzeEntry(text));
+    assert.equal((await local.analyzeEntry(text)).mood, 'grateful');
+  });
+});
+
+describe('provider selection', () => {
+  test('AI_PROVIDER=local picks the local analyzer', () => {
+    const previous = process.env.AI_PROVIDER;
+    process.env.AI_PROVIDER = 'local';
+    try {
+      assert.equal(getProvider(), local);
+    } finally {
+      if (previous === undefined) delete process.env.AI_PROVIDER;
+      else process.env.AI_PROVIDER = previous;
+    }
+  });
+
+  test('setProvider overrides the configured provider', async () => {
+    setProvider(stub());
+    assert.deepEqual(await analyzeWithAI('anything'), { summary: 'stubbed', mood: 'calm', tags: ['stub'] });
+  });
+
+  test('a failing provider falls back to the local analyzer', async () => {
+    setProvider(stub({ analyzeEntry: async () => { throw new Error('offline'); } }));
+    const result = await analyzeWithAI('I feel calm and relaxed');
+    assert.equal(result.mood, 'calm');
+  });
+
+  test('fallback: false surfaces the provider error', async () => {
+    setProvider(stub({ analyzeEntry: async () => { throw new Error('offline'); } }));
+    await assert.rejects(analyzeWithAI('text', { fallback: false }), /offline/);
+  });
+
+  test('empty content is not sent to the provider', async () => {
+    let called = false;
+    setProvider(stub({ analyzeEntry: async () => { called = true; return {}; } }));
+    assert.equal((await analyzeWithAI('')).mood, 'neutral');
+    assert.equal(called, false);
+  });
+});
+
+describe('reply parsing', () => {
+  test('reads JSON wrapped in prose or code fences', () => {
+    assert.deepEqual(parseJSONReply('Sure!\n```json\n{"mood":"sad"}\n```'), { mood: 'sad' });
+    assert.deepEqual(parseJSONReply('not json'), {});
+  });
+});
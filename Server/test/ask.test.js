@@ -0,0 +1,224 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Journal from '../models/Journal.js';
+import { setProvider } from '../services/ai/index.js';
+import { askJournal, cosineSimilarity, embeddingText, indexPendingEmbeddings, searchEntries } from '../services/ask.js';
+import { embedderKey, setEmbedder } from '../services/embeddings/index.js';
+import local, { embedText } from '../services/embeddings/local.js';
+
+// Uses the local embedder, with Journal queries answered from an in-memory list
+
+afterEach(() => {
+  setEmbedder(null);
+  setProvider(null);
+});
+
+// Chainable like a mongoose query, resolving to `result`
+const query = (result) => {
+  const q = {
+    sort: () => q,
+    limit: (n) => {
+      result = result.slice(0, n);
+      return q;
+    },
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return q;
+};
+
+const entry = (id, title, content) => ({
+  _id: id,
+  title,
+  content,
+  tags: [],
+  mood: 'calm',
+  aiSummary: '',
+  createdAt: new Date('2024-05-01T12:00:00Z'),
+  updatedAt: new Date('2024-05-01T12:00:00Z')
+});
+
+// Every entry already indexed: pending lookups find nothing, candidate and id lookups read `entries`
+const fakeJournals = (t, entries) => t.mock.method(Journal, 'find', (filter) => {
+  if (filter['embedding.model']?.$ne) return query([]);
+  if (filter._id?.$in) return query(entries.filter((e) => filter._id.$in.includes(e._id)));
+  return query(entries.map((e) => ({ _id: e._id, embedding: { vector: embedText(embeddingText(e)) } })));
+});
+
+describe('cosineSimilarity', () => {
+  test('is 1 for the same direction and 0 for orthogonal vectors', () => {
+    assert.equal(cosineSimilarity([1, 2, 3], [2, 4, 6]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+  });
+
+  test('is 0 for empty, zero or mismatched vectors', () => {
+    assert.equal(cosineSimilarity([], []), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+    assert.equal(cosineSimilarity([1, 2], [1, 2, 3]), 0);
+    assert.equal(cosineSimilarity(undefined, [1]), 0);
+  });
+
+  test('ranks related local embeddings above unrelated ones', () => {
+    const question = embedText('hiking in the mountains');
+    const related = embedText('We went hiking up the mountains all day');
+    const unrelated = embedText('Tax paperwork and a dentist appointment');
+    assert.ok(cosineSimilarity(question, related) > cosineSimilarity(question, unrelated));
+  });
+});
+
+describe('indexPendingEmbeddings', () => {
+  // Entries stay pending until the test says otherwise; ids already tried are skipped
+  const pendingJournals = (t, entries) => t.mock.method(Journal, 'find', (filter) =>
+    query(entries.filter((e) => !filter._id.$nin.includes(e._id))));
+
+  const countingEmbedder = (embed = local.embed) => {
+    const calls = [];
+    return {
+      calls,
+      embedder: {
+        ...local,
+        embed: async (texts) => {
+          calls.push(texts.length);
+          return embed(texts);
+        }
+      }
+    };
+  };
+
+  test('embeds pending entries in batches and stores the model with each vector', async (t) => {
+    setEmbedder(local);
+    const find = pendingJournals(t, Array.from({ length: 25 }, (_, i) => entry(`id${i}`, `Entry ${i}`, `Some words about day ${i}`)));
+    const bulkWrite = t.mock.method(Journal, 'bulkWrite', async () => ({}));
+
+    assert.equal(await indexPendingEmbeddings({ user: 'user1' }), 25);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      encrypted: { $ne: true }, 'embedding.model': { $ne: embedderKey(local) }, user: 'user1', _id: { $nin: [] }
+    });
+    assert.deepEqual(bulkWrite.mock.calls.map((c) => c.arguments[0].length), [20, 5]);
+
+    const [op] = bulkWrite.mock.calls[0].arguments[0];
+    // Skipped if the entry changed while it was being embedded
+    assert.deepEqual(op.updateOne.filter, { _id: 'id0', updatedAt: new Date('2024-05-01T12:00:00Z') });
+    assert.equal(op.updateOne.update.$set.embedding.model, 'local:hash-512');
+    assert.deepEqual(op.updateOne.update.$set.embedding.vector, embedText('Entry 0\n\nSome words about day 0'));
+  });
+
+  test('stops at the limit', async (t) => {
+    setEmbedder(local);
+    pendingJournals(t, ['a', 'b', 'c', 'd', 'e'].map((id) => entry(id, id, id)));
+    t.mock.method(Journal, 'bulkWrite', async () => ({}));
+    assert.equal(await indexPendingEmbeddings({ limit: 3 }), 3);
+  });
+
+  test('does not re-embed entries whose guarded write missed', async (t) => {
+    const { calls, embedder } = countingEmbedder();
+    setEmbedder(embedder);
+    // Edited mid-embed: the write matches nothing and the entries stay pending
+    const find = pendingJournals(t, [entry('a', 'A', 'a'), entry('b', 'B', 'b')]);
+    t.mock.method(Journal, 'bulkWrite', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+
+    await indexPendingEmbeddings({ limit: 200 });
+    assert.deepEqual(calls, [2]);
+    assert.equal(find.mock.callCount(), 2);
+  });
+
+  test('skips an entry the provider rejects and indexes the rest', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { calls, embedder } = countingEmbedder(async (texts) => {
+      if (texts.some((text) => text.includes('rejected'))) throw new Error('input too long');
+      return texts.map(embedText);
+    });
+    setEmbedder(embedder);
+    pendingJournals(t, [entry('a', 'A', 'fine'), entry('bad', 'Bad', 'rejected'), entry('c', 'C', 'also fine')]);
+    const bulkWrite = t.mock.method(Journal, 'bulkWrite', async () => ({}));
+
+    assert.equal(await indexPendingEmbeddings(), 2);
+    assert.deepEqual(bulkWrite.mock.calls[0].arguments[0].map((op) => op.updateOne.filter._id), ['a', 'c']);
+    // The whole batch once, then each entry on its own
+    assert.deepEqual(calls, [3, 1, 1, 1]);
+  });
+});
+
+describe('searchEntries', () => {
+  test('returns the closest entries first', async (t) => {
+    setEmbedder(local);
+    fakeJournals(t, [
+      entry('tax', 'Paperwork', 'Tax forms and receipts all evening'),
+      entry('hike', 'Mountains', 'We went hiking in the mountains and saw a lake')
+    ]);
+    const results = await searchEntries({ _id: 'search-user' }, 'hiking in the mountains');
+    assert.equal(results[0].journal._id, 'hike');
+    assert.ok(results.every((r, i) => i === 0 || r.score <= results[i - 1].score));
+  });
+
+  test('runs the on-demand indexing pass at most once per user per interval', async (t) => {
+    setEmbedder(local);
+    const find = fakeJournals(t, [entry('hike', 'Mountains', 'hiking')]);
+    const pendingLookups = () => find.mock.calls.filter((c) => c.arguments[0]['embedding.model']?.$ne).length;
+
+    await searchEntries({ _id: 'rate-limited-user' }, 'hiking');
+    await searchEntries({ _id: 'rate-limited-user' }, 'hiking again');
+    assert.equal(pendingLookups(), 1);
+
+    await searchEntries({ _id: 'another-user' }, 'hiking');
+    assert.equal(pendingLookups(), 2);
+  });
+
+  test('still answers from existing vectors when on-demand indexing fails', async (t) => {
+    setEmbedder(local);
+    t.mock.method(console, 'error', () => {});
+    const entries = [entry('hike', 'Mountains', 'We went hiking in the mountains')];
+    t.mock.method(Journal, 'find', (filter) => {
+      if (filter['embedding.model']?.$ne) throw new Error('database hiccup');
+      if (filter._id?.$in) return query(entries);
+      return query(entries.map((e) => ({ _id: e._id, embedding: { vector: embedText(embeddingText(e)) } })));
+    });
+    const results = await searchEntries({ _id: 'failing-index-user' }, 'hiking');
+    assert.equal(results[0].journal._id, 'hike');
+  });
+
+  test('needs a query', async () => {
+    await assert.rejects(searchEntries({ _id: 'u' }, '   '), /Ask a question/);
+  });
+});
+
+describe('askJournal citations', () => {
+  test('map [n] markers and cited numbers to the matching entries', async (t) => {
+    setEmbedder(local);
+    fakeJournals(t, [
+      entry('swim', 'Lake', 'Went swimming in the lake in the mountains'),
+      entry('hike', 'Mountains', 'Hiking in the mountains all day'),
+      entry('tax', 'Paperwork', 'Tax forms')
+    ]);
+    let sources;
+    setProvider({
+      name: 'stub',
+      answerQuestion: async (input) => {
+        sources = input.sources;
+        return { answer: 'You hiked [1] and swam [2]. See also [9].', citations: ['2'] };
+      }
+    });
+
+    const result = await askJournal({ _id: 'ask-user', timezone: 'UTC' }, 'hiking in the mountains');
+    assert.equal(result.answer, 'You hiked [1] and swam [2]. See also [9].');
+    // [9] points past the sources, so it's dropped
+    assert.deepEqual(result.citations.map((c) => c.n), [1, 2]);
+    result.citations.forEach((citation) => {
+      const source = sources[citation.n - 1];
+      assert.equal(citation.title, source.title);
+    });
+    assert.equal(result.citations[0]._id, 'hike');
+    assert.equal(sources[0].date, '2024-05-01');
+  });
+
+  test('fall back to a default answer when the provider returns none', async (t) => {
+    setEmbedder(local);
+    fakeJournals(t, [entry('hike', 'Mountains', 'Hiking in the mountains')]);
+    setProvider({ name: 'stub', answerQuestion: async () => ({ answer: '', citations: [] }) });
+    const result = await askJournal({ _id: 'empty-answer-user' }, 'mountains');
+    assert.equal(result.answer, 'I couldn\'t find an answer in your journal.');
+    assert.deepEqual(result.citations, []);
+  });
+});
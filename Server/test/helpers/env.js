@@ -0,0 +1,19 @@
+import { afterEach, beforeEach } from 'node:test';
+
+// Clears `keys` from process.env before each test in the calling file and puts
+// the original values back afterwards, so tests can set configuration freely.
+export const withEnv = (keys) => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+    keys.forEach((key) => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    keys.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+};
@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { dateFromFileName, titleFromFileName } from '../services/import/fileNames.js';
+import { ImportError, importEntries } from '../services/import/index.js';
+
+// Rejected archives fail before any entry reaches the database, so these run offline
+
+const user = { _id: 'user', timezone: 'UTC' };
+
+const zipUpload = (files, patch) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, text]) => zip.addFile(name, Buffer.from(text)));
+  const buffer = zip.toBuffer();
+  patch?.(buffer);
+  return { originalname: 'export.zip', buffer };
+};
+
+// Rewrite the uncompressed size in every central directory header
+const declareSize = (size) => (buffer) => {
+  const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+  for (let offset = buffer.indexOf(signature); offset !== -1; offset = buffer.indexOf(signature, offset + 1)) {
+    buffer.writeUInt32LE(size, offset + 24);
+  }
+};
+
+describe('file names', () => {
+  test('reads a date and an optional separated time', () => {
+    assert.equal(dateFromFileName('2023-04-05 Trip to Lisbon.md'), '2023-04-05');
+    assert.equal(dateFromFileName('notes/2023-04-05 20:24 Trip.md'), '2023-04-05T20:24');
+    assert.equal(dateFromFileName('2023-04-05T07-30.md'), '2023-04-05T07:30');
+    assert.equal(dateFromFileName('Trip to Lisbon.md'), null);
+  });
+
+  test('does not read a number after the date as a time', () => {
+    assert.equal(dateFromFileName('2023-04-05 2024 goals.md'), '2023-04-05');
+    assert.equal(titleFromFileName('2023-04-05 2024 goals.md'), '2024 goals');
+  });
+
+  test('turns the rest of the name into a title', () => {
+    assert.equal(titleFromFileName('2023-04-05_Trip_to_Lisbon.md'), 'Trip to Lisbon');
+    assert.equal(titleFromFileName('Some-notes.txt'), 'Some notes');
+  });
+});
+
+describe('zip imports', () => {
+  test('rejects a member whose size differs from its header', async () => {
+    const upload = zipUpload({ '2023-04-05 Trip.md': 'A day in Lisbon. '.repeat(50) }, declareSize(2000));
+    await assert.rejects(importEntries(user, [upload], { dryRun: true }), ImportError);
+  });
+
+  test('rejects an archive whose headers exceed the size cap', async () => {
+    const upload = zipUpload({ '2023-04-05 Trip.md': 'A day in Lisbon.' }, declareSize(60 * 1024 * 1024));
+    await assert.rejects(importEntries(user, [upload], { dryRun: true }), (error) => error instanceof ImportError && error.status === 413);
+  });
+});
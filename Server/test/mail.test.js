@@ -0,0 +1,76 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import consoleTransport from '../services/mail/console.js';
+import { getTransport, sendMail, setTransport } from '../services/mail/index.js';
+import { passwordResetEmail, verificationEmail } from '../services/mail/templates.js';
+import { withEnv } from './helpers/env.js';
+
+withEnv(['MAIL_TRANSPORT', 'SMTP_HOST', 'NODE_ENV', 'MAIL_FROM']);
+
+afterEach(() => setTransport(null));
+
+const user = { username: 'sam', email: 'sam@example.com' };
+
+describe('console transport', () => {
+  test('logs the recipient, subject and text', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    await consoleTransport.send({ to: 'sam@example.com', subject: 'Hello', text: 'Body text' });
+    assert.equal(log.mock.callCount(), 1);
+    const [output] = log.mock.calls[0].arguments;
+    assert.match(output, /sam@example\.com/);
+    assert.match(output, /Hello/);
+    assert.match(output, /Body text/);
+  });
+
+  test('is the default outside production when SMTP is not configured', () => {
+    assert.equal(getTransport().name, 'console');
+  });
+
+  test('is refused by default in production', () => {
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => getTransport(), /Mail is not configured/);
+  });
+
+  test('can be chosen explicitly in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.MAIL_TRANSPORT = 'console';
+    assert.equal(getTransport().name, 'console');
+  });
+
+  test('SMTP is picked when SMTP_HOST is set', () => {
+    process.env.SMTP_HOST = 'smtp.example.com';
+    assert.equal(getTransport().name, 'smtp');
+  });
+});
+
+describe('sendMail', () => {
+  test('fills in the sender and hands the message to the transport', async () => {
+    const sent = [];
+    setTransport({ name: 'memory', send: async (message) => sent.push(message) });
+    process.env.MAIL_FROM = 'Journal <journal@example.com>';
+    await sendMail(verificationEmail(user, 'token'));
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].from, 'Journal <journal@example.com>');
+    assert.equal(sent[0].to, 'sam@example.com');
+  });
+
+  test('rejects instead of throwing when no transport is configured', async () => {
+    process.env.NODE_ENV = 'production';
+    await assert.rejects(sendMail(verificationEmail(user, 'token')), /Mail is not configured/);
+  });
+});
+
+describe('templates', () => {
+  test('put the encoded token in the link', () => {
+    const message = passwordResetEmail(user, 'a b');
+    assert.match(message.text, /\?reset=a%20b/);
+    assert.match(message.html, /\?reset=a%20b/);
+  });
+
+  test('escape the username in HTML', () => {
+    const message = verificationEmail({ ...user, username: '<b>sam</b>' }, 'token');
+    assert.ok(!message.html.includes('<b>sam</b>'));
+    assert.match(message.html, /&lt;b&gt;sam&lt;\/b&gt;/);
+    assert.match(message.text, /<b>sam<\/b>/);
+  });
+});
@@ -0,0 +1,98 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import local from '../services/ai/local.js';
+import { reflectWithAI, setProvider } from '../services/ai/index.js';
+import { moodTrend, periodContaining } from '../services/reflections.js';
+
+// Periods and trends are pure; the narrative comes from the local analyzer or a stub provider
+
+afterEach(() => setProvider(null));
+
+const input = {
+  period: 'week',
+  from: '2024-03-04',
+  to: '2024-03-10',
+  entryCount: 4,
+  entries: [
+    { date: '2024-03-04', title: 'Garden work', summary: 'Planted tomatoes in the garden.', mood: 'calm', tags: ['garden'] },
+    { date: '2024-03-05', title: 'Deadline', summary: 'Stressful project deadline.', mood: 'anxious', tags: ['work'] },
+    { date: '2024-03-07', title: 'Garden again', summary: 'More time in the garden.', mood: 'happy', tags: ['garden'] },
+    { date: '2024-03-07', title: 'Evening', summary: 'Quiet evening reading.', mood: 'happy', tags: [] }
+  ],
+  days: [
+    { date: '2024-03-04', mood: 'calm', count: 1 },
+    { date: '2024-03-05', mood: 'anxious', count: 1 },
+    { date: '2024-03-07', mood: 'happy', count: 2 }
+  ],
+  moodCounts: { calm: 1, anxious: 1, happy: 2 },
+  trend: 'improving'
+};
+
+describe('periods', () => {
+  test('weeks run Monday to Sunday', () => {
+    assert.deepEqual(periodContaining('week', '2024-03-06'), { from: '2024-03-04', to: '2024-03-10' });
+    assert.deepEqual(periodContaining('week', '2024-03-10'), { from: '2024-03-04', to: '2024-03-10' });
+    assert.deepEqual(periodContaining('week', '2024-03-04'), { from: '2024-03-04', to: '2024-03-10' });
+  });
+
+  test('months end on their last day, leap years included', () => {
+    assert.deepEqual(periodContaining('month', '2024-02-14'), { from: '2024-02-01', to: '2024-02-29' });
+    assert.deepEqual(periodContaining('month', '2023-12-31'), { from: '2023-12-01', to: '2023-12-31' });
+  });
+});
+
+describe('mood trend', () => {
+  const days = (...moods) => moods.map((mood) => ({ mood }));
+
+  test('compares the first and second half', () => {
+    assert.equal(moodTrend(days('sad', 'anxious', 'happy', 'grateful')), 'improving');
+    assert.equal(moodTrend(days('happy', 'excited', 'sad', 'angry')), 'declining');
+    assert.equal(moodTrend(days('calm', 'neutral', 'calm', 'neutral')), 'steady');
+  });
+
+  test('needs at least two days', () => {
+    assert.equal(moodTrend(days('happy')), 'none');
+  });
+
+  test('calls big swings mixed', () => {
+    assert.equal(moodTrend(days('happy', 'sad', 'sad', 'happy')), 'mixed');
+  });
+});
+
+describe('local reflection', () => {
+  test('summarizes counts, recurring themes and notable days', async () => {
+    const reflection = await local.reflect(input);
+    assert.match(reflection.overview, /4 entries on 3 days/);
+    assert.match(reflection.overview, /most often feeling happy/);
+    assert.ok(reflection.themes.some((t) => t.title === '#garden'));
+    assert.equal(reflection.moodTrend, 'Your mood lifted as the week went on.');
+    assert.deepEqual(reflection.notableDays.map((d) => d.date), ['2024-03-07', '2024-03-05']);
+    assert.ok(reflection.suggestions.length > 0);
+  });
+
+  test('is deterministic', async () => {
+    assert.deepEqual(await local.reflect(input), await local.reflect(input));
+  });
+});
+
+describe('reflectWithAI', () => {
+  test('uses the configured provider', async () => {
+    const narrative = { overview: 'stubbed', themes: [], moodTrend: '', notableDays: [], suggestions: [] };
+    let received;
+    setProvider({ name: 'stub', reflect: async (value) => { received = value; return narrative; } });
+    assert.deepEqual(await reflectWithAI(input), narrative);
+    assert.equal(received, input);
+  });
+
+  test('falls back to the local analyzer when the provider fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    setProvider({ name: 'stub', reflect: async () => { throw new Error('offline'); } });
+    assert.deepEqual(await reflectWithAI(input), await local.reflect(input));
+  });
+
+  test('surfaces the error when fallback is off', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    setProvider({ name: 'stub', reflect: async () => { throw new Error('offline'); } });
+    await assert.rejects(reflectWithAI(input, { fallback: false }), /offline/);
+  });
+});
@@ -0,0 +1,72 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeechError, getTranscriber, setTranscriber, transcribeAudio } from '../services/speech/index.js';
+import { withEnv } from './helpers/env.js';
+
+// Providers are stubbed with setTranscriber, so nothing here needs a model or the network
+
+withEnv(['STT_PROVIDER', 'WHISPER_MODEL', 'OPENAI_API_KEY', 'STT_BASE_URL']);
+
+afterEach(() => setTranscriber(null));
+
+describe('provider selection', () => {
+  test('is unavailable with nothing configured', () => {
+    assert.equal(getTranscriber(), null);
+  });
+
+  test('prefers a local whisper.cpp model over the cloud API', () => {
+    process.env.OPENAI_API_KEY = 'key';
+    assert.equal(getTranscriber().name, 'openai');
+    process.env.WHISPER_MODEL = '/models/ggml-base.bin';
+    assert.equal(getTranscriber().name, 'whisper-cpp');
+  });
+
+  test('STT_PROVIDER picks one explicitly', (t) => {
+    process.env.WHISPER_MODEL = '/models/ggml-base.bin';
+    process.env.STT_PROVIDER = 'OpenAI';
+    assert.equal(getTranscriber().name, 'openai');
+
+    t.mock.method(console, 'warn', () => {});
+    process.env.STT_PROVIDER = 'nope';
+    assert.equal(getTranscriber(), null);
+  });
+});
+
+describe('transcribeAudio', () => {
+  test('passes the clip and its details to the provider and trims the text', async () => {
+    const calls = [];
+    setTranscriber({
+      name: 'stub',
+      transcribe: async (buffer, options) => {
+        calls.push({ buffer, options });
+        return '  Dear diary, today was long.\n';
+      }
+    });
+
+    const audio = Buffer.from('fake audio');
+    const result = await transcribeAudio(audio, { contentType: 'audio/webm', filename: 'clip.webm', language: 'en' });
+    assert.deepEqual(result, { text: 'Dear diary, today was long.', provider: 'stub' });
+    assert.equal(calls[0].buffer, audio);
+    assert.deepEqual(calls[0].options, { contentType: 'audio/webm', filename: 'clip.webm', language: 'en' });
+  });
+
+  test('answers 503 when no provider is configured', async () => {
+    await assert.rejects(transcribeAudio(Buffer.from('x')), (error) => error instanceof SpeechError && error.status === 503);
+  });
+
+  test('hides provider errors behind a 502', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    setTranscriber({ name: 'stub', transcribe: async () => { throw new Error('model crashed'); } });
+    await assert.rejects(transcribeAudio(Buffer.from('x')), (error) => {
+      assert.ok(error instanceof SpeechError);
+      assert.equal(error.status, 502);
+      assert.doesNotMatch(error.message, /model crashed/);
+      return true;
+    });
+  });
+
+  test('treats an empty result as empty text', async () => {
+    setTranscriber({ name: 'stub', transcribe: async () => null });
+    assert.deepEqual(await transcribeAudio(Buffer.from('x')), { text: '', provider: 'stub' });
+  });
+});
@@ -0,0 +1,112 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
+import { DeleteObjectCommand, GetObjectCommand, NoSuchKey, PutObjectCommand, S3Client, S3ServiceException } from '@aws-sdk/client-s3';
+import local from '../services/storage/local.js';
+import s3 from '../services/storage/s3.js';
+import { getStorage, setStorage } from '../services/storage/index.js';
+import { withEnv } from './helpers/env.js';
+
+// The S3 adapter runs against an in-memory bucket that stands in for S3Client#send
+
+withEnv(['STORAGE_DRIVER', 'STORAGE_DIR', 'S3_BUCKET']);
+
+afterEach(() => setStorage(null));
+
+const fakeBucket = (t) => {
+  const objects = new Map();
+  const send = t.mock.method(S3Client.prototype, 'send', async (command) => {
+    const { Bucket, Key } = command.input;
+    const id = `${Bucket}/${Key}`;
+    if (command instanceof PutObjectCommand) {
+      objects.set(id, { body: command.input.Body, contentType: command.input.ContentType });
+      return {};
+    }
+    if (command instanceof GetObjectCommand) {
+      if (!objects.has(id)) throw new NoSuchKey({ message: 'The specified key does not exist.', $metadata: { httpStatusCode: 404 } });
+      return { Body: Readable.from([objects.get(id).body]) };
+    }
+    if (command instanceof DeleteObjectCommand) {
+      objects.delete(id);
+      return {};
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  });
+  return { objects, send };
+};
+
+describe('storage selection', () => {
+  test('defaults to local disk and honours STORAGE_DRIVER', () => {
+    delete process.env.STORAGE_DRIVER;
+    assert.equal(getStorage().name, 'local');
+    process.env.STORAGE_DRIVER = 'S3';
+    assert.equal(getStorage().name, 's3');
+  });
+
+  test('setStorage overrides the configured driver', () => {
+    const memory = { name: 'memory' };
+    setStorage(memory);
+    assert.equal(getStorage(), memory);
+  });
+});
+
+describe('s3 adapter', () => {
+  test('puts, gets and removes objects in the configured bucket', async (t) => {
+    process.env.S3_BUCKET = 'journal-attachments';
+    const { objects, send } = fakeBucket(t);
+
+    await s3.put('user/journal/file', Buffer.from('hello'), 'audio/webm');
+    assert.deepEqual([...objects.keys()], ['journal-attachments/user/journal/file']);
+    assert.equal(objects.get('journal-attachments/user/journal/file').contentType, 'audio/webm');
+
+    assert.equal(await text(await s3.get('user/journal/file')), 'hello');
+
+    await s3.remove('user/journal/file');
+    assert.equal(objects.size, 0);
+    assert.equal(send.mock.callCount(), 3);
+  });
+
+  test('maps a missing key to ENOENT', async (t) => {
+    process.env.S3_BUCKET = 'journal-attachments';
+    fakeBucket(t);
+    await assert.rejects(s3.get('nope'), { code: 'ENOENT' });
+  });
+
+  test('maps a bare 404 to ENOENT and passes other errors through', async (t) => {
+    process.env.S3_BUCKET = 'journal-attachments';
+    const send = t.mock.method(S3Client.prototype, 'send', async () => {
+      throw new S3ServiceException({ name: 'NotFound', $fault: 'client', $metadata: { httpStatusCode: 404 } });
+    });
+    await assert.rejects(s3.get('nope'), { code: 'ENOENT' });
+
+    send.mock.mockImplementation(async () => {
+      throw new S3ServiceException({ name: 'AccessDenied', $fault: 'client', $metadata: { httpStatusCode: 403 } });
+    });
+    await assert.rejects(s3.get('secret'), { name: 'AccessDenied' });
+  });
+
+  test('needs a bucket', async () => {
+    delete process.env.S3_BUCKET;
+    await assert.rejects(s3.put('key', Buffer.from('x')), /S3_BUCKET is not set/);
+  });
+});
+
+describe('local adapter', () => {
+  test('round-trips files under STORAGE_DIR and keeps keys inside it', async (t) => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'journal-storage-'));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    process.env.STORAGE_DIR = dir;
+
+    await local.put('user/journal/file', Buffer.from('hello'));
+    assert.equal(await text(await local.get('user/journal/file')), 'hello');
+
+    await local.remove('user/journal/file');
+    assert.equal(fs.existsSync(path.join(dir, 'user/journal/file')), false);
+
+    await assert.rejects(local.put('../escape', Buffer.from('x')), /Invalid storage key/);
+  });
+});
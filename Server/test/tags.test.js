@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Journal from '../models/Journal.js';
+import { TagError, mergeTags, normalizeTag, normalizeTags } from '../services/tags.js';
+
+describe('normalizeTag', () => {
+  test('folds case, hashes and separators into one spelling', () => {
+    assert.equal(normalizeTag('  #Work '), 'work');
+    assert.equal(normalizeTag('Self Care'), 'self-care');
+    assert.equal(normalizeTag('self__care--ideas'), 'self-care-ideas');
+    assert.equal(normalizeTag(null), '');
+  });
+
+  test('normalizeTags accepts arrays or comma-separated text and drops duplicates', () => {
+    assert.deepEqual(normalizeTags('Work, #work, travel ,'), ['work', 'travel']);
+    assert.deepEqual(normalizeTags(['A', 'a', '']), ['a']);
+  });
+});
+
+describe('mergeTags', () => {
+  test('passes tag names into the pipeline as literals', async (t) => {
+    const updateMany = t.mock.method(Journal, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const result = await mergeTags('user', ['$tags', 'Work '], '$money');
+    assert.deepEqual(result, { tag: '$money', merged: ['$tags', 'Work '], updated: 2 });
+
+    const [filter, [stage]] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: 'user', tags: { $in: ['$tags', 'Work '] } });
+    const pipeline = JSON.stringify(stage);
+    assert.ok(pipeline.includes('{"$literal":["$tags","Work "]}'));
+    assert.ok(pipeline.includes('{"$literal":"$money"}'));
+    assert.ok(pipeline.includes('{"$literal":["$tags","Work ","$money"]}'));
+  });
+
+  test('needs a target and another tag', async () => {
+    await assert.rejects(mergeTags('user', ['work'], '  '), TagError);
+    await assert.rejects(mergeTags('user', ['work'], 'Work'), TagError);
+  });
+});
@@ -1,6 +1,8 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { Moon, Sun, PlusCircle, BookOpen, Home, LogOut, Edit, Trash2, Save, X, TrendingUp, Calendar, Sparkles } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import { Moon, Sun, PlusCircle, BookOpen, Home, LogOut, Edit, Trash2, Save, X, TrendingUp, Calendar, Sparkles, Search, Trophy, Lock, Target, Star, Lightbulb, Monitor, Download, Upload, History, RotateCcw, Paperclip, Mic, Square, ScrollText, MessageCircle, Send, Tag, Link2, LayoutTemplate, Activity } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Cell, Legend } from 'recharts';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
 
 // Context for Auth and Theme
 const AppContext = createContext();
@@ -14,6 +16,182 @@ const useApp = () => {
 // API Service
 const API_URL = '/api';
 
+const MOODS = ['happy', 'sad', 'neutral', 'excited', 'anxious', 'calm', 'angry', 'grateful'];
+
+// Offered next to the primary mood; any other word works too
+const EMOTIONS = ['hopeful', 'proud', 'relieved', 'content', 'loved', 'inspired', 'lonely', 'frustrated', 'overwhelmed', 'tired', 'bored', 'nervous', 'guilty', 'confused', 'nostalgic'];
+
+const INTENSITY_LABELS = { 1: 'Barely', 2: 'A little', 3: 'Moderately', 4: 'Strongly', 5: 'Intensely' };
+
+// Calendar days are colored by their dominant mood
+const MOOD_COLORS = {
+  happy: 'bg-yellow-300 dark:bg-yellow-500/70',
+  sad: 'bg-blue-300 dark:bg-blue-500/70',
+  neutral: 'bg-gray-300 dark:bg-gray-500/70',
+  excited: 'bg-orange-300 dark:bg-orange-500/70',
+  anxious: 'bg-purple-300 dark:bg-purple-500/70',
+  calm: 'bg-teal-300 dark:bg-teal-500/70',
+  angry: 'bg-red-300 dark:bg-red-500/70',
+  grateful: 'bg-green-300 dark:bg-green-500/70'
+};
+
+// Same rules as the server: lowercase, no leading '#', dashes instead of spaces
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/[\s_]+/g, '-').slice(0, 40);
+
+// Browser timezone; used until the user's saved preference has loaded
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const STAT_RANGES = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '365', label: 'Last year' },
+  { value: 'custom', label: 'Custom' }
+];
+
+// Entry timestamps are shown in the user's preferred timezone so they land on the
+// same day as in streaks and charts, even when browsing from another timezone
+const formatDate = (date, options, timeZone) =>
+  new Date(date).toLocaleDateString('en-US', { ...options, timeZone });
+
+// Day keys ('YYYY-MM-DD') from the stats API are calendar days, so format them in UTC
+const formatDayKey = (key, options) =>
+  new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+// Today's day key in the user's timezone
+const todayKey = (timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+
+// Emailed links land on /?reset=<token> or /?verify=<token>; read once, then tidy the URL
+const takeUrlParam = (name) => {
+  const params = new URLSearchParams(window.location.search);
+  const value = params.get(name);
+  if (value) {
+    params.delete(name);
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+  }
+  return value;
+};
+
+// Session tokens. Access tokens are short-lived; authFetch trades the refresh
+// token for a new pair when the server answers 401 and retries once.
+const sessionStore = {
+  save: ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  },
+  // Set by AppProvider so an unrecoverable 401 signs the user out
+  onExpired: null
+};
+
+let refreshing = null;
+
+// Single-flight: parallel 401s share one refresh, since each refresh token works only once
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+    })
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok || !data.token) throw new Error(data.message);
+        sessionStore.save(data);
+        return data.token;
+      })
+      .catch(() => {
+        sessionStore.clear();
+        sessionStore.onExpired?.();
+        return null;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+};
+
+const authFetch = async (url, options = {}) => {
+  const send = (token) => fetch(url, {
+    ...options,
+    headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+  });
+
+  const res = await send(localStorage.getItem('token'));
+  if (res.status !== 401 || !localStorage.getItem('refreshToken')) return res;
+
+  const token = await refreshSession();
+  return token ? send(token) : res;
+};
+
+// Local copies of autosaved drafts, so a refreshed tab or a dropped connection
+// can't lose an entry. Keyed by user and entry ('new' for an unsaved one).
+const DRAFT_SAVE_DELAY_MS = 1500;
+
+// Templated entries also keep their answers as markdown in content, for search, analysis and export
+const composeSections = (sections) => sections
+  .filter(section => section.value.trim())
+  .map(section => `## ${section.label}\n\n${section.value.trim()}`)
+  .join('\n\n');
+
+const draftStore = {
+  key: (userId, journalId) => `draft:${userId}:${journalId || 'new'}`,
+  save: (userId, draft) => localStorage.setItem(draftStore.key(userId, draft.journal), JSON.stringify(draft)),
+  clear: (userId, journalId) => localStorage.removeItem(draftStore.key(userId, journalId)),
+  all: (userId) => Object.keys(localStorage)
+    .filter(key => key.startsWith(`draft:${userId}:`))
+    .map(key => {
+      try {
+        return JSON.parse(localStorage.getItem(key));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+};
+
+// End-to-end encryption (Web Crypto). The key is derived from the user's passphrase
+// with PBKDF2 and never leaves the browser; the server only stores "v1.<iv>.<data>".
+const VAULT_ITERATIONS = 310000;
+// Encrypted with the key and kept server-side, so a wrong passphrase is detectable
+const VAULT_CHECK = 'journal-vault-check';
+
+const toBase64 = (buffer) => {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const vault = {
+  randomSalt: () => toBase64(crypto.getRandomValues(new Uint8Array(16))),
+  deriveKey: async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+  encrypt: async (key, text) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return `v1.${toBase64(iv)}.${toBase64(data)}`;
+  },
+  decrypt: async (key, sealed) => {
+    const [version, iv, data] = sealed.split('.');
+    if (version !== 'v1') throw new Error('Unsupported ciphertext');
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return new TextDecoder().decode(plain);
+  }
+};
+
 const api = {
   // Auth
   register: async (data) => {
@@ -32,47 +210,417 @@ const api = {
     });
     return res.json();
   },
+  forgotPassword: async (email) => {
+    const res = await fetch(`${API_URL}/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    return res.json();
+  },
+  resetPassword: async (token, password) => {
+    const res = await fetch(`${API_URL}/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, password })
+    });
+    return { ...(await res.json()), success: res.ok };
+  },
+  verifyEmail: async (token) => {
+    const res = await fetch(`${API_URL}/auth/verify-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+    return res.json();
+  },
+  resendVerification: async () => {
+    const res = await authFetch(`${API_URL}/auth/verify-email/resend`, { method: 'POST' });
+    return res.json();
+  },
+  changePassword: async (currentPassword, newPassword) => {
+    const res = await authFetch(`${API_URL}/auth/password`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+    return { ...(await res.json()), success: res.ok };
+  },
+  logout: async () => {
+    const res = await authFetch(`${API_URL}/auth/logout`, { method: 'POST' });
+    return res.json();
+  },
+  getSessions: async () => {
+    const res = await authFetch(`${API_URL}/auth/sessions`);
+    return res.json();
+  },
+  revokeSession: async (id) => {
+    const res = await authFetch(`${API_URL}/auth/sessions/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+  revokeAllSessions: async () => {
+    const res = await authFetch(`${API_URL}/auth/sessions`, { method: 'DELETE' });
+    return res.json();
+  },
+  getMe: async () => {
+    const res = await authFetch(`${API_URL}/auth/me`);
+    return res.json();
+  },
+  updateTimezone: async (timezone) => {
+    const res = await authFetch(`${API_URL}/auth/timezone`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ timezone })
+    });
+    return res.json();
+  },
+  setupEncryption: async (params) => {
+    const res = await authFetch(`${API_URL}/auth/encryption`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params)
+    });
+    return res.json();
+  },
   // Journals
-  getJournals: async (token) => {
-    const res = await fetch(`${API_URL}/journals`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+  // Paged, compact list: { items, nextCursor, total }
+  getJournals: async (params = {}) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v));
+    const res = await authFetch(`${API_URL}/journals?${query}`);
+    return res.json();
+  },
+  getJournal: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}`);
+    return res.json();
+  },
+  // Multipart upload; dryRun only reports what would be imported
+  importJournals: async (files, dryRun) => {
+    const body = new FormData();
+    files.forEach(file => body.append('files', file));
+    const res = await authFetch(`${API_URL}/journals/import?dryRun=${dryRun}`, { method: 'POST', body });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  },
+  // ZIP download: { blob, filename }
+  exportJournals: async (params = {}) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v));
+    const res = await authFetch(`${API_URL}/journals/export?${query}`);
+    if (!res.ok) throw new Error((await res.json()).message);
+    const filename = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '')?.[1] || 'journal-export.zip';
+    return { blob: await res.blob(), filename };
+  },
+  searchJournals: async (params) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v));
+    const res = await authFetch(`${API_URL}/journals/search?${query}`);
+    return res.json();
+  },
+  createJournal: async (data) => {
+    const res = await authFetch(`${API_URL}/journals`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return res.json();
+  },
+  updateJournal: async (id, data) => {
+    const res = await authFetch(`${API_URL}/journals/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    return res.json();
+  },
+  deleteJournal: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}`, {
+      method: 'DELETE'
     });
     return res.json();
   },
-  createJournal: async (token, data) => {
-    const res = await fetch(`${API_URL}/journals`, {
+  // Drafts
+  getDrafts: async () => {
+    const res = await authFetch(`${API_URL}/drafts`);
+    return res.json();
+  },
+  saveDraft: async (draft) => {
+    const res = await authFetch(`${API_URL}/drafts`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(draft)
+    });
+    return res.json();
+  },
+  deleteDraft: async (id) => {
+    const res = await authFetch(`${API_URL}/drafts/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+  // Templates
+  getTemplates: async () => {
+    const res = await authFetch(`${API_URL}/templates`);
+    return res.json();
+  },
+  createTemplate: async (data) => {
+    const res = await authFetch(`${API_URL}/templates`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data)
     });
     return res.json();
   },
-  updateJournal: async (token, id, data) => {
-    const res = await fetch(`${API_URL}/journals/${id}`, {
+  updateTemplate: async (id, data) => {
+    const res = await authFetch(`${API_URL}/templates/${id}`, {
       method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data)
     });
     return res.json();
   },
-  deleteJournal: async (token, id) => {
-    const res = await fetch(`${API_URL}/journals/${id}`, {
-      method: 'DELETE',
-      headers: { 'Authorization': `Bearer ${token}` }
+  deleteTemplate: async (id) => {
+    const res = await authFetch(`${API_URL}/templates/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+  // "Prompt me": a follow-up question for what's written so far
+  getFollowUp: async (text, template) => {
+    const res = await authFetch(`${API_URL}/journals/prompt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, template })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  },
+  getRevisions: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/revisions`);
+    return res.json();
+  },
+  getRevision: async (id, revisionId) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/revisions/${revisionId}`);
+    return res.json();
+  },
+  restoreRevision: async (id, revisionId) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/revisions/${revisionId}/restore`, { method: 'POST' });
+    return res.json();
+  },
+  getTrash: async () => {
+    const res = await authFetch(`${API_URL}/journals/trash`);
+    return res.json();
+  },
+  restoreFromTrash: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/trash/${id}/restore`, { method: 'POST' });
+    return res.json();
+  },
+  purgeFromTrash: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/trash/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+  getAttachments: async (journalId) => {
+    const res = await authFetch(`${API_URL}/journals/${journalId}/attachments`);
+    return res.json();
+  },
+  uploadAttachments: async (journalId, files) => {
+    const body = new FormData();
+    files.forEach(file => body.append('files', file));
+    const res = await authFetch(`${API_URL}/journals/${journalId}/attachments`, { method: 'POST', body });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  },
+  // <img> and <audio> can't send the Authorization header, so files come through as blobs
+  fetchAttachmentBlob: async (id, thumbnail) => {
+    const res = await authFetch(`${API_URL}/attachments/${id}${thumbnail ? '/thumbnail' : ''}`);
+    if (!res.ok) throw new Error('Failed to load attachment');
+    return res.blob();
+  },
+  deleteAttachment: async (id) => {
+    const res = await authFetch(`${API_URL}/attachments/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+  // Text only; the recording is attached separately once the entry exists
+  transcribeAudio: async (blob, filename) => {
+    const body = new FormData();
+    body.append('language', navigator.language || '');
+    body.append('audio', blob, filename);
+    const res = await authFetch(`${API_URL}/journals/transcribe`, { method: 'POST', body });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  },
+  getAttachmentUsage: async () => {
+    const res = await authFetch(`${API_URL}/attachments/usage`);
+    return res.json();
+  },
+  getAnalysisStatus: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/analysis`);
+    return res.json();
+  },
+  retryAnalysis: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/analysis/retry`, {
+      method: 'POST'
+    });
+    return res.json();
+  },
+  // Encrypted entries only: plaintext goes up for this one call
+  analyzeJournal: async (id, content) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content })
+    });
+    return res.json();
+  },
+  acceptAiMood: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/ai-mood/accept`, {
+      method: 'POST'
+    });
+    return res.json();
+  },
+  dismissAiMood: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/ai-mood/dismiss`, {
+      method: 'POST'
+    });
+    return res.json();
+  },
+  acceptAiTags: async (id, tags) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/ai-tags/accept`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags })
+    });
+    return res.json();
+  },
+  dismissAiTags: async (id, tags) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/ai-tags/dismiss`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags })
+    });
+    return res.json();
+  },
+  getRelated: async (id) => {
+    const res = await authFetch(`${API_URL}/journals/${id}/related`);
+    return res.json();
+  },
+  // Tags
+  getTags: async () => {
+    const res = await authFetch(`${API_URL}/tags`);
+    return res.json();
+  },
+  renameTag: async (tag, name) => {
+    const res = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    return res.json();
+  },
+  mergeTags: async (tags, into) => {
+    const res = await authFetch(`${API_URL}/tags/merge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags, into })
+    });
+    return res.json();
+  },
+  deleteTag: async (tag) => {
+    const res = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}`, {
+      method: 'DELETE'
+    });
+    return res.json();
+  },
+  getTrivia: async () => {
+    const query = new URLSearchParams({ locale: navigator.language || 'en-US' });
+    const res = await authFetch(`${API_URL}/journals/trivia/daily?${query}`);
+    return res.json();
+  },
+  getCurrentChallenges: async () => {
+    const res = await authFetch(`${API_URL}/challenges/current`);
+    return res.json();
+  },
+  submitChallenge: async (challengeId, journalId) => {
+    const res = await authFetch(`${API_URL}/challenges/${challengeId}/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ journalId })
+    });
+    return res.json();
+  },
+  getAchievements: async () => {
+    const res = await authFetch(`${API_URL}/achievements`);
+    return res.json();
+  },
+  getMoodAgreement: async () => {
+    const res = await authFetch(`${API_URL}/journals/stats/mood-agreement`);
+    return res.json();
+  },
+  // name: activity | moods | streak; params: { range, from, to, tz }
+  // { month: 'YYYY-MM' } or { year: 'YYYY' }
+  getCalendar: async (params) => {
+    const query = new URLSearchParams(params);
+    const res = await authFetch(`${API_URL}/journals/calendar?${query}`);
+    return res.json();
+  },
+  getCalendarDay: async (date) => {
+    const res = await authFetch(`${API_URL}/journals/calendar/${date}`);
+    return res.json();
+  },
+  getOnThisDay: async () => {
+    const res = await authFetch(`${API_URL}/journals/on-this-day`);
+    return res.json();
+  },
+  getReflections: async (period) => {
+    const res = await authFetch(`${API_URL}/reflections?period=${period}`);
+    return res.json();
+  },
+  getReflection: async (id) => {
+    const res = await authFetch(`${API_URL}/reflections/${id}`);
+    return res.json();
+  },
+  getLatestReflection: async (period) => {
+    const res = await authFetch(`${API_URL}/reflections/latest?period=${period}`);
+    return res.ok ? res.json() : null;
+  },
+  generateReflection: async (period) => {
+    const res = await authFetch(`${API_URL}/reflections`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ period })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  },
+  askJournal: async (question) => {
+    const res = await authFetch(`${API_URL}/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question })
     });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    return data;
+  },
+  getStats: async (name, params = {}) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v));
+    const res = await authFetch(`${API_URL}/journals/stats/${name}?${query}`);
+    return res.json();
+  },
+  // Metrics: built-in energy, sleep and stress, plus the user's own
+  getMetrics: async () => {
+    const res = await authFetch(`${API_URL}/metrics`);
     return res.json();
   },
-  getStats: async (token) => {
-    const res = await fetch(`${API_URL}/journals/stats/weekly`, {
-      headers: { 'Authorization': `Bearer ${token}` }
+  addMetric: async (data) => {
+    const res = await authFetch(`${API_URL}/metrics`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
     });
     return res.json();
+  },
+  deleteMetric: async (key) => {
+    const res = await authFetch(`${API_URL}/metrics/${key}`, { method: 'DELETE' });
+    return res.json();
   }
 };
 
@@ -81,8 +629,13 @@ const AppProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [theme, setTheme] = useState(localStorage.getItem('theme') || 'light');
+  // Most recent page only; JournalList pages through the rest itself
   const [journals, setJournals] = useState([]);
+  const [journalTotal, setJournalTotal] = useState(0);
+  const [toasts, setToasts] = useState([]);
   const [loading, setLoading] = useState(false);
+  // Encryption key; kept in memory only, so it's gone after a reload or sign-out
+  const [vaultKey, setVaultKey] = useState(null);
 
   useEffect(() => {
     document.documentElement.classList.toggle('dark', theme === 'dark');
@@ -95,6 +648,17 @@ const AppProvider = ({ children }) => {
     }
   }, [token]);
 
+  // After a reload only the token survives; fetch the profile (timezone etc.) again
+  useEffect(() => {
+    if (token && !user) {
+      api.getMe()
+        .then(data => { if (data._id) setUser(data); })
+        .catch(() => console.error('Failed to load profile'));
+    }
+  }, [token, user]);
+
+  const timezone = user?.timezone || TIMEZONE;
+
   const login = async (email, password) => {
     setLoading(true);
     try {
@@ -102,7 +666,7 @@ const AppProvider = ({ children }) => {
       if (data.token) {
         setToken(data.token);
         setUser(data);
-        localStorage.setItem('token', data.token);
+        sessionStore.save(data);
         return { success: true };
       }
       return { success: false, message: data.message };
@@ -116,11 +680,11 @@ const AppProvider = ({ children }) => {
   const register = async (username, email, password) => {
     setLoading(true);
     try {
-      const data = await api.register({ username, email, password });
+      const data = await api.register({ username, email, password, timezone: TIMEZONE });
       if (data.token) {
         setToken(data.token);
         setUser(data);
-        localStorage.setItem('token', data.token);
+        sessionStore.save(data);
         return { success: true };
       }
       return { success: false, message: data.message };
@@ -131,31 +695,82 @@ const AppProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Local sign-out only; used when the session is already gone server-side
+  const clearSession = () => {
     setUser(null);
     setToken(null);
     setJournals([]);
-    localStorage.removeItem('token');
+    setVaultKey(null);
+    sessionStore.clear();
+  };
+
+  const notify = useCallback((toast) => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts(prev => [...prev, { ...toast, id }]);
+    setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), 5000);
+  }, []);
+
+  // Email verification links work whether or not this browser is signed in
+  useEffect(() => {
+    const verifyToken = takeUrlParam('verify');
+    if (!verifyToken) return;
+    api.verifyEmail(verifyToken)
+      .then(data => {
+        if (data.emailVerified) {
+          setUser(prev => prev && { ...prev, emailVerified: true });
+          notify({ icon: '✅', title: 'Email verified', message: 'Thanks for confirming your address.' });
+        } else {
+          notify({ icon: '⚠️', title: 'Could not verify email', message: data.message });
+        }
+      })
+      .catch(() => console.error('Failed to verify email'));
+  }, [notify]);
+
+  useEffect(() => {
+    sessionStore.onExpired = clearSession;
+    return () => { sessionStore.onExpired = null; };
+  }, []);
+
+  const logout = async () => {
+    try {
+      // Revoke server-side so the tokens are useless even if they leaked
+      await api.logout();
+    } catch {
+      console.error('Failed to revoke session');
+    }
+    clearSession();
   };
 
   const loadJournals = async () => {
     try {
-      const data = await api.getJournals(token);
-      if (Array.isArray(data)) {
-        setJournals(data);
+      const data = await api.getJournals();
+      if (Array.isArray(data.items)) {
+        setJournals(data.items);
+        setJournalTotal(data.total || 0);
       }
     } catch (error) {
       console.error('Failed to load journals');
     }
   };
 
+  // Stable, so panels can call it from their loading effects
+  const announceAchievements = useCallback((achievements) => {
+    (achievements || []).forEach(a => notify({
+      icon: a.icon,
+      title: `Achievement unlocked: ${a.name}`,
+      message: a.description
+    }));
+  }, [notify]);
+
   const createJournal = async (journalData) => {
     setLoading(true);
     try {
-      const data = await api.createJournal(token, journalData);
+      const { newAchievements, ...data } = await api.createJournal(journalData);
       if (data._id) {
         setJournals([data, ...journals]);
-        return { success: true };
+        setJournalTotal(total => total + 1);
+        announceAchievements(newAchievements);
+        return { success: true, journal: data };
       }
       return { success: false };
     } catch (error) {
@@ -168,10 +783,11 @@ const AppProvider = ({ children }) => {
   const updateJournal = async (id, journalData) => {
     setLoading(true);
     try {
-      const data = await api.updateJournal(token, id, journalData);
+      const { newAchievements, ...data } = await api.updateJournal(id, journalData);
       if (data._id) {
         setJournals(journals.map(j => j._id === id ? data : j));
-        return { success: true };
+        announceAchievements(newAchievements);
+        return { success: true, journal: data };
       }
       return { success: false };
     } catch (error) {
@@ -183,39 +799,279 @@ const AppProvider = ({ children }) => {
 
   const deleteJournal = async (id) => {
     try {
-      await api.deleteJournal(token, id);
+      await api.deleteJournal(id);
       setJournals(journals.filter(j => j._id !== id));
+      setJournalTotal(total => Math.max(total - 1, 0));
+      notify({ icon: '🗑️', title: 'Moved to trash', message: 'You can restore it from the trash for 30 days.' });
       return { success: true };
     } catch (error) {
       return { success: false };
     }
   };
 
-  const toggleTheme = () => {
-    setTheme(theme === 'light' ? 'dark' : 'light');
-  };
+  // Merge server-side changes (e.g. finished AI analysis) into a loaded journal
+  const mergeJournal = useCallback((id, fields) => {
+    setJournals(prev => prev.map(j => j._id === id ? { ...j, ...fields } : j));
+  }, []);
 
-  return (
-    <AppContext.Provider value={{
-      user, token, theme, journals, loading,
-      login, register, logout, toggleTheme,
-      createJournal, updateJournal, deleteJournal, loadJournals
-    }}>
-      {children}
-    </AppContext.Provider>
-  );
-};
+  // Stable, so a polling effect doesn't restart on every render
+  const refreshAnalysis = useCallback(async (id) => {
+    try {
+      const data = await api.getAnalysisStatus(id);
+      if (data.analysisStatus) {
+        mergeJournal(id, data);
+      }
+      return data;
+    } catch {
+      return null;
+    }
+  }, [mergeJournal]);
 
-// Auth Page
+  const retryAnalysis = async (id) => {
+    try {
+      const data = await api.retryAnalysis(id);
+      if (data.analysisStatus) {
+        mergeJournal(id, { analysisStatus: data.analysisStatus });
+      }
+      return data;
+    } catch {
+      console.error('Failed to retry analysis');
+      return null;
+    }
+  };
+
+  const resolveAiMood = async (id, accept) => {
+    try {
+      const data = accept
+        ? await api.acceptAiMood(id)
+        : await api.dismissAiMood(id);
+      if (data._id) {
+        setJournals(prev => prev.map(j => j._id === id ? data : j));
+      }
+      return data;
+    } catch {
+      console.error('Failed to update mood');
+      return null;
+    }
+  };
+
+  const resolveAiTags = async (id, accept, tags) => {
+    try {
+      const data = accept
+        ? await api.acceptAiTags(id, tags)
+        : await api.dismissAiTags(id, tags);
+      if (data._id) mergeJournal(id, data);
+      return data;
+    } catch {
+      console.error('Failed to update tags');
+      return null;
+    }
+  };
+
+  const restoreRevision = async (id, revisionId) => {
+    try {
+      const data = await api.restoreRevision(id, revisionId);
+      if (data._id) mergeJournal(id, data);
+      return data;
+    } catch {
+      console.error('Failed to restore revision');
+      return null;
+    }
+  };
+
+  const restoreFromTrash = async (id) => {
+    try {
+      const data = await api.restoreFromTrash(id);
+      if (!data._id) return { success: false, message: data.message };
+      await loadJournals();
+      return { success: true, journal: data };
+    } catch {
+      return { success: false };
+    }
+  };
+
+  const updateTimezone = async (tz) => {
+    try {
+      const data = await api.updateTimezone(tz);
+      if (data.timezone) {
+        setUser(prev => ({ ...prev, timezone: data.timezone }));
+        return { success: true };
+      }
+      return { success: false, message: data.message };
+    } catch {
+      return { success: false };
+    }
+  };
+
+  const submitChallenge = async (challenge, journalId) => {
+    try {
+      const data = await api.submitChallenge(challenge._id, journalId);
+      if (data.success) {
+        setUser(prev => ({ ...prev, points: data.totalPoints }));
+        notify({ icon: '🎯', title: `${challenge.title} complete!`, message: `+${data.points} points` });
+      } else {
+        notify({
+          icon: '📝',
+          title: 'Entry saved, but the challenge isn\'t complete yet',
+          message: (data.details || []).join('. ') || data.message
+        });
+      }
+      return data;
+    } catch {
+      return { success: false };
+    }
+  };
+
+  const encryptionEnabled = Boolean(user?.encryption?.salt);
+
+  const setupEncryption = async (passphrase) => {
+    try {
+      const salt = vault.randomSalt();
+      const key = await vault.deriveKey(passphrase, salt, VAULT_ITERATIONS);
+      const verifier = await vault.encrypt(key, VAULT_CHECK);
+      const data = await api.setupEncryption({ salt, iterations: VAULT_ITERATIONS, verifier });
+      if (!data.encryption) return { success: false, message: data.message };
+      setUser(prev => ({ ...prev, encryption: data.encryption }));
+      setVaultKey(key);
+      return { success: true };
+    } catch {
+      return { success: false, message: 'Failed to set up encryption' };
+    }
+  };
+
+  const unlockVault = async (passphrase) => {
+    const { salt, iterations, verifier } = user.encryption;
+    try {
+      const key = await vault.deriveKey(passphrase, salt, iterations);
+      if (await vault.decrypt(key, verifier) !== VAULT_CHECK) return false;
+      setVaultKey(key);
+      return true;
+    } catch {
+      // AES-GCM rejects the check value when the key is wrong
+      return false;
+    }
+  };
+
+  const lockVault = () => setVaultKey(null);
+
+  const sealFields = useCallback(async (fields) => {
+    const sealed = {};
+    for (const [name, value] of Object.entries(fields)) {
+      sealed[name] = await vault.encrypt(vaultKey, value);
+    }
+    return sealed;
+  }, [vaultKey]);
+
+  // Null while the vault is locked. Stable until the key changes, so effects can depend on it.
+  const unsealText = useCallback(async (value) => {
+    if (!vaultKey) return null;
+    return value ? vault.decrypt(vaultKey, value) : value;
+  }, [vaultKey]);
+
+  // Readable copy of a journal, or null if it's encrypted and the vault is locked
+  const openSealed = useCallback(async (journal) => {
+    if (!journal.encrypted) return journal;
+    if (!vaultKey) return null;
+    return {
+      ...journal,
+      title: await unsealText(journal.title),
+      content: await unsealText(journal.content),
+      aiSummary: await unsealText(journal.aiSummary),
+      sections: await Promise.all((journal.sections || []).map(async (section) => ({ ...section, value: await unsealText(section.value) })))
+    };
+  }, [vaultKey, unsealText]);
+
+  // Opt-in AI for an encrypted entry; the summary comes back in the clear and is sealed before saving
+  const analyzeEncrypted = async (id, content) => {
+    try {
+      const { summary, suggestedTags, ...analyzed } = await api.analyzeJournal(id, content);
+      if (!analyzed._id) return null;
+      const aiSummary = summary ? await vault.encrypt(vaultKey, summary) : '';
+      const { newAchievements, ...data } = await api.updateJournal(id, { aiSummary });
+      if (!data._id) return null;
+      mergeJournal(id, data);
+      announceAchievements(newAchievements);
+      // The server doesn't keep suggestions for encrypted entries, so offer them here
+      return { ...data, aiTags: suggestedTags || [] };
+    } catch {
+      return null;
+    }
+  };
+
+  const toggleTheme = () => {
+    setTheme(theme === 'light' ? 'dark' : 'light');
+  };
+
+  return (
+    <AppContext.Provider value={{
+      user, token, theme, timezone, journals, journalTotal, loading,
+      login, register, logout, clearSession, toggleTheme,
+      createJournal, updateJournal, deleteJournal, loadJournals,
+      refreshAnalysis, retryAnalysis, resolveAiMood, resolveAiTags, updateTimezone, restoreRevision, restoreFromTrash,
+      notify, announceAchievements, submitChallenge,
+      encryptionEnabled, vaultUnlocked: Boolean(vaultKey), setupEncryption, unlockVault, lockVault,
+      sealFields, unsealText, openSealed, analyzeEncrypted
+    }}>
+      {children}
+      <Toasts toasts={toasts} />
+    </AppContext.Provider>
+  );
+};
+
+// Toast notifications (achievement unlocks etc.)
+const Toasts = ({ toasts }) => (
+  <div className="fixed bottom-4 right-4 z-50 space-y-3 w-80">
+    {toasts.map(toast => (
+      <div key={toast.id} className="bg-white dark:bg-gray-800 shadow-2xl rounded-xl p-4 flex items-start gap-3 border border-purple-200 dark:border-purple-800">
+        <span className="text-2xl">{toast.icon}</span>
+        <div>
+          <p className="font-semibold text-sm">{toast.title}</p>
+          {toast.message && <p className="text-sm text-gray-600 dark:text-gray-400">{toast.message}</p>}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+// Auth Page
 const AuthPage = () => {
   const { login, register, loading } = useApp();
-  const [isLogin, setIsLogin] = useState(true);
+  const [resetToken] = useState(() => takeUrlParam('reset'));
+  // login | register | forgot | reset
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login');
+  const isLogin = mode === 'login';
   const [formData, setFormData] = useState({ username: '', email: '', password: '' });
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setNotice('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
+
+    if (mode === 'forgot') {
+      const data = await api.forgotPassword(formData.email).catch(() => ({}));
+      setNotice(data.message || 'If that email is registered, a reset link is on its way');
+      return;
+    }
+
+    if (mode === 'reset') {
+      const data = await api.resetPassword(resetToken, formData.password).catch(() => ({}));
+      if (!data.success) {
+        setError(data.message || 'Could not reset password');
+      } else {
+        setFormData({ ...formData, password: '' });
+        setMode('login');
+        setNotice('Password updated. Sign in with your new password.');
+      }
+      return;
+    }
     
     const result = isLogin 
       ? await login(formData.email, formData.password)
@@ -226,6 +1082,14 @@ const AuthPage = () => {
     }
   };
 
+  const subtitles = {
+    login: 'Welcome back!',
+    register: 'Start your journey',
+    forgot: 'We\'ll email you a reset link',
+    reset: 'Choose a new password'
+  };
+  const submitLabels = { login: 'Sign In', register: 'Sign Up', forgot: 'Send reset link', reset: 'Update password' };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-400 via-pink-500 to-red-500 dark:from-purple-900 dark:via-pink-900 dark:to-red-900 p-4">
       <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 w-full max-w-md">
@@ -237,12 +1101,12 @@ const AuthPage = () => {
             AI Journal
           </h1>
           <p className="text-gray-600 dark:text-gray-400 mt-2">
-            {isLogin ? 'Welcome back!' : 'Start your journey'}
+            {subtitles[mode]}
           </p>
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-4">
-          {!isLogin && (
+          {mode === 'register' && (
             <div>
               <label className="block text-sm font-medium mb-2">Username</label>
               <input
@@ -250,32 +1114,48 @@ const AuthPage = () => {
                 className="input-field"
                 value={formData.username}
                 onChange={(e) => setFormData({...formData, username: e.target.value})}
-                required={!isLogin}
+                required
               />
             </div>
           )}
           
-          <div>
-            <label className="block text-sm font-medium mb-2">Email</label>
-            <input
-              type="email"
-              className="input-field"
-              value={formData.email}
-              onChange={(e) => setFormData({...formData, email: e.target.value})}
-              required
-            />
-          </div>
+          {mode !== 'reset' && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Email</label>
+              <input
+                type="email"
+                className="input-field"
+                value={formData.email}
+                onChange={(e) => setFormData({...formData, email: e.target.value})}
+                required
+              />
+            </div>
+          )}
           
-          <div>
-            <label className="block text-sm font-medium mb-2">Password</label>
-            <input
-              type="password"
-              className="input-field"
-              value={formData.password}
-              onChange={(e) => setFormData({...formData, password: e.target.value})}
-              required
-            />
-          </div>
+          {mode !== 'forgot' && (
+            <div>
+              <label className="block text-sm font-medium mb-2">{mode === 'reset' ? 'New password' : 'Password'}</label>
+              <input
+                type="password"
+                className="input-field"
+                value={formData.password}
+                onChange={(e) => setFormData({...formData, password: e.target.value})}
+                minLength={mode === 'login' ? undefined : 6}
+                required
+              />
+              {isLogin && (
+                <button type="button" onClick={() => switchMode('forgot')} className="mt-2 text-sm text-purple-600 dark:text-purple-400 hover:underline">
+                  Forgot password?
+                </button>
+              )}
+            </div>
+          )}
+
+          {notice && (
+            <div className="bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-400 p-3 rounded-lg text-sm">
+              {notice}
+            </div>
+          )}
 
           {error && (
             <div className="bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 p-3 rounded-lg text-sm">
@@ -288,12 +1168,12 @@ const AuthPage = () => {
             disabled={loading}
             className="w-full btn-primary py-3 text-lg"
           >
-            {loading ? 'Loading...' : isLogin ? 'Sign In' : 'Sign Up'}
+            {loading ? 'Loading...' : submitLabels[mode]}
           </button>
         </form>
 
         <button
-          onClick={() => setIsLogin(!isLogin)}
+          onClick={() => switchMode(isLogin ? 'register' : 'login')}
           className="w-full mt-4 text-purple-600 dark:text-purple-400 hover:underline"
         >
           {isLogin ? "Don't have an account? Sign Up" : 'Already have an account? Sign In'}
@@ -305,33 +1185,98 @@ const AuthPage = () => {
 
 // Dashboard
 const Dashboard = () => {
-  const { journals, theme, toggleTheme, logout } = useApp();
+  const { user, token, journals, journalTotal, theme, timezone, toggleTheme, updateTimezone, logout, openSealed } = useApp();
   const [view, setView] = useState('home');
   const [selectedJournal, setSelectedJournal] = useState(null);
+  const [moodAgreement, setMoodAgreement] = useState(null);
+  const [activeChallenge, setActiveChallenge] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showExport, setShowExport] = useState(false);
+  const [resumedDraft, setResumedDraft] = useState(null);
+  // Where "Back" leads from an opened entry (the list, search results, the calendar...)
+  const [returnView, setReturnView] = useState('journals');
+  const [askMessages, setAskMessages] = useState([]);
+
+  const startEntry = (challenge = null) => {
+    setActiveChallenge(challenge);
+    setResumedDraft(null);
+    setView('new');
+  };
+
+  // Drafts of edits reopen the entry they belong to; if it's gone, the draft becomes a new entry
+  const resumeDraft = async (draft) => {
+    const plainDraft = await openSealed(draft);
+    if (!plainDraft) return;
+    const journal = draft.journal ? await api.getJournal(draft.journal).catch(() => null) : null;
+    const plainJournal = journal?._id ? await openSealed(journal) : null;
+
+    setActiveChallenge(null);
+    setResumedDraft(plainJournal ? plainDraft : { ...plainDraft, journal: null });
+    if (plainJournal) setSelectedJournal(plainJournal);
+    setView(plainJournal ? 'edit' : 'new');
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearchQuery(searchInput.trim());
+    setView('search');
+  };
+
+  // Lists only carry an excerpt; load the full entry before viewing
+  const openJournal = async (journal) => {
+    const full = journal.content ? journal : await api.getJournal(journal._id);
+    if (full?._id) {
+      setSelectedJournal(full);
+      if (view !== 'view') setReturnView(view);
+      setView('view');
+    }
+  };
+
+  useEffect(() => {
+    if (view !== 'home') return;
+    api.getMoodAgreement()
+      .then(data => setMoodAgreement(typeof data.compared === 'number' ? data : null))
+      .catch(() => setMoodAgreement(null));
+  }, [view, token, journals]);
+
+  const [statsRange, setStatsRange] = useState({ range: '7', from: '', to: '' });
+  const [serverStats, setServerStats] = useState({ activity: null, moods: {}, streak: 0, thisWeek: 0 });
+
+  useEffect(() => {
+    if (view !== 'home') return;
+    const { range, from, to } = statsRange;
+    if (range === 'custom' && (!from || !to)) return;
+
+    // Days are bucketed server-side in the user's saved timezone
+    const params = { range, ...(range === 'custom' && { from, to }) };
+    Promise.all([
+      api.getStats('activity', params),
+      api.getStats('moods', params),
+      api.getStats('streak'),
+      api.getStats('activity', { range: '7' })
+    ])
+      .then(([activity, moods, streak, week]) => setServerStats({
+        activity: Array.isArray(activity.days) ? activity : null,
+        moods: moods && !moods.message ? moods : {},
+        streak: streak.streak || 0,
+        thisWeek: week.total || 0
+      }))
+      .catch(() => console.error('Failed to load stats'));
+  }, [view, token, journals, statsRange, timezone]);
 
   const stats = {
-    total: journals.length,
-    thisWeek: journals.filter(j => {
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      return new Date(j.createdAt) >= weekAgo;
-    }).length,
-    moodCount: journals.reduce((acc, j) => {
-      acc[j.mood] = (acc[j.mood] || 0) + 1;
-      return acc;
-    }, {})
-  };
-
-  const weeklyData = Array.from({length: 7}, (_, i) => {
-    const date = new Date();
-    date.setDate(date.getDate() - (6 - i));
-    const dateStr = date.toLocaleDateString('en-US', { weekday: 'short' });
-    const count = journals.filter(j => {
-      const jDate = new Date(j.createdAt);
-      return jDate.toDateString() === date.toDateString();
-    }).length;
-    return { name: dateStr, entries: count };
-  });
+    total: journalTotal,
+    thisWeek: serverStats.thisWeek,
+    streak: serverStats.streak,
+    moodCount: serverStats.moods
+  };
+
+  const activityDays = serverStats.activity?.days || [];
+  const weeklyData = activityDays.map(({ date, count }) => ({
+    name: formatDayKey(date, activityDays.length <= 7 ? { weekday: 'short' } : { month: 'short', day: 'numeric' }),
+    entries: count
+  }));
 
   const moodData = Object.entries(stats.moodCount).map(([mood, count]) => ({
     mood: mood.charAt(0).toUpperCase() + mood.slice(1),
@@ -352,10 +1297,46 @@ const Dashboard = () => {
             </h1>
           </div>
           
+          <form onSubmit={handleSearch} className="hidden md:flex flex-1 max-w-md mx-6 relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              className="input-field pl-9"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search your journal..."
+            />
+          </form>
+
           <div className="flex items-center gap-3">
+            {user && (
+              <span className="hidden sm:flex items-center gap-1 text-sm font-medium text-orange-500" title="Challenge points">
+                <Star className="w-4 h-4" />
+                {user.points || 0}
+              </span>
+            )}
+            <select
+              className="hidden lg:block bg-transparent text-sm text-gray-600 dark:text-gray-400 max-w-40"
+              value={timezone}
+              onChange={(e) => updateTimezone(e.target.value)}
+              title="Your timezone decides where each day starts and ends"
+            >
+              {[...new Set([timezone, ...Intl.supportedValuesOf('timeZone')])].map(tz => (
+                <option key={tz} value={tz}>{tz}</option>
+              ))}
+            </select>
+            <button onClick={() => setView('import')} title="Import journals" className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+              <Upload className="w-5 h-5" />
+            </button>
+            <button onClick={() => setShowExport(true)} title="Export journals" className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+              <Download className="w-5 h-5" />
+            </button>
             <button onClick={toggleTheme} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
               {theme === 'light' ? <Moon className="w-5 h-5" /> : <Sun className="w-5 h-5" />}
             </button>
+            <button onClick={() => setView('sessions')} title="Signed-in devices" className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+              <Monitor className="w-5 h-5" />
+            </button>
             <button onClick={logout} className="flex items-center gap-2 px-4 py-2 bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors">
               <LogOut className="w-4 h-4" />
               <span className="hidden sm:inline">Logout</span>
@@ -364,7 +1345,7 @@ const Dashboard = () => {
         </div>
         
         {/* Navigation */}
-        <nav className="max-w-7xl mx-auto px-4 pb-3 flex gap-2">
+        <nav className="max-w-7xl mx-auto px-4 pb-3 flex gap-2 overflow-x-auto">
           <button
             onClick={() => setView('home')}
             className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
@@ -384,7 +1365,34 @@ const Dashboard = () => {
             Journals
           </button>
           <button
-            onClick={() => setView('new')}
+            onClick={() => setView('calendar')}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              view === 'calendar' ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            <Calendar className="w-4 h-4" />
+            Calendar
+          </button>
+          <button
+            onClick={() => setView('review')}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              view === 'review' ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            <ScrollText className="w-4 h-4" />
+            Review
+          </button>
+          <button
+            onClick={() => setView('ask')}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              view === 'ask' ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+          >
+            <MessageCircle className="w-4 h-4" />
+            Ask
+          </button>
+          <button
+            onClick={() => startEntry()}
             className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
               view === 'new' ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
             }`}
@@ -397,8 +1405,14 @@ const Dashboard = () => {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 py-8">
+        {user?.emailVerified === false && <VerifyEmailBanner email={user.email} />}
+
         {view === 'home' && (
           <div className="space-y-6">
+            <DraftPrompt onResume={resumeDraft} />
+
+            <OnThisDay onSelect={openJournal} />
+
             {/* Stats Cards */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div className="card bg-gradient-to-br from-purple-500 to-purple-600 text-white">
@@ -425,7 +1439,9 @@ const Dashboard = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <p className="text-orange-100 text-sm">Streak</p>
-                    <p className="text-4xl font-bold mt-2">{stats.thisWeek > 0 ? '🔥' : '😴'}</p>
+                    <p className="text-4xl font-bold mt-2">
+                      {stats.streak} <span className="text-lg font-medium">{stats.streak === 1 ? 'day' : 'days'}</span>
+                    </p>
                   </div>
                   <TrendingUp className="w-12 h-12 text-orange-200" />
                 </div>
@@ -433,11 +1449,30 @@ const Dashboard = () => {
             </div>
 
             {/* Charts */}
+            <div className="flex flex-wrap items-center justify-end gap-3">
+              <select
+                className="input-field w-auto"
+                value={statsRange.range}
+                onChange={(e) => setStatsRange({ ...statsRange, range: e.target.value })}
+              >
+                {STAT_RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+              </select>
+              {statsRange.range === 'custom' && (
+                <>
+                  <input type="date" className="input-field w-auto" value={statsRange.from}
+                    onChange={(e) => setStatsRange({ ...statsRange, from: e.target.value })} />
+                  <span className="text-gray-500">to</span>
+                  <input type="date" className="input-field w-auto" value={statsRange.to}
+                    onChange={(e) => setStatsRange({ ...statsRange, to: e.target.value })} />
+                </>
+              )}
+            </div>
+
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <div className="card">
                 <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
                   <TrendingUp className="w-5 h-5 text-purple-600" />
-                  Weekly Activity
+                  Activity
                 </h3>
                 <ResponsiveContainer width="100%" height={250}>
                   <LineChart data={weeklyData}>
@@ -445,7 +1480,7 @@ const Dashboard = () => {
                     <XAxis dataKey="name" stroke="#6b7280" />
                     <YAxis stroke="#6b7280" />
                     <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e7eb', borderRadius: '8px' }} />
-                    <Line type="monotone" dataKey="entries" stroke="#8b5cf6" strokeWidth={3} dot={{ fill: '#8b5cf6', r: 5 }} />
+                    <Line type="monotone" dataKey="entries" stroke="#8b5cf6" strokeWidth={3} dot={weeklyData.length <= 31 ? { fill: '#8b5cf6', r: 5 } : false} />
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -464,9 +1499,25 @@ const Dashboard = () => {
                     <Bar dataKey="count" fill="#ec4899" radius={[8, 8, 0, 0]} />
                   </BarChart>
                 </ResponsiveContainer>
+                {moodAgreement?.compared > 0 && (
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mt-3">
+                    The AI read your mood differently on {Math.round(moodAgreement.disagreementRate * 100)}% of the {moodAgreement.compared} entries where you picked one
+                    {moodAgreement.mismatches[0] && (
+                      <> — most often you felt <strong>{moodAgreement.mismatches[0].mood}</strong> when it guessed <strong>{moodAgreement.mismatches[0].aiMood}</strong></>
+                    )}.
+                  </p>
+                )}
               </div>
             </div>
 
+            <MetricCharts statsRange={statsRange} />
+
+            <ChallengeCard onStart={startEntry} />
+
+            <TriviaCard />
+
+            <AchievementsPanel />
+
             {/* Recent Entries */}
             <div className="card">
               <h3 className="text-lg font-semibold mb-4">Recent Entries</h3>
@@ -474,17 +1525,14 @@ const Dashboard = () => {
                 {journals.slice(0, 5).map(journal => (
                   <div
                     key={journal._id}
-                    onClick={() => {
-                      setSelectedJournal(journal);
-                      setView('view');
-                    }}
+                    onClick={() => openJournal(journal)}
                     className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 cursor-pointer transition-colors"
                   >
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
-                        <h4 className="font-semibold">{journal.title}</h4>
+                        <h4 className="font-semibold"><SealedText value={journal.title} encrypted={journal.encrypted} /></h4>
                         <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 line-clamp-2">
-                          {journal.aiSummary || journal.content.substring(0, 100)}...
+                          {journal.aiSummary ? <SealedText value={journal.aiSummary} encrypted={journal.encrypted} /> : journal.excerpt}
                         </p>
                       </div>
                       <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full text-xs ml-3">
@@ -492,7 +1540,7 @@ const Dashboard = () => {
                       </span>
                     </div>
                     <p className="text-xs text-gray-500 mt-2">
-                      {new Date(journal.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                      {formatDate(journal.createdAt, { month: 'short', day: 'numeric', year: 'numeric' }, timezone)}
                     </p>
                   </div>
                 ))}
@@ -505,117 +1553,1956 @@ const Dashboard = () => {
         )}
 
         {view === 'journals' && (
-          <JournalList onSelect={(journal) => { setSelectedJournal(journal); setView('view'); }} />
+          <JournalList onSelect={openJournal} onShowTrash={() => setView('trash')} />
+        )}
+
+        {view === 'calendar' && <CalendarView onSelect={openJournal} />}
+
+        {view === 'review' && <Reflections onSelect={openJournal} />}
+
+        {view === 'ask' && <AskPanel messages={askMessages} setMessages={setAskMessages} onSelect={openJournal} />}
+
+        {view === 'trash' && <TrashPanel onBack={() => setView('journals')} />}
+
+        {view === 'sessions' && <SessionsPanel />}
+
+        {view === 'import' && <ImportPanel onDone={() => setView('journals')} />}
+
+        {view === 'search' && (
+          <SearchResults query={searchQuery} onSelect={openJournal} />
         )}
 
         {view === 'new' && (
-          <JournalForm onCancel={() => setView('home')} onSuccess={() => setView('journals')} />
+          <JournalForm
+            key={activeChallenge?._id || resumedDraft?.updatedAt || 'blank'}
+            challenge={activeChallenge}
+            draft={resumedDraft}
+            onCancel={() => setView('home')}
+            onSuccess={() => setView('journals')}
+          />
         )}
 
         {view === 'view' && selectedJournal && (
-          <JournalView journal={selectedJournal} onBack={() => setView('journals')} onEdit={() => setView('edit')} />
+          <JournalView
+            key={selectedJournal._id}
+            journal={selectedJournal}
+            onBack={() => setView(returnView)}
+            onEdit={(journal) => { setSelectedJournal(journal); setView('edit'); }}
+            onOpen={openJournal}
+          />
         )}
 
         {view === 'edit' && selectedJournal && (
           <JournalForm
             journal={selectedJournal}
+            draft={resumedDraft?.journal === selectedJournal._id ? resumedDraft : null}
             onCancel={() => setView('view')}
             onSuccess={() => setView('journals')}
           />
         )}
       </main>
+
+      {showExport && <ExportDialog onClose={() => setShowExport(false)} />}
     </div>
   );
 };
 
-// Journal List Component
-const JournalList = ({ onSelect }) => {
-  const { journals, deleteJournal } = useApp();
-  const [filter, setFilter] = useState('all');
+// Import Panel Component: dry-run preview first, then the real import and its report
+const IMPORT_STATUS_STYLES = {
+  new: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+  imported: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+  duplicate: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300',
+  error: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+};
+
+const ImportPanel = ({ onDone }) => {
+  const { timezone, loadJournals, announceAchievements } = useApp();
+  const [files, setFiles] = useState([]);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    setError('');
+    try {
+      const { newAchievements, ...data } = await api.importJournals(files, dryRun);
+      setReport(data);
+      if (!dryRun) {
+        loadJournals();
+        announceAchievements(newAchievements);
+      }
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
 
-  const filteredJournals = filter === 'all' 
-    ? journals 
-    : journals.filter(j => j.mood === filter);
+  const chooseFiles = (e) => {
+    setFiles([...e.target.files]);
+    setReport(null);
+  };
 
-  const moods = ['all', 'happy', 'sad', 'neutral', 'excited', 'anxious', 'calm', 'angry', 'grateful'];
+  const summary = report?.summary;
 
   return (
-    <div className="space-y-6">
-      <div className="flex items-center justify-between">
-        <h2 className="text-2xl font-bold">All Journals</h2>
-        <div className="flex gap-2 flex-wrap">
-          {moods.map(mood => (
-            <button
-              key={mood}
-              onClick={() => setFilter(mood)}
-              className={`px-3 py-1 rounded-full text-sm transition-colors ${
-                filter === mood
-                  ? 'bg-purple-600 text-white'
-                  : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'
-              }`}
-            >
-              {mood.charAt(0).toUpperCase() + mood.slice(1)}
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="card space-y-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Upload className="w-6 h-6 text-purple-600 dark:text-purple-400" />
+          Import entries
+        </h2>
+        <p className="text-sm text-gray-500">
+          Bring entries over from other apps: Markdown files with YAML front matter (or a ZIP of them), Day One JSON
+          exports, or plain .txt files dated in the file name (e.g. 2023-04-05 Lisbon.txt) or on the first line.
+          Original dates and tags are kept, duplicates are skipped, and AI analysis runs gradually in the background.
+        </p>
+        <input
+          type="file"
+          multiple
+          accept=".zip,.md,.markdown,.txt,.json"
+          onChange={chooseFiles}
+          className="block text-sm"
+        />
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        <div className="flex gap-3">
+          <button onClick={() => run(true)} disabled={busy || files.length === 0} className="btn-secondary">
+            {busy && !report ? 'Reading files...' : 'Preview'}
+          </button>
+          {report?.dryRun && summary.new > 0 && (
+            <button onClick={() => run(false)} disabled={busy} className="btn-primary">
+              {busy ? 'Importing...' : `Import ${summary.new} ${summary.new === 1 ? 'entry' : 'entries'}`}
             </button>
-          ))}
+          )}
+          {report && !report.dryRun && (
+            <button onClick={onDone} className="btn-primary">View journals</button>
+          )}
         </div>
       </div>
 
-      <div className="grid gap-6">
-        {filteredJournals.map(journal => (
-          <div key={journal._id} className="card hover:shadow-xl transition-shadow">
-            <div className="flex items-start justify-between mb-3">
-              <div className="flex-1">
-                <h3 className="text-xl font-semibold mb-2">{journal.title}</h3>
-                <div className="flex items-center gap-2 mb-3">
-                  <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full text-sm">
-                    {journal.mood}
-                  </span>
-                  <span className="text-sm text-gray-500">
-                    {new Date(journal.createdAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}
-                  </span>
+      {report && (
+        <div className="card space-y-4">
+          <h3 className="text-lg font-semibold">{report.dryRun ? 'Preview' : 'Import report'}</h3>
+          <div className="flex flex-wrap gap-2 text-sm">
+            {report.dryRun
+              ? <span className={`px-3 py-1 rounded-full ${IMPORT_STATUS_STYLES.new}`}>{summary.new} new</span>
+              : <span className={`px-3 py-1 rounded-full ${IMPORT_STATUS_STYLES.imported}`}>{summary.imported} imported</span>}
+            <span className={`px-3 py-1 rounded-full ${IMPORT_STATUS_STYLES.duplicate}`}>{summary.duplicate} duplicates</span>
+            <span className={`px-3 py-1 rounded-full ${IMPORT_STATUS_STYLES.error}`}>{summary.error} errors</span>
+          </div>
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {report.entries.map((entry, index) => (
+              <div key={index} className="py-3 flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{entry.title || entry.file}</p>
+                  <p className="text-sm text-gray-500 truncate">
+                    {entry.createdAt && `${formatDate(entry.createdAt, { year: 'numeric', month: 'short', day: 'numeric' }, timezone)} · `}
+                    {entry.words !== undefined && `${entry.words} words · `}
+                    {entry.file}
+                  </p>
+                  {entry.tags?.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">{entry.tags.map(tag => `#${tag}`).join(' ')}</p>
+                  )}
+                  {entry.reason && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">{entry.reason}</p>}
                 </div>
+                <span className={`px-3 py-1 rounded-full text-xs whitespace-nowrap ${IMPORT_STATUS_STYLES[entry.status]}`}>
+                  {entry.status}
+                </span>
               </div>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => onSelect(journal)}
-                  className="p-2 hover:bg-blue-50 dark:hover:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-lg transition-colors"
-                >
-                  <Edit className="w-5 h-5" />
-                </button>
-                <button
-                  onClick={async () => {
-                    if (confirm('Delete this journal entry?')) {
-                      await deleteJournal(journal._id);
-                    }
-                  }}
-                  className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors"
-                >
-                  <Trash2 className="w-5 h-5" />
-                </button>
-              </div>
-            </div>
-            
-            {journal.aiSummary && (
-              <div className="bg-gradient-to-r from-purple-50 to-pink-50 dark:from-purple-900/20 dark:to-pink-900/20 p-4 rounded-lg mb-3">
-                <p className="text-sm flex items-start gap-2">
-                  <Sparkles className="w-4 h-4 text-purple-600 dark:text-purple-400 mt-0.5 flex-shrink-0" />
-                  <span className="text-gray-700 dark:text-gray-300">{journal.aiSummary}</span>
-                </p>
-              </div>
-            )}
-            
-            <p className="text-gray-600 dark:text-gray-400 line-clamp-3">{journal.content}</p>
-            
-            <button
-              onClick={() => onSelect(journal)}
-              className="mt-4 text-purple-600 dark:text-purple-400 hover:underline text-sm font-medium"
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Trash Panel Component
+const TrashPanel = ({ onBack }) => {
+  const { timezone, restoreFromTrash, notify } = useApp();
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+
+  const loadTrash = async () => {
+    try {
+      const data = await api.getTrash();
+      if (Array.isArray(data.items)) {
+        setItems(data.items);
+        setRetentionDays(data.retentionDays);
+      }
+    } catch {
+      console.error('Failed to load trash');
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const handleRestore = async (item) => {
+    const result = await restoreFromTrash(item._id);
+    if (result.success) {
+      setItems(prev => prev.filter(i => i._id !== item._id));
+      notify({ icon: '↩️', title: 'Entry restored', message: 'It is back in your journal.' });
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!confirm('Delete this entry forever? This can\'t be undone.')) return;
+    await api.purgeFromTrash(item._id);
+    setItems(prev => prev.filter(i => i._id !== item._id));
+  };
+
+  const dateOptions = { month: 'short', day: 'numeric', year: 'numeric' };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <button onClick={onBack} className="text-purple-600 dark:text-purple-400 hover:underline">
+        ← Back to journals
+      </button>
+      <div>
+        <h2 className="text-2xl font-bold">Trash</h2>
+        <p className="text-sm text-gray-500">Deleted entries can be restored for {retentionDays} days, then they are removed for good.</p>
+      </div>
+
+      <div className="space-y-3">
+        {items.map(item => (
+          <div key={item._id} className="card flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-medium truncate"><SealedText value={item.title} encrypted={item.encrypted} /></p>
+              <p className="text-sm text-gray-500">
+                Written {formatDate(item.createdAt, dateOptions, timezone)} · deleted {formatDate(item.deletedAt, dateOptions, timezone)} · restorable until {formatDate(item.expiresAt, dateOptions, timezone)}
+              </p>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button onClick={() => handleRestore(item)} className="btn-secondary flex items-center gap-2">
+                <RotateCcw className="w-4 h-4" />
+                Restore
+              </button>
+              <button onClick={() => handlePurge(item)} title="Delete forever" className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors">
+                <Trash2 className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {items.length === 0 && (
+          <div className="text-center py-16">
+            <Trash2 className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+            <p className="text-gray-500">The trash is empty</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export Dialog Component
+const ExportDialog = ({ onClose }) => {
+  const [filters, setFilters] = useState({ from: '', to: '', tags: '' });
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setExporting(true);
+    setError('');
+    try {
+      const tags = filters.tags.split(',').map(t => t.trim()).filter(Boolean).join(',');
+      const { blob, filename } = await api.exportJournals({ from: filters.from, to: filters.to, tags });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+      <form onSubmit={handleExport} onClick={(e) => e.stopPropagation()} className="card w-full max-w-md space-y-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <Download className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+          Export journals
+        </h2>
+        <p className="text-sm text-gray-500">
+          A ZIP with one Markdown file per entry, a JSON dump and a printable HTML book. Leave the filters empty to export everything.
+        </p>
+        <div className="grid grid-cols-2 gap-3">
+          <label className="text-sm">
+            From
+            <input type="date" className="input-field mt-1" value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} />
+          </label>
+          <label className="text-sm">
+            To
+            <input type="date" className="input-field mt-1" value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} />
+          </label>
+        </div>
+        <label className="block text-sm">
+          Tags (comma separated, any match)
+          <input type="text" className="input-field mt-1" value={filters.tags} onChange={(e) => setFilters({ ...filters, tags: e.target.value })} placeholder="work, travel" />
+        </label>
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        <div className="flex gap-3">
+          <button type="submit" disabled={exporting} className="btn-primary flex items-center gap-2">
+            <Download className="w-4 h-4" />
+            {exporting ? 'Preparing...' : 'Download ZIP'}
+          </button>
+          <button type="button" onClick={onClose} className="btn-secondary">Cancel</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Unverified Email Banner Component
+const VerifyEmailBanner = ({ email }) => {
+  const [status, setStatus] = useState('');
+
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      const data = await api.resendVerification();
+      setStatus(data.message || 'Verification email sent');
+    } catch {
+      setStatus('Could not send the email, try again later');
+    }
+  };
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center justify-between gap-3 p-4 rounded-lg bg-amber-50 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300">
+      <span>Please confirm your email address — we sent a link to <strong>{email}</strong>.</span>
+      {status && status !== 'sending' ? (
+        <span className="text-sm">{status}</span>
+      ) : (
+        <button onClick={handleResend} disabled={status === 'sending'} className="btn-secondary">
+          {status === 'sending' ? 'Sending...' : 'Resend link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Change Password Component
+const ChangePasswordForm = () => {
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '' });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const data = await api.changePassword(form.currentPassword, form.newPassword);
+      setResult(data);
+      if (data.success) setForm({ currentPassword: '', newPassword: '' });
+    } catch {
+      setResult({ success: false, message: 'Failed to change password' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <h3 className="text-lg font-semibold">Change password</h3>
+      <p className="text-sm text-gray-500">Other devices will be signed out.</p>
+      <input
+        type="password"
+        className="input-field"
+        placeholder="Current password"
+        value={form.currentPassword}
+        onChange={(e) => setForm({ ...form, currentPassword: e.target.value })}
+        required
+      />
+      <input
+        type="password"
+        className="input-field"
+        placeholder="New password"
+        minLength={6}
+        value={form.newPassword}
+        onChange={(e) => setForm({ ...form, newPassword: e.target.value })}
+        required
+      />
+      {result && (
+        <p className={`text-sm ${result.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {result.message}
+        </p>
+      )}
+      <button type="submit" disabled={loading} className="btn-primary">
+        {loading ? 'Saving...' : 'Update password'}
+      </button>
+    </form>
+  );
+};
+
+// Sealed Text Component: shows an encrypted field once the vault is unlocked
+const SealedText = ({ value, encrypted }) => {
+  const { unsealText } = useApp();
+  const [text, setText] = useState(null);
+
+  // unsealText changes when the vault is locked or unlocked
+  useEffect(() => {
+    if (!encrypted) return;
+    setText(null);
+    unsealText(value).then(setText).catch(() => setText(null));
+  }, [value, encrypted, unsealText]);
+
+  if (!encrypted) return value;
+  return text ?? (
+    <span className="inline-flex items-center gap-1 text-gray-500">
+      <Lock className="w-4 h-4" />
+      Encrypted
+    </span>
+  );
+};
+
+// Unlock Vault Component
+const UnlockVault = ({ message }) => {
+  const { unlockVault } = useApp();
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    setError('');
+    const unlocked = await unlockVault(passphrase);
+    setUnlocking(false);
+    if (unlocked) {
+      setPassphrase('');
+    } else {
+      setError('Wrong passphrase');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3 p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+      <Lock className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+      <span className="text-sm flex-1">{message}</span>
+      <input
+        type="password"
+        className="input-field max-w-xs"
+        placeholder="Passphrase"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        required
+      />
+      <button type="submit" disabled={unlocking} className="btn-primary">
+        {unlocking ? 'Unlocking...' : 'Unlock'}
+      </button>
+      {error && <p className="w-full text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </form>
+  );
+};
+
+// Encryption Settings Component
+const EncryptionSettings = () => {
+  const { encryptionEnabled, vaultUnlocked, setupEncryption, lockVault } = useApp();
+  const [form, setForm] = useState({ passphrase: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSetup = async (e) => {
+    e.preventDefault();
+    if (form.passphrase !== form.confirm) {
+      setError('Passphrases don\'t match');
+      return;
+    }
+    setSaving(true);
+    const result = await setupEncryption(form.passphrase);
+    setSaving(false);
+    if (result.success) {
+      setForm({ passphrase: '', confirm: '' });
+    } else {
+      setError(result.message || 'Failed to set up encryption');
+    }
+  };
+
+  return (
+    <div className="card space-y-4">
+      <h3 className="text-lg font-semibold flex items-center gap-2">
+        <Lock className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+        End-to-end encryption
+      </h3>
+
+      {!encryptionEnabled && (
+        <form onSubmit={handleSetup} className="space-y-4">
+          <p className="text-sm text-gray-500">
+            Encrypted entries are locked in this browser with a passphrase before they are saved; the server only
+            ever sees ciphertext. Mood, tags and dates stay readable for your stats. Encrypted entries can't be
+            searched, and AI analysis only runs when you ask for it. There is no way to recover a forgotten passphrase.
+          </p>
+          <input
+            type="password"
+            className="input-field"
+            placeholder="Passphrase"
+            minLength={8}
+            value={form.passphrase}
+            onChange={(e) => setForm({ ...form, passphrase: e.target.value })}
+            required
+          />
+          <input
+            type="password"
+            className="input-field"
+            placeholder="Repeat passphrase"
+            value={form.confirm}
+            onChange={(e) => setForm({ ...form, confirm: e.target.value })}
+            required
+          />
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Setting up...' : 'Turn on encryption'}
+          </button>
+        </form>
+      )}
+
+      {encryptionEnabled && !vaultUnlocked && (
+        <UnlockVault message="Unlock to read and write encrypted entries in this browser." />
+      )}
+
+      {encryptionEnabled && vaultUnlocked && (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-green-600 dark:text-green-400">Unlocked in this browser until you sign out or reload.</p>
+          <button onClick={lockVault} className="btn-secondary">Lock now</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Template Settings Component: the user's own guided templates
+const EMPTY_TEMPLATE = { name: '', description: '', fields: [{ label: '', prompt: '' }] };
+
+const TemplateSettings = () => {
+  const [templates, setTemplates] = useState([]);
+  // null when not editing; _id is unset for a new template
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadTemplates = () => api.getTemplates()
+    .then(data => setTemplates(Array.isArray(data) ? data : []))
+    .catch(() => setTemplates([]));
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const setField = (index, changes) => setForm(prev => ({
+    ...prev,
+    fields: prev.fields.map((field, i) => i === index ? { ...field, ...changes } : field)
+  }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    const { _id, name, description, fields } = form;
+    const data = await (_id ? api.updateTemplate(_id, { name, description, fields }) : api.createTemplate({ name, description, fields }))
+      .catch(() => ({ message: 'Failed to save template' }));
+    setSaving(false);
+    if (!data._id) {
+      setError(data.message || 'Failed to save template');
+      return;
+    }
+    setForm(null);
+    loadTemplates();
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the "${template.name}" template? Entries written with it are kept.`)) return;
+    await api.deleteTemplate(template._id).catch(() => null);
+    loadTemplates();
+  };
+
+  const own = templates.filter(template => !template.builtIn);
+
+  return (
+    <div className="card space-y-4">
+      <h3 className="text-lg font-semibold flex items-center gap-2">
+        <LayoutTemplate className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+        Journaling templates
+      </h3>
+      <p className="text-sm text-gray-500">
+        Built in: {templates.filter(template => template.builtIn).map(template => template.name).join(', ')}.
+        Add your own to guide entries with questions you come back to.
+      </p>
+
+      {own.map(template => (
+        <div key={template._id} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+          <div className="min-w-0">
+            <p className="font-medium truncate">{template.name}</p>
+            <p className="text-sm text-gray-500 truncate">{template.fields.map(field => field.label).join(' · ')}</p>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => { setError(''); setForm({ ...template, fields: template.fields.map(({ key, label, prompt }) => ({ key, label, prompt })) }); }} className="p-2 hover:bg-blue-50 dark:hover:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-lg transition-colors">
+              <Edit className="w-4 h-4" />
+            </button>
+            <button onClick={() => handleDelete(template)} className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {form ? (
+        <form onSubmit={handleSave} className="space-y-3">
+          <input
+            type="text"
+            className="input-field"
+            placeholder="Template name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            className="input-field"
+            placeholder="Short description (optional)"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          {form.fields.map((field, index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="text"
+                className="input-field"
+                placeholder={`Question ${index + 1}`}
+                value={field.label}
+                onChange={(e) => setField(index, { label: e.target.value })}
+                required
+              />
+              <input
+                type="text"
+                className="input-field"
+                placeholder="Hint (optional)"
+                value={field.prompt}
+                onChange={(e) => setField(index, { prompt: e.target.value })}
+              />
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, fields: form.fields.filter((_, i) => i !== index) })}
+                disabled={form.fields.length === 1}
+                className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                aria-label="Remove question"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setForm({ ...form, fields: [...form.fields, { label: '', prompt: '' }] })}
+            className="text-sm text-purple-600 dark:text-purple-400 hover:underline"
+          >
+            + Add a question
+          </button>
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          <div className="flex gap-3">
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : form._id ? 'Save template' : 'Create template'}
+            </button>
+            <button type="button" onClick={() => setForm(null)} className="btn-secondary">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => { setError(''); setForm(EMPTY_TEMPLATE); }} className="btn-secondary">
+          New template
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Metric Settings Component: custom metrics tracked alongside energy, sleep and stress
+const MetricSettings = () => {
+  const [metrics, setMetrics] = useState([]);
+  const [form, setForm] = useState({ label: '', min: '1', max: '5', unit: '' });
+  const [error, setError] = useState('');
+
+  const loadMetrics = () => api.getMetrics()
+    .then(data => setMetrics(Array.isArray(data) ? data : []))
+    .catch(() => setMetrics([]));
+
+  useEffect(() => {
+    loadMetrics();
+  }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError('');
+    const data = await api.addMetric({ ...form, min: Number(form.min), max: Number(form.max) })
+      .catch(() => ({ message: 'Failed to add metric' }));
+    if (!data.key) {
+      setError(data.message || 'Failed to add metric');
+      return;
+    }
+    setForm({ label: '', min: '1', max: '5', unit: '' });
+    loadMetrics();
+  };
+
+  const handleDelete = async (metric) => {
+    if (!confirm(`Stop tracking ${metric.label}? Values already recorded on entries are removed too.`)) return;
+    await api.deleteMetric(metric.key).catch(() => null);
+    loadMetrics();
+  };
+
+  return (
+    <div className="card space-y-4">
+      <h3 className="text-lg font-semibold flex items-center gap-2">
+        <Activity className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+        Tracked metrics
+      </h3>
+      <p className="text-sm text-gray-500">
+        Entries can record {metrics.filter(m => m.builtIn).map(m => m.label.toLowerCase()).join(', ')}.
+        Add your own, like caffeine or exercise minutes, to see how they relate to your mood.
+      </p>
+
+      {metrics.filter(m => !m.builtIn).map(metric => (
+        <div key={metric.key} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+          <p>
+            <span className="font-medium">{metric.label}</span>
+            <span className="text-sm text-gray-500 ml-2">{metric.min}–{metric.max}{metric.unit && ` ${metric.unit}`}</span>
+          </p>
+          <button onClick={() => handleDelete(metric)} className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap gap-2">
+        <input type="text" className="input-field flex-1 min-w-[10rem]" placeholder="Metric name" value={form.label}
+          onChange={(e) => setForm({ ...form, label: e.target.value })} required />
+        <input type="number" className="input-field w-24" placeholder="Min" value={form.min}
+          onChange={(e) => setForm({ ...form, min: e.target.value })} required />
+        <input type="number" className="input-field w-24" placeholder="Max" value={form.max}
+          onChange={(e) => setForm({ ...form, max: e.target.value })} required />
+        <input type="text" className="input-field w-28" placeholder="Unit" value={form.unit}
+          onChange={(e) => setForm({ ...form, unit: e.target.value })} />
+        <button type="submit" className="btn-secondary">Add</button>
+      </form>
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+// Sessions Panel Component
+const SessionsPanel = () => {
+  const { clearSession, timezone } = useApp();
+  const [sessions, setSessions] = useState([]);
+
+  const loadSessions = async () => {
+    try {
+      const data = await api.getSessions();
+      if (Array.isArray(data)) setSessions(data);
+    } catch {
+      console.error('Failed to load sessions');
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    await api.revokeSession(session._id);
+    if (session.current) {
+      clearSession();
+    } else {
+      loadSessions();
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (confirm('Sign out on every device, including this one?')) {
+      await api.revokeAllSessions();
+      clearSession();
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold">Signed-in devices</h2>
+        <button onClick={handleRevokeAll} className="px-4 py-2 bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors">
+          Sign out everywhere
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {sessions.map(session => (
+          <div key={session._id} className="card flex items-center justify-between gap-4">
+            <div className="flex items-start gap-3 min-w-0">
+              <Monitor className="w-6 h-6 text-purple-600 mt-1 flex-shrink-0" />
+              <div className="min-w-0">
+                <p className="font-medium truncate">{session.userAgent || 'Unknown device'}</p>
+                <p className="text-sm text-gray-500">
+                  {session.ip && `${session.ip} · `}
+                  Last active {formatDate(session.lastUsedAt, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }, timezone)}
+                  {session.current && <span className="ml-2 text-green-600 dark:text-green-400">This device</span>}
+                </p>
+              </div>
+            </div>
+            <button onClick={() => handleRevoke(session)} className="btn-secondary whitespace-nowrap">
+              Sign out
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <ChangePasswordForm />
+      <EncryptionSettings />
+      <TemplateSettings />
+      <MetricSettings />
+    </div>
+  );
+};
+
+// Metric Charts Component: mood next to energy, sleep, stress and custom metrics,
+// and which of them tend to move with it
+const MetricCharts = ({ statsRange }) => {
+  const { token, journals } = useApp();
+  const [series, setSeries] = useState(null);
+  const [correlations, setCorrelations] = useState([]);
+  const [emotions, setEmotions] = useState({});
+  const [metricKey, setMetricKey] = useState('energy');
+
+  useEffect(() => {
+    const { range, from, to } = statsRange;
+    if (range === 'custom' && (!from || !to)) return;
+    const params = { range, ...(range === 'custom' && { from, to }) };
+    Promise.all([
+      api.getStats('metrics', params),
+      api.getStats('correlations', params),
+      api.getStats('emotions', params)
+    ])
+      .then(([metrics, correlated, emotionCounts]) => {
+        setSeries(Array.isArray(metrics.days) ? metrics : null);
+        setCorrelations(Array.isArray(correlated.correlations) ? correlated.correlations : []);
+        setEmotions(emotionCounts && !emotionCounts.message ? emotionCounts : {});
+      })
+      .catch(() => console.error('Failed to load metric stats'));
+  }, [token, journals, statsRange]);
+
+  if (!series || !series.days.some(d => d.entries > 0)) return null;
+
+  const metric = series.metrics.find(m => m.key === metricKey) || series.metrics[0];
+  const chartData = series.days.map(day => ({
+    name: formatDayKey(day.date, series.days.length <= 7 ? { weekday: 'short' } : { month: 'short', day: 'numeric' }),
+    mood: day.mood,
+    [metric.label]: day[metric.key]
+  }));
+  const correlated = correlations.filter(c => c.correlation !== null);
+  const strongest = [...correlated].sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation))[0];
+  const topEmotions = Object.entries(emotions).slice(0, 12);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="card">
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Activity className="w-5 h-5 text-teal-600" />
+            Mood &amp; {metric.label.toLowerCase()}
+          </h3>
+          <select className="input-field w-auto" value={metric.key} onChange={(e) => setMetricKey(e.target.value)}>
+            {series.metrics.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </div>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="name" stroke="#6b7280" />
+            <YAxis yAxisId="mood" domain={[-1, 1]} stroke="#8b5cf6" />
+            <YAxis yAxisId="metric" orientation="right" domain={[metric.min, metric.max]} stroke="#14b8a6" />
+            <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e7eb', borderRadius: '8px' }} />
+            <Legend />
+            <Line yAxisId="mood" type="monotone" dataKey="mood" name="Mood" stroke="#8b5cf6" strokeWidth={3} connectNulls dot={false} />
+            <Line yAxisId="metric" type="monotone" dataKey={metric.label} stroke="#14b8a6" strokeWidth={2} connectNulls dot={chartData.length <= 31} />
+          </LineChart>
+        </ResponsiveContainer>
+        <p className="text-xs text-gray-500 mt-2">Mood runs from -1 (unpleasant) to 1 (pleasant), weighted by how strongly you felt it.</p>
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-teal-600" />
+          What moves with your mood
+        </h3>
+        {correlated.length > 0 ? (
+          <>
+            <ResponsiveContainer width="100%" height={200}>
+              <BarChart data={correlated.map(c => ({ name: c.label, r: c.correlation }))}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="name" stroke="#6b7280" />
+                <YAxis domain={[-1, 1]} stroke="#6b7280" />
+                <Tooltip contentStyle={{ backgroundColor: '#fff', border: '1px solid #e5e7eb', borderRadius: '8px' }} />
+                <Bar dataKey="r" name="Correlation" radius={[8, 8, 0, 0]}>
+                  {correlated.map(c => <Cell key={c.key} fill={c.correlation >= 0 ? '#14b8a6' : '#f43f5e'} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+            {Math.abs(strongest.correlation) >= 0.3 && (
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-3">
+                Higher <strong>{strongest.label.toLowerCase()}</strong> tended to go with {strongest.correlation > 0 ? 'better' : 'worse'} moods
+                (r = {strongest.correlation} over {strongest.entries} entries).
+              </p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">Record energy, sleep or stress on a few entries to see how they relate to your mood.</p>
+        )}
+        {topEmotions.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+            {topEmotions.map(([emotion, count]) => (
+              <span key={emotion} className="px-3 py-1 bg-teal-50 dark:bg-teal-900/30 text-teal-700 dark:text-teal-300 rounded-full text-sm">
+                {emotion} · {count}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Daily Trivia Component
+const TriviaCard = () => {
+  const { token, timezone } = useApp();
+  const [trivia, setTrivia] = useState(null);
+
+  useEffect(() => {
+    api.getTrivia()
+      .then(data => setTrivia(Array.isArray(data.events) ? data : null))
+      .catch(() => setTrivia(null));
+  }, [token, timezone]);
+
+  if (!trivia || trivia.events.length === 0) return null;
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <Lightbulb className="w-5 h-5 text-yellow-500" />
+        On {trivia.date}
+      </h3>
+      <ul className="space-y-2">
+        {trivia.events.map((event, index) => (
+          <li key={index} className="text-gray-700 dark:text-gray-300 flex gap-2">
+            <span className="text-purple-500">•</span>
+            {event}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Challenge Card Component
+const ChallengeCard = ({ onStart }) => {
+  const { token, journals } = useApp();
+  const [challenges, setChallenges] = useState(null);
+
+  useEffect(() => {
+    api.getCurrentChallenges()
+      .then(data => setChallenges(data.daily ? data : null))
+      .catch(() => console.error('Failed to load challenges'));
+  }, [token, journals]);
+
+  if (!challenges) return null;
+
+  const describeCriteria = ({ minWords, requiredTag, reflectOnYesterday }) => [
+    minWords && `${minWords}+ words`,
+    requiredTag && `tag #${requiredTag}`,
+    reflectOnYesterday && 'reflect on yesterday'
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {[['Today\'s challenge', challenges.daily], ['This week\'s challenge', challenges.weekly]].map(([label, challenge]) => (
+        <div key={challenge._id} className="card">
+          <div className="flex items-start justify-between gap-4">
+            <div className="flex-1">
+              <p className="text-sm text-gray-500 flex items-center gap-2">
+                <Target className="w-4 h-4 text-purple-600" />
+                {label} · {challenge.points} points
+              </p>
+              <h3 className="text-lg font-semibold mt-1">{challenge.title}</h3>
+              <p className="text-gray-600 dark:text-gray-400 mt-1">{challenge.prompt}</p>
+              <p className="text-xs text-gray-500 mt-2">{describeCriteria(challenge.criteria)}</p>
+            </div>
+            {challenge.completed ? (
+              <span className="px-3 py-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 rounded-full text-sm whitespace-nowrap">
+                Done ✓
+              </span>
+            ) : (
+              <button onClick={() => onStart(challenge)} className="btn-primary whitespace-nowrap">
+                Write it
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Achievements Panel Component
+const AchievementsPanel = () => {
+  const { token, journals, announceAchievements } = useApp();
+  const [achievements, setAchievements] = useState([]);
+
+  useEffect(() => {
+    api.getAchievements()
+      .then(data => {
+        if (!Array.isArray(data.achievements)) return;
+        setAchievements(data.achievements);
+        // Badges unlocked in the background (e.g. after AI analysis) get announced here
+        announceAchievements(data.newlyUnlocked);
+      })
+      .catch(() => console.error('Failed to load achievements'));
+  }, [token, journals, announceAchievements]);
+
+  const unlockedCount = achievements.filter(a => a.unlocked).length;
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <Trophy className="w-5 h-5 text-orange-500" />
+        Achievements
+        <span className="text-sm font-normal text-gray-500">{unlockedCount}/{achievements.length}</span>
+      </h3>
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {achievements.map(a => (
+          <div
+            key={a.key}
+            title={a.description}
+            className={`p-4 rounded-lg text-center ${
+              a.unlocked
+                ? 'bg-gradient-to-br from-orange-50 to-pink-50 dark:from-orange-900/20 dark:to-pink-900/20'
+                : 'bg-gray-50 dark:bg-gray-700 opacity-60'
+            }`}
+          >
+            <div className="text-3xl mb-2">{a.unlocked ? a.icon : <Lock className="w-8 h-8 mx-auto text-gray-400" />}</div>
+            <p className="font-semibold text-sm">{a.name}</p>
+            <p className="text-xs text-gray-500 mt-1">{a.description}</p>
+            {!a.unlocked && (
+              <div className="mt-2 h-1.5 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+                <div className="h-full bg-purple-500" style={{ width: `${(a.progress / a.target) * 100}%` }} />
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Renders text with [start, end) ranges wrapped in <mark>
+const Highlighted = ({ text, ranges }) => {
+  if (!ranges?.length) return text;
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return parts;
+};
+
+// Search Results Component
+const SearchResults = ({ query, onSelect }) => {
+  const { token, timezone } = useApp();
+  const [filters, setFilters] = useState({ from: '', to: '', tag: '', mood: '' });
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSearching(true);
+    api.searchJournals({ q: query, ...filters })
+      .then(data => {
+        if (!cancelled) setResults(Array.isArray(data.results) ? data.results : []);
+      })
+      .catch(() => {
+        if (!cancelled) setResults([]);
+      })
+      .finally(() => {
+        if (!cancelled) setSearching(false);
+      });
+    return () => { cancelled = true; };
+  }, [token, query, filters]);
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold">
+        {query ? <>Results for “{query}”</> : 'All entries'}
+      </h2>
+
+      <div className="card grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">From</label>
+          <input type="date" className="input-field" value={filters.from}
+            onChange={(e) => setFilters({...filters, from: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">To</label>
+          <input type="date" className="input-field" value={filters.to}
+            onChange={(e) => setFilters({...filters, to: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Tag</label>
+          <input type="text" className="input-field" value={filters.tag} placeholder="work"
+            onChange={(e) => setFilters({...filters, tag: e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Mood</label>
+          <select className="input-field" value={filters.mood}
+            onChange={(e) => setFilters({...filters, mood: e.target.value})}>
+            <option value="">Any</option>
+            {MOODS.map(mood => <option key={mood} value={mood}>{mood}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {searching && <p className="text-gray-500">Searching...</p>}
+
+      <div className="grid gap-4">
+        {results.map(result => (
+          <div
+            key={result._id}
+            onClick={() => onSelect(result)}
+            className="card hover:shadow-xl transition-shadow cursor-pointer"
+          >
+            <div className="flex items-start justify-between mb-2">
+              <h3 className="text-lg font-semibold">
+                <Highlighted text={result.title} ranges={result.titleHighlights} />
+              </h3>
+              <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full text-xs ml-3">
+                {result.mood}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              <Highlighted text={result.snippet.text} ranges={result.snippet.highlights} />
+            </p>
+            <div className="flex items-center gap-2 mt-3 text-xs text-gray-500">
+              <span>{formatDate(result.createdAt, { month: 'short', day: 'numeric', year: 'numeric' }, timezone)}</span>
+              {result.tags.map(tag => <span key={tag}>#{tag}</span>)}
+            </div>
+          </div>
+        ))}
+
+        {!searching && results.length === 0 && (
+          <div className="text-center py-16">
+            <Search className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+            <p className="text-gray-500">No matching entries</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Calendar View Component: month or year grid colored by each day's dominant mood
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day keys of a month, padded with nulls so the first lands on its weekday
+const monthGrid = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const first = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const length = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  const days = Array.from({ length }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+  return [...Array(first.getUTCDay()).fill(null), ...days];
+};
+
+const shiftMonth = (month, n) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1 + n, 1)).toISOString().slice(0, 7);
+};
+
+const CalendarView = ({ onSelect }) => {
+  const { timezone, journals } = useApp();
+  const today = todayKey(timezone);
+  const [mode, setMode] = useState('month');
+  const [month, setMonth] = useState(today.slice(0, 7));
+  const [days, setDays] = useState({});
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [dayEntries, setDayEntries] = useState([]);
+  const year = month.slice(0, 4);
+
+  useEffect(() => {
+    api.getCalendar(mode === 'year' ? { year } : { month })
+      .then(data => setDays(Object.fromEntries((data.days || []).map(d => [d.date, d]))))
+      .catch(() => console.error('Failed to load calendar'));
+  }, [mode, month, year, timezone, journals]);
+
+  useEffect(() => {
+    if (!selectedDay) return;
+    api.getCalendarDay(selectedDay)
+      .then(data => setDayEntries(Array.isArray(data.items) ? data.items : []))
+      .catch(() => setDayEntries([]));
+  }, [selectedDay]);
+
+  const step = (n) => setMonth(mode === 'year' ? shiftMonth(month, 12 * n) : shiftMonth(month, n));
+
+  const dayTitle = (key) => {
+    const day = days[key];
+    if (!day) return formatDayKey(key, { month: 'long', day: 'numeric' });
+    const moods = Object.entries(day.moods).map(([mood, count]) => `${mood} ${count}`).join(', ');
+    return `${formatDayKey(key, { month: 'long', day: 'numeric' })}: ${day.count} ${day.count === 1 ? 'entry' : 'entries'} (${moods})`;
+  };
+
+  const dayClasses = (key) => {
+    const day = days[key];
+    const color = day ? MOOD_COLORS[day.dominantMood] || MOOD_COLORS.neutral : 'bg-gray-50 dark:bg-gray-800';
+    const ring = key === selectedDay ? 'ring-2 ring-purple-600' : key === today ? 'ring-2 ring-purple-300 dark:ring-purple-700' : '';
+    return `${color} ${ring} ${day ? 'cursor-pointer hover:opacity-80' : 'cursor-default'}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+          <div className="flex items-center gap-2">
+            <button onClick={() => step(-1)} className="btn-secondary px-3">←</button>
+            <h2 className="text-xl font-bold min-w-48 text-center">
+              {mode === 'year' ? year : formatDayKey(`${month}-01`, { month: 'long', year: 'numeric' })}
+            </h2>
+            <button onClick={() => step(1)} className="btn-secondary px-3">→</button>
+            <button onClick={() => setMonth(today.slice(0, 7))} className="text-sm text-purple-600 dark:text-purple-400 hover:underline ml-2">
+              Today
+            </button>
+          </div>
+          <div className="flex gap-2">
+            {['month', 'year'].map(m => (
+              <button
+                key={m}
+                onClick={() => setMode(m)}
+                className={`px-3 py-1 rounded-full text-sm transition-colors ${mode === m ? 'bg-purple-600 text-white' : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+              >
+                {m === 'month' ? 'Month' : 'Year'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {mode === 'month' ? (
+          <div className="grid grid-cols-7 gap-2">
+            {WEEKDAYS.map(d => <div key={d} className="text-center text-xs font-medium text-gray-500">{d}</div>)}
+            {monthGrid(month).map((key, index) => key ? (
+              <button
+                key={key}
+                onClick={() => days[key] && setSelectedDay(key)}
+                title={dayTitle(key)}
+                className={`relative aspect-square rounded-lg p-1 text-left text-sm transition-opacity ${dayClasses(key)}`}
+              >
+                {Number(key.slice(8))}
+                {days[key]?.count > 1 && (
+                  <span className="absolute bottom-1 right-1 min-w-5 h-5 px-1 rounded-full bg-white/80 dark:bg-gray-900/80 text-xs flex items-center justify-center">
+                    {days[key].count}
+                  </span>
+                )}
+              </button>
+            ) : <div key={`blank-${index}`} />)}
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+            {Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`).map(m => (
+              <div key={m}>
+                <button onClick={() => { setMonth(m); setMode('month'); }} className="text-sm font-semibold mb-2 hover:text-purple-600 dark:hover:text-purple-400">
+                  {formatDayKey(`${m}-01`, { month: 'long' })}
+                </button>
+                <div className="grid grid-cols-7 gap-0.5">
+                  {monthGrid(m).map((key, index) => key ? (
+                    <button
+                      key={key}
+                      onClick={() => days[key] && setSelectedDay(key)}
+                      title={dayTitle(key)}
+                      className={`relative aspect-square rounded-sm ${dayClasses(key)}`}
+                    >
+                      {days[key]?.count > 1 && <span className="absolute inset-0 m-auto w-1 h-1 rounded-full bg-gray-800 dark:bg-white" />}
+                    </button>
+                  ) : <div key={`blank-${index}`} />)}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3 mt-6 text-xs text-gray-600 dark:text-gray-400">
+          {MOODS.map(mood => (
+            <span key={mood} className="flex items-center gap-1">
+              <span className={`w-3 h-3 rounded-sm ${MOOD_COLORS[mood]}`} />
+              {mood}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {selectedDay && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{formatDayKey(selectedDay, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}</h3>
+            <button onClick={() => setSelectedDay(null)} className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="space-y-3">
+            {dayEntries.map(journal => (
+              <div
+                key={journal._id}
+                onClick={() => onSelect(journal)}
+                className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 cursor-pointer transition-colors"
+              >
+                <div className="flex items-start justify-between">
+                  <h4 className="font-semibold"><SealedText value={journal.title} encrypted={journal.encrypted} /></h4>
+                  <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full text-xs ml-3">
+                    {journal.mood}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">{formatDate(journal.createdAt, { hour: '2-digit', minute: '2-digit' }, timezone)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Reflections Component: "Your week in review" and monthly reviews, generated weekly/monthly or on demand
+const TREND_LABELS = {
+  improving: 'Lifting',
+  declining: 'Dipping',
+  steady: 'Steady',
+  mixed: 'Up and down',
+  none: 'Not enough to tell'
+};
+
+const Reflections = ({ onSelect }) => {
+  const [period, setPeriod] = useState('week');
+  const [history, setHistory] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    Promise.all([api.getLatestReflection(period), api.getReflections(period)])
+      .then(([latest, list]) => {
+        setReport(latest?._id ? latest : null);
+        setHistory(Array.isArray(list) ? list : []);
+      })
+      .catch(() => console.error('Failed to load reviews'))
+      .finally(() => setLoading(false));
+  }, [period]);
+
+  const generate = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const data = await api.generateReflection(period);
+      setReport(data);
+      setHistory(prev => [data, ...prev.filter(r => r._id !== data._id)]);
+    } catch (err) {
+      setError(err.message);
+    }
+    setGenerating(false);
+  };
+
+  const openReport = async (id) => {
+    const data = await api.getReflection(id);
+    if (data?._id) setReport(data);
+  };
+
+  const rangeLabel = (r) => r.period === 'month'
+    ? formatDayKey(r.from, { month: 'long', year: 'numeric' })
+    : `${formatDayKey(r.from, { month: 'short', day: 'numeric' })} – ${formatDayKey(r.to, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <ScrollText className="w-6 h-6 text-purple-600 dark:text-purple-400" />
+          Your {period} in review
+        </h2>
+        <div className="flex items-center gap-2">
+          {['week', 'month'].map(p => (
+            <button
+              key={p}
+              onClick={() => setPeriod(p)}
+              className={`px-3 py-1 rounded-full text-sm transition-colors ${period === p ? 'bg-purple-600 text-white' : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+            >
+              {p === 'week' ? 'Weekly' : 'Monthly'}
+            </button>
+          ))}
+          <button onClick={generate} disabled={generating} className="btn-primary text-sm flex items-center gap-2">
+            <Sparkles className="w-4 h-4" />
+            {generating ? 'Reflecting...' : `Review this ${period} so far`}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : !report ? (
+        <div className="card text-center text-gray-500 py-12">
+          No reviews yet. A review is written after each {period} you journal in, or ask for one now.
+        </div>
+      ) : (
+        <div className="card space-y-6">
+          <div>
+            <p className="text-sm text-gray-500">
+              {rangeLabel(report)} · {report.entryCount} {report.entryCount === 1 ? 'entry' : 'entries'}
+              {report.partial && ' · so far'}
+            </p>
+            <p className="text-lg mt-2">{report.overview}</p>
+            {report.sealedCount > 0 && (
+              <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
+                <Lock className="w-3 h-3" />
+                {report.sealedCount} encrypted {report.sealedCount === 1 ? 'entry' : 'entries'} counted by mood only.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="font-semibold mb-2">Mood: {TREND_LABELS[report.moodTrend?.direction] || TREND_LABELS.none}</h3>
+            <div className="flex flex-wrap gap-1 mb-2">
+              {(report.moodTrend?.days || []).map(day => (
+                <span
+                  key={day.date}
+                  title={`${formatDayKey(day.date, { weekday: 'short', month: 'short', day: 'numeric' })}: ${day.mood}`}
+                  className={`w-6 h-6 rounded ${MOOD_COLORS[day.mood] || MOOD_COLORS.neutral}`}
+                />
+              ))}
+            </div>
+            {report.moodTrend?.summary && <p className="text-gray-700 dark:text-gray-300">{report.moodTrend.summary}</p>}
+          </div>
+
+          {report.themes?.length > 0 && (
+            <div>
+              <h3 className="font-semibold mb-2">Recurring themes</h3>
+              <ul className="space-y-2">
+                {report.themes.map((theme, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{theme.title}</span>
+                    {theme.detail && <span className="text-gray-600 dark:text-gray-400"> — {theme.detail}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.notableDays?.length > 0 && (
+            <div>
+              <h3 className="font-semibold mb-2">Notable days</h3>
+              <ul className="space-y-2">
+                {report.notableDays.map(day => (
+                  <li key={day.date}>
+                    <button
+                      onClick={() => day.journal && onSelect({ _id: day.journal })}
+                      className="font-medium text-purple-600 dark:text-purple-400 hover:underline"
+                    >
+                      {formatDayKey(day.date, { weekday: 'long', month: 'short', day: 'numeric' })}
+                    </button>
+                    <span className="text-gray-600 dark:text-gray-400"> — {day.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.suggestions?.length > 0 && (
+            <div className="bg-gradient-to-r from-purple-50 to-pink-50 dark:from-purple-900/20 dark:to-pink-900/20 p-4 rounded-lg">
+              <h3 className="font-semibold mb-2 flex items-center gap-2">
+                <Lightbulb className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+                Gentle suggestions
+              </h3>
+              <ul className="list-disc pl-5 space-y-1 text-gray-700 dark:text-gray-300">
+                {report.suggestions.map((suggestion, index) => <li key={index}>{suggestion}</li>)}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {history.length > 1 && (
+        <div className="card">
+          <h3 className="font-semibold mb-3">Earlier reviews</h3>
+          <div className="flex flex-wrap gap-2">
+            {history.map(r => (
+              <button
+                key={r._id}
+                onClick={() => openReport(r._id)}
+                className={`px-3 py-1 rounded-full text-sm transition-colors ${report?._id === r._id ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+              >
+                {rangeLabel(r)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Ask Panel Component: questions answered from past entries, with [n] citations linking to them
+const ASK_EXAMPLES = [
+  'When was I last anxious about work, and what helped?',
+  'What have I been grateful for lately?',
+  'How did I feel after seeing friends?'
+];
+
+const CitedAnswer = ({ text, citations, onSelect }) => {
+  const byNumber = Object.fromEntries(citations.map(c => [c.n, c]));
+  return (
+    <p className="whitespace-pre-wrap">
+      {text.split(/(\[\d+\])/).map((part, index) => {
+        const citation = byNumber[part.slice(1, -1)];
+        if (!/^\[\d+\]$/.test(part) || !citation) return <span key={index}>{part}</span>;
+        return (
+          <button key={index} onClick={() => onSelect({ _id: citation._id })} title={citation.title} className="text-purple-600 dark:text-purple-400 hover:underline font-medium">
+            {part}
+          </button>
+        );
+      })}
+    </p>
+  );
+};
+
+// The conversation lives in the Dashboard so it survives opening a cited entry
+const AskPanel = ({ messages, setMessages, onSelect }) => {
+  const { timezone } = useApp();
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const ask = async (text) => {
+    const q = text.trim();
+    if (!q || asking) return;
+    setQuestion('');
+    setMessages(prev => [...prev, { role: 'user', text: q }]);
+    setAsking(true);
+    try {
+      const { answer, citations } = await api.askJournal(q);
+      setMessages(prev => [...prev, { role: 'assistant', text: answer, citations }]);
+    } catch (error) {
+      setMessages(prev => [...prev, { role: 'assistant', text: error.message, citations: [], failed: true }]);
+    }
+    setAsking(false);
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto card flex flex-col h-[70vh]">
+      <h2 className="text-xl font-bold mb-1 flex items-center gap-2">
+        <MessageCircle className="w-6 h-6 text-purple-600 dark:text-purple-400" />
+        Ask your journal
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">Answers come only from your own entries. Encrypted entries aren't searched.</p>
+
+      <div className="flex-1 overflow-y-auto space-y-4 mb-4">
+        {messages.length === 0 && (
+          <div className="flex flex-wrap gap-2">
+            {ASK_EXAMPLES.map(example => (
+              <button key={example} onClick={() => ask(example)} className="px-3 py-2 rounded-lg text-sm bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-left">
+                {example}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+            <div className={`max-w-[85%] rounded-lg px-4 py-3 ${
+              message.role === 'user'
+                ? 'bg-purple-600 text-white'
+                : message.failed
+                  ? 'bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400'
+                  : 'bg-gray-100 dark:bg-gray-700'
+            }`}>
+              {message.role === 'user' ? message.text : (
+                <>
+                  <CitedAnswer text={message.text} citations={message.citations} onSelect={onSelect} />
+                  {message.citations.length > 0 && (
+                    <ul className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600 space-y-1 text-sm">
+                      {message.citations.map(citation => (
+                        <li key={citation.n}>
+                          <button onClick={() => onSelect({ _id: citation._id })} className="text-left hover:underline">
+                            <span className="text-purple-600 dark:text-purple-400 font-medium">[{citation.n}]</span>{' '}
+                            {citation.title}
+                            <span className="text-gray-500"> · {formatDate(citation.createdAt, { month: 'short', day: 'numeric', year: 'numeric' }, timezone)}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+        {asking && <p className="text-sm text-gray-500 flex items-center gap-2"><Sparkles className="w-4 h-4 animate-pulse" /> Reading your entries...</p>}
+        <div ref={endRef} />
+      </div>
+
+      <form onSubmit={(e) => { e.preventDefault(); ask(question); }} className="flex gap-2">
+        <input
+          className="input-field"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask about your past entries..."
+          maxLength={500}
+        />
+        <button type="submit" disabled={asking || !question.trim()} className="btn-primary flex items-center gap-2">
+          <Send className="w-4 h-4" />
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// On This Day Component: entries from today's date in earlier years
+const OnThisDay = ({ onSelect }) => {
+  const { timezone, token } = useApp();
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    api.getOnThisDay()
+      .then(data => setItems(Array.isArray(data.items) ? data.items : []))
+      .catch(() => setItems([]));
+  }, [token, timezone]);
+
+  if (items.length === 0) return null;
+
+  const thisYear = Number(todayKey(timezone).slice(0, 4));
+  const yearsAgo = (journal) => thisYear - Number(formatDate(journal.createdAt, { year: 'numeric' }, timezone));
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <Calendar className="w-5 h-5 text-purple-600" />
+        On this day
+      </h3>
+      <div className="space-y-3">
+        {items.map(journal => (
+          <div
+            key={journal._id}
+            onClick={() => onSelect(journal)}
+            className="p-4 bg-gray-50 dark:bg-gray-700 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 cursor-pointer transition-colors"
+          >
+            <p className="text-xs font-medium text-purple-600 dark:text-purple-400 mb-1">
+              {yearsAgo(journal) === 1 ? '1 year ago' : `${yearsAgo(journal)} years ago`}
+            </p>
+            <h4 className="font-semibold"><SealedText value={journal.title} encrypted={journal.encrypted} /></h4>
+            {journal.excerpt && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 line-clamp-2">{journal.excerpt}</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Tag Cloud Component: filter by tag, sized by use; manage mode renames, merges and deletes
+const TagCloud = ({ selected, onSelect, onChanged }) => {
+  const { token, journals } = useApp();
+  const [tags, setTags] = useState([]);
+  const [managing, setManaging] = useState(false);
+  const [picked, setPicked] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadTags = () => api.getTags()
+    .then(data => setTags(Array.isArray(data) ? data : []))
+    .catch(() => setTags([]));
+
+  useEffect(() => {
+    loadTags();
+  }, [token, journals]);
+
+  if (tags.length === 0) return null;
+
+  const max = Math.max(...tags.map(t => t.count));
+  const sizeFor = (count) => ['text-xs', 'text-sm', 'text-base', 'text-lg', 'text-xl'][Math.round((count / max) * 4)];
+
+  // nextFilter follows the active filter to its new name ('' when it's gone)
+  const finish = async (request, nextFilter) => {
+    setError('');
+    const result = await request.catch(() => null);
+    if (!result || result.message) {
+      setError(result?.message || 'Failed to update tags');
+      return;
+    }
+    setPicked([]);
+    await loadTags();
+    onChanged(nextFilter);
+  };
+
+  const rename = (tag) => {
+    const name = prompt(`Rename #${tag} on every entry to:`, tag);
+    if (!name || normalizeTag(name) === tag) return;
+    // Renaming onto an existing tag merges the two
+    finish(api.renameTag(tag, name), selected === tag ? normalizeTag(name) : undefined);
+  };
+
+  const remove = (tag) => {
+    if (!confirm(`Remove #${tag} from every entry? The entries themselves are kept.`)) return;
+    finish(api.deleteTag(tag), selected === tag ? '' : undefined);
+  };
+
+  const merge = () => {
+    const into = prompt(`Merge ${picked.map(t => `#${t}`).join(', ')} into:`, picked[0]);
+    if (!into) return;
+    finish(api.mergeTags(picked, into), picked.includes(selected) ? normalizeTag(into) : undefined);
+  };
+
+  const togglePicked = (tag) => setPicked(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Tag className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+          Tags
+        </h3>
+        <div className="flex items-center gap-3 text-sm">
+          {managing && picked.length > 1 && (
+            <button onClick={merge} className="text-purple-600 dark:text-purple-400 hover:underline">
+              Merge {picked.length} tags
+            </button>
+          )}
+          {selected && !managing && (
+            <button onClick={() => onSelect('')} className="text-gray-500 hover:underline">Clear filter</button>
+          )}
+          <button onClick={() => { setManaging(!managing); setPicked([]); }} className="text-purple-600 dark:text-purple-400 hover:underline">
+            {managing ? 'Done' : 'Manage'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400 mb-2">{error}</p>}
+
+      {managing ? (
+        <div className="divide-y divide-gray-200 dark:divide-gray-700">
+          {tags.map(({ tag, count }) => (
+            <div key={tag} className="flex items-center justify-between py-2">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={picked.includes(tag)} onChange={() => togglePicked(tag)} />
+                #{tag}
+                <span className="text-sm text-gray-500">({count})</span>
+              </label>
+              <div className="flex gap-1">
+                <button onClick={() => rename(tag)} title="Rename" className="p-1 hover:bg-blue-50 dark:hover:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded">
+                  <Edit className="w-4 h-4" />
+                </button>
+                <button onClick={() => remove(tag)} title="Delete" className="p-1 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1">
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              onClick={() => onSelect(selected === tag ? '' : tag)}
+              title={`${count} ${count === 1 ? 'entry' : 'entries'}`}
+              className={`${sizeFor(count)} transition-colors ${
+                selected === tag
+                  ? 'text-purple-600 dark:text-purple-400 font-semibold'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-400'
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Journal List Component
+const JournalList = ({ onSelect, onShowTrash }) => {
+  const { token, timezone, deleteJournal, loadJournals } = useApp();
+  const [filter, setFilter] = useState('all');
+  const [tagFilter, setTagFilter] = useState('');
+  const [filteredJournals, setFilteredJournals] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingPage, setLoadingPage] = useState(false);
+  const sentinelRef = useRef(null);
+
+  // Changes with the filters, which restarts the list
+  const loadPage = useCallback(async (cursor) => {
+    setLoadingPage(true);
+    try {
+      const data = await api.getJournals({ cursor, mood: filter === 'all' ? '' : filter, tag: tagFilter });
+      if (Array.isArray(data.items)) {
+        setFilteredJournals(prev => cursor ? [...prev, ...data.items] : data.items);
+        setNextCursor(data.nextCursor);
+      }
+    } catch {
+      console.error('Failed to load journals');
+    } finally {
+      setLoadingPage(false);
+    }
+  }, [filter, tagFilter]);
+
+  useEffect(() => {
+    setFilteredJournals([]);
+    setNextCursor(null);
+    loadPage(null);
+  }, [loadPage, token]);
+
+  // Renames and merges touch many entries at once, so start over from the first page
+  const handleTagsChanged = (nextFilter) => {
+    loadJournals();
+    if (nextFilter !== undefined && nextFilter !== tagFilter) {
+      setTagFilter(nextFilter);
+      return;
+    }
+    setFilteredJournals([]);
+    setNextCursor(null);
+    loadPage(null);
+  };
+
+  // Infinite scroll: fetch the next page when the sentinel comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingPage) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadPage(nextCursor);
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingPage, loadPage]);
+
+  const handleDelete = async (id) => {
+    const result = await deleteJournal(id);
+    if (result.success) {
+      setFilteredJournals(prev => prev.filter(j => j._id !== id));
+    }
+  };
+
+  const moods = ['all', ...MOODS];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <h2 className="text-2xl font-bold">All Journals</h2>
+          <button onClick={onShowTrash} className="flex items-center gap-1 text-sm text-gray-500 hover:text-purple-600 dark:hover:text-purple-400">
+            <Trash2 className="w-4 h-4" />
+            Trash
+          </button>
+        </div>
+        <div className="flex gap-2 flex-wrap">
+          {moods.map(mood => (
+            <button
+              key={mood}
+              onClick={() => setFilter(mood)}
+              className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                filter === mood
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'
+              }`}
+            >
+              {mood.charAt(0).toUpperCase() + mood.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <TagCloud selected={tagFilter} onSelect={setTagFilter} onChanged={handleTagsChanged} />
+
+      <div className="grid gap-6">
+        {filteredJournals.map(journal => (
+          <div key={journal._id} className="card hover:shadow-xl transition-shadow">
+            <div className="flex items-start justify-between mb-3">
+              <div className="flex-1">
+                <h3 className="text-xl font-semibold mb-2"><SealedText value={journal.title} encrypted={journal.encrypted} /></h3>
+                <div className="flex items-center gap-2 mb-3">
+                  <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full text-sm">
+                    {journal.mood}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    {formatDate(journal.createdAt, { month: 'long', day: 'numeric', year: 'numeric' }, timezone)}
+                  </span>
+                  {journal.tags?.map(tag => (
+                    <button key={tag} onClick={() => setTagFilter(tag)} className="text-sm text-gray-500 hover:text-purple-600 dark:hover:text-purple-400">
+                      #{tag}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onSelect(journal)}
+                  className="p-2 hover:bg-blue-50 dark:hover:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-lg transition-colors"
+                >
+                  <Edit className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={async () => {
+                    if (confirm('Move this journal entry to the trash?')) {
+                      await handleDelete(journal._id);
+                    }
+                  }}
+                  className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors"
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+            
+            {journal.aiSummary && (
+              <div className="bg-gradient-to-r from-purple-50 to-pink-50 dark:from-purple-900/20 dark:to-pink-900/20 p-4 rounded-lg mb-3">
+                <p className="text-sm flex items-start gap-2">
+                  <Sparkles className="w-4 h-4 text-purple-600 dark:text-purple-400 mt-0.5 flex-shrink-0" />
+                  <span className="text-gray-700 dark:text-gray-300"><SealedText value={journal.aiSummary} encrypted={journal.encrypted} /></span>
+                </p>
+              </div>
+            )}
+            
+            <p className="text-gray-600 dark:text-gray-400 line-clamp-3">
+              {journal.excerpt}{journal.truncated && '…'}
+            </p>
+            
+            <button
+              onClick={() => onSelect(journal)}
+              className="mt-4 text-purple-600 dark:text-purple-400 hover:underline text-sm font-medium"
             >
               Read more →
             </button>
           </div>
         ))}
         
-        {filteredJournals.length === 0 && (
+        <div ref={sentinelRef} />
+        {loadingPage && <p className="text-center text-gray-500">Loading...</p>}
+
+        {!loadingPage && filteredJournals.length === 0 && (
           <div className="text-center py-16">
             <BookOpen className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
             <p className="text-gray-500">No journal entries found</p>
@@ -626,28 +3513,550 @@ const JournalList = ({ onSelect }) => {
   );
 };
 
+// Draft Prompt Component: offers to pick up the most recent unsaved draft
+const DraftPrompt = ({ onResume }) => {
+  const { user, timezone, encryptionEnabled, vaultUnlocked } = useApp();
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+    const local = draftStore.all(user._id);
+    api.getDrafts()
+      .catch(() => [])
+      .then(remote => {
+        // Per entry, whichever copy was saved last wins
+        const latest = {};
+        [...(Array.isArray(remote) ? remote : []), ...local].forEach(d => {
+          const key = d.journal || 'new';
+          if (!latest[key] || new Date(d.updatedAt) > new Date(latest[key].updatedAt)) latest[key] = d;
+        });
+        const newest = Object.values(latest).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+        setDraft(newest || null);
+      });
+  }, [user]);
+
+  const handleDiscard = async () => {
+    if (!confirm('Discard this draft?')) return;
+    draftStore.clear(user._id, draft.journal);
+    const remote = await api.getDrafts().catch(() => []);
+    const match = Array.isArray(remote) && remote.find(d => (d.journal || null) === (draft.journal || null));
+    if (match) await api.deleteDraft(match._id);
+    setDraft(null);
+  };
+
+  if (!draft) return null;
+  const locked = draft.encrypted && (!encryptionEnabled || !vaultUnlocked);
+
+  return (
+    <div className="card border-l-4 border-purple-500 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="min-w-0">
+          <p className="font-semibold flex items-center gap-2">
+            <Edit className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+            Pick up where you left off?
+          </p>
+          <p className="text-sm text-gray-500 truncate">
+            {draft.journal ? 'Unsaved changes to ' : 'Unsaved entry '}
+            “<SealedText value={draft.title || 'Untitled'} encrypted={draft.encrypted && Boolean(draft.title)} />” ·
+            {' '}last edited {formatDate(draft.updatedAt, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }, timezone)}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => onResume(draft)} disabled={locked} className="btn-primary">Resume draft</button>
+          <button onClick={handleDiscard} className="btn-secondary">Discard</button>
+        </div>
+      </div>
+      {locked && encryptionEnabled && <UnlockVault message="This draft is encrypted. Unlock to resume it." />}
+    </div>
+  );
+};
+
+// Markdown Component. react-markdown builds React elements and drops raw HTML
+// (skipHtml) and unsafe link protocols, so entries can't inject markup or scripts.
+const withoutNode = (props) => {
+  const { node: _node, ...rest } = props;
+  return rest;
+};
+
+const MARKDOWN_COMPONENTS = {
+  h1: (props) => <h1 className="text-2xl font-bold mt-6 mb-3" {...withoutNode(props)} />,
+  h2: (props) => <h2 className="text-xl font-bold mt-5 mb-2" {...withoutNode(props)} />,
+  h3: (props) => <h3 className="text-lg font-semibold mt-4 mb-2" {...withoutNode(props)} />,
+  p: (props) => <p className="mb-3 whitespace-pre-wrap" {...withoutNode(props)} />,
+  ul: (props) => <ul className="list-disc pl-6 mb-3 space-y-1 [&:has(input)]:list-none [&:has(input)]:pl-1" {...withoutNode(props)} />,
+  ol: (props) => <ol className="list-decimal pl-6 mb-3 space-y-1" {...withoutNode(props)} />,
+  blockquote: (props) => <blockquote className="border-l-4 border-purple-300 dark:border-purple-700 pl-4 italic text-gray-600 dark:text-gray-400 mb-3" {...withoutNode(props)} />,
+  code: (props) => <code className="px-1 rounded bg-gray-100 dark:bg-gray-700 text-sm" {...withoutNode(props)} />,
+  input: (props) => <input className="mr-2 align-middle" {...withoutNode(props)} />,
+  a: (props) => <a className="text-purple-600 dark:text-purple-400 underline" target="_blank" rel="noopener noreferrer" {...withoutNode(props)} />
+};
+
+const Markdown = ({ text }) => (
+  <div className="text-gray-700 dark:text-gray-300 leading-relaxed">
+    <ReactMarkdown remarkPlugins={[remarkGfm]} components={MARKDOWN_COMPONENTS} skipHtml>
+      {text || ''}
+    </ReactMarkdown>
+  </div>
+);
+
+// Markdown Editor Component: formatting toolbar and a live preview
+const MARKDOWN_TOOLS = [
+  { label: 'H', title: 'Heading', prefix: '## ' },
+  { label: 'B', title: 'Bold', wrap: '**' },
+  { label: 'I', title: 'Italic', wrap: '_' },
+  { label: '•', title: 'Bulleted list', prefix: '- ' },
+  { label: '☐', title: 'Checklist', prefix: '- [ ] ' },
+  { label: '❝', title: 'Quote', prefix: '> ' }
+];
+
+const MarkdownEditor = ({ value, onChange, placeholder }) => {
+  const textareaRef = useRef(null);
+  const [showPreview, setShowPreview] = useState(true);
+
+  const applyTool = (tool) => {
+    const el = textareaRef.current;
+    const { selectionStart: start, selectionEnd: end } = el;
+    let next, selectFrom, selectTo;
+
+    if (tool.wrap) {
+      const selected = value.slice(start, end) || tool.title.toLowerCase();
+      next = value.slice(0, start) + tool.wrap + selected + tool.wrap + value.slice(end);
+      selectFrom = start + tool.wrap.length;
+      selectTo = selectFrom + selected.length;
+    } else {
+      // Prefix every line the selection touches
+      const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+      const lines = value.slice(lineStart, end).split('\n').map(line => tool.prefix + line).join('\n');
+      next = value.slice(0, lineStart) + lines + value.slice(end);
+      selectFrom = lineStart;
+      selectTo = lineStart + lines.length;
+    }
+
+    onChange(next);
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(selectFrom, selectTo);
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-1">
+        {MARKDOWN_TOOLS.map(tool => (
+          <button
+            key={tool.title}
+            type="button"
+            title={tool.title}
+            onClick={() => applyTool(tool)}
+            className="w-8 h-8 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-sm font-semibold"
+          >
+            {tool.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setShowPreview(!showPreview)}
+          className="ml-auto text-sm text-purple-600 dark:text-purple-400 hover:underline"
+        >
+          {showPreview ? 'Hide preview' : 'Show preview'}
+        </button>
+      </div>
+      <div className={`grid gap-4 ${showPreview ? 'md:grid-cols-2' : ''}`}>
+        <textarea
+          ref={textareaRef}
+          className="input-field min-h-64 resize-y font-mono text-sm"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          required
+        />
+        {showPreview && (
+          <div className="min-h-64 max-h-[32rem] overflow-auto rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+            {value.trim() ? <Markdown text={value} /> : <p className="text-sm text-gray-400">Preview appears here</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Voice Recorder Component: records with MediaRecorder and hands back the transcript.
+// The recording itself is kept by the form and attached after saving.
+const recordingFileName = (blob) => {
+  const extension = blob.type.includes('ogg') ? 'ogg' : blob.type.includes('mp4') ? 'm4a' : 'webm';
+  return `voice-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+};
+
+const VoiceRecorder = ({ recording, onRecorded, onRemove, onTranscript }) => {
+  const [recorder, setRecorder] = useState(null);
+  const [seconds, setSeconds] = useState(0);
+  const [status, setStatus] = useState('');
+  const [url, setUrl] = useState(null);
+  const supported = typeof window !== 'undefined' && 'MediaRecorder' in window && navigator.mediaDevices?.getUserMedia;
+
+  useEffect(() => {
+    if (!recorder) return;
+    const interval = setInterval(() => setSeconds(s => s + 1), 1000);
+    return () => clearInterval(interval);
+  }, [recorder]);
+
+  useEffect(() => {
+    if (!recording) {
+      setUrl(null);
+      return;
+    }
+    const objectUrl = URL.createObjectURL(recording);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [recording]);
+
+  // Leaving the form mid-recording releases the microphone
+  useEffect(() => () => {
+    if (recorder?.state === 'recording') recorder.stop();
+  }, [recorder]);
+
+  const transcribe = async (blob) => {
+    setStatus('Transcribing...');
+    try {
+      const { text } = await api.transcribeAudio(blob, recordingFileName(blob));
+      if (text) onTranscript(text);
+      setStatus(text ? '' : 'No speech was recognized in this recording.');
+    } catch (error) {
+      setStatus(`${error.message}. The recording will still be attached.`);
+    }
+  };
+
+  const start = async () => {
+    setStatus('');
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+      setStatus('Microphone access was denied.');
+      return;
+    }
+    const mediaRecorder = new MediaRecorder(stream);
+    const chunks = [];
+    mediaRecorder.ondataavailable = (e) => e.data.size > 0 && chunks.push(e.data);
+    mediaRecorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      setRecorder(null);
+      const blob = new Blob(chunks, { type: mediaRecorder.mimeType || 'audio/webm' });
+      onRecorded(blob);
+      transcribe(blob);
+    };
+    mediaRecorder.start();
+    setSeconds(0);
+    setRecorder(mediaRecorder);
+  };
+
+  if (!supported) return null;
+
+  const elapsed = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        {recorder ? (
+          <button type="button" onClick={() => recorder.stop()} className="btn-secondary flex items-center gap-2 text-sm text-red-600 dark:text-red-400">
+            <Square className="w-4 h-4" />
+            Stop ({elapsed})
+          </button>
+        ) : (
+          <button type="button" onClick={start} disabled={status === 'Transcribing...'} className="btn-secondary flex items-center gap-2 text-sm">
+            <Mic className="w-4 h-4" />
+            {recording ? 'Record again' : 'Record instead of typing'}
+          </button>
+        )}
+        {url && !recorder && (
+          <>
+            <audio controls src={url} className="h-10" />
+            <button type="button" onClick={onRemove} title="Remove recording" className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </>
+        )}
+      </div>
+      {status && <p className="text-sm text-gray-500">{status}</p>}
+    </div>
+  );
+};
+
+// Tag Input Component: chips, with the user's existing tags offered as completions
+// and any pending AI suggestions one click away
+const TagInput = ({ tags, suggestions = [], onChange }) => {
+  const [input, setInput] = useState('');
+  const [known, setKnown] = useState([]);
+
+  useEffect(() => {
+    api.getTags()
+      .then(data => setKnown(Array.isArray(data) ? data.map(t => t.tag) : []))
+      .catch(() => setKnown([]));
+  }, []);
+
+  const add = (value) => {
+    const added = value.split(',').map(normalizeTag).filter(t => t && !tags.includes(t));
+    if (added.length) onChange([...tags, ...new Set(added)]);
+    setInput('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      add(input);
+    } else if (e.key === 'Backspace' && !input && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  const pending = suggestions.filter(t => !tags.includes(t));
+
+  return (
+    <div className="space-y-2">
+      <div className="input-field flex flex-wrap items-center gap-2">
+        {tags.map(tag => (
+          <span key={tag} className="flex items-center gap-1 px-2 py-0.5 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full text-sm">
+            #{tag}
+            <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} aria-label={`Remove ${tag}`}>
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          list="known-tags"
+          className="flex-1 min-w-[8rem] bg-transparent outline-none"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && add(input)}
+          placeholder={tags.length ? '' : 'work, personal, thoughts...'}
+        />
+        <datalist id="known-tags">
+          {known.filter(t => !tags.includes(t)).map(t => <option key={t} value={t} />)}
+        </datalist>
+      </div>
+      {pending.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="flex items-center gap-1 text-gray-500">
+            <Sparkles className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+            Suggested:
+          </span>
+          {pending.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => onChange([...tags, tag])}
+              className="px-2 py-0.5 border border-dashed border-purple-400 text-purple-700 dark:text-purple-300 rounded-full hover:bg-purple-50 dark:hover:bg-purple-900/20"
+            >
+              + #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Journal Form Component
-const JournalForm = ({ journal, onCancel, onSuccess }) => {
-  const { createJournal, updateJournal, loading } = useApp();
-  const [formData, setFormData] = useState({
-    title: journal?.title || '',
-    content: journal?.content || '',
-    tags: journal?.tags?.join(', ') || ''
+const JournalForm = ({ journal, challenge, draft, onCancel, onSuccess }) => {
+  const { user, timezone, createJournal, updateJournal, submitChallenge, loading, encryptionEnabled, vaultUnlocked, sealFields, analyzeEncrypted } = useApp();
+  const [encrypt, setEncrypt] = useState(draft ? Boolean(draft.encrypted) : journal ? Boolean(journal.encrypted) : encryptionEnabled);
+  // Encrypted entries skip AI analysis unless the writer opts in for this entry
+  const [allowAi, setAllowAi] = useState(false);
+  const [formData, setFormData] = useState(draft ? {
+    title: draft.title || '',
+    content: draft.content || '',
+    tags: Array.isArray(draft.tags) ? draft.tags : (draft.tags || '').split(',').map(normalizeTag).filter(Boolean),
+    mood: draft.mood || '',
+    moodIntensity: draft.moodIntensity || null,
+    emotions: draft.emotions || [],
+    metrics: draft.metrics || {},
+    template: draft.template || '',
+    sections: draft.sections || []
+  } : {
+    title: journal?.title || challenge?.title || '',
+    content: journal?.content || (challenge ? `${challenge.prompt}\n\n` : ''),
+    tags: journal?.tags || (challenge?.criteria?.requiredTag ? [normalizeTag(challenge.criteria.requiredTag)] : []),
+    // Empty means "let the AI decide"
+    mood: journal?.moodSource === 'user' ? journal.mood : '',
+    moodIntensity: journal?.moodIntensity || null,
+    emotions: journal?.emotions || [],
+    metrics: journal?.metrics || {},
+    template: journal?.template || '',
+    sections: journal?.sections || []
+  });
+  const untouched = useRef(formData);
+  const [draftStatus, setDraftStatus] = useState('');
+  // Voice recording to attach once the entry is saved
+  const [recording, setRecording] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [metrics, setMetrics] = useState([]);
+  const [otherEmotion, setOtherEmotion] = useState('');
+  // Template field being written in; transcripts and prompts go there
+  const [activeField, setActiveField] = useState(null);
+  const [followUp, setFollowUp] = useState(null);
+  const [prompting, setPrompting] = useState(false);
+
+  useEffect(() => {
+    api.getTemplates()
+      .then(data => setTemplates(Array.isArray(data) ? data : []))
+      .catch(() => setTemplates([]));
+    api.getMetrics()
+      .then(data => setMetrics(Array.isArray(data) ? data : []))
+      .catch(() => setMetrics([]));
+  }, []);
+
+  const toggleEmotion = (emotion) => setFormData(prev => ({
+    ...prev,
+    emotions: prev.emotions.includes(emotion) ? prev.emotions.filter(e => e !== emotion) : [...prev.emotions, emotion]
+  }));
+
+  const addOtherEmotion = () => {
+    const emotion = otherEmotion.trim().toLowerCase();
+    if (emotion && !formData.emotions.includes(emotion)) toggleEmotion(emotion);
+    setOtherEmotion('');
+  };
+
+  const activeTemplate = templates.find(t => t._id === formData.template);
+  const templated = Boolean(formData.template) || formData.sections.length > 0;
+  // The template's fields, plus any saved answers it no longer has
+  const templateFields = [
+    ...(activeTemplate?.fields || []),
+    ...formData.sections.filter(section => !activeTemplate?.fields.some(field => field.key === section.key))
+  ];
+  const answerFor = (key) => formData.sections.find(section => section.key === key)?.value || '';
+  const answers = templateFields.map(({ key, label }) => ({ key, label, value: answerFor(key) }));
+  const entryText = templated ? composeSections(answers) : formData.content;
+
+  const withAnswer = (sections, field, value) => sections.some(section => section.key === field.key)
+    ? sections.map(section => section.key === field.key ? { ...section, value } : section)
+    : [...sections, { key: field.key, label: field.label, value }];
+
+  const setAnswer = (field, value) => setFormData(prev => ({ ...prev, sections: withAnswer(prev.sections, field, value) }));
+
+  const appendToEntry = (text) => setFormData(prev => {
+    const join = (current) => current.trim() ? `${current.trimEnd()}\n\n${text}` : text;
+    if (!templated) return { ...prev, content: join(prev.content) };
+    const field = activeField || templateFields[0];
+    return field ? { ...prev, sections: withAnswer(prev.sections, field, join(answerFor(field.key))) } : prev;
   });
 
+  const chooseTemplate = (id) => {
+    const next = templates.find(t => t._id === id);
+    if (!next) {
+      // Back to a blank page: the answers carry over as ordinary markdown
+      setFormData(prev => ({ ...prev, template: '', sections: [], content: entryText }));
+      return;
+    }
+    const kept = formData.sections.filter(section => next.fields.some(field => field.key === section.key));
+    const losing = templated
+      ? formData.sections.some(section => section.value.trim() && !kept.includes(section))
+      : Boolean(formData.content.trim());
+    if (losing && !confirm('Switch templates? Text that doesn\'t fit the new template will be cleared.')) return;
+    setActiveField(null);
+    setFormData(prev => ({
+      ...prev,
+      template: next._id,
+      sections: kept,
+      content: '',
+      title: prev.title || `${next.name} · ${formatDate(new Date(), { month: 'short', day: 'numeric' }, timezone)}`
+    }));
+  };
+
+  const promptMe = async () => {
+    setPrompting(true);
+    try {
+      setFollowUp(await api.getFollowUp(entryText, formData.template || undefined));
+    } catch (error) {
+      setFollowUp({ error: error.message || 'Couldn\'t get a question right now' });
+    } finally {
+      setPrompting(false);
+    }
+  };
+
+  const sealSections = useCallback((sections) => Promise.all(sections.map(async (section) => ({
+    ...section,
+    value: (await sealFields({ value: section.value })).value
+  }))), [sealFields]);
+
+  // The id, not the user: profile updates (points, timezone) shouldn't re-save the draft
+  const userId = user?._id;
+  const journalId = journal?._id;
+
+  // Autosave a draft locally and to the server shortly after typing stops.
+  // Encrypted drafts are sealed first; with the vault locked nothing is saved.
+  useEffect(() => {
+    if (formData === untouched.current || !userId) return;
+    if (encrypt && !vaultUnlocked) {
+      setDraftStatus('Unlock encryption to autosave this draft');
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      const fields = { title: formData.title, content: entryText };
+      const draftData = {
+        journal: journalId || null,
+        ...formData,
+        ...(encrypt ? await sealFields(fields) : fields),
+        sections: encrypt ? await sealSections(formData.sections) : formData.sections,
+        encrypted: encrypt,
+        updatedAt: new Date().toISOString()
+      };
+      draftStore.save(userId, draftData);
+      setDraftStatus('Saving draft...');
+      const saved = await api.saveDraft(draftData).catch(() => null);
+      const time = formatDate(new Date(), { hour: '2-digit', minute: '2-digit' }, timezone);
+      setDraftStatus(saved?._id ? `Draft saved at ${time}` : `Draft saved on this device at ${time}`);
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [formData, entryText, encrypt, vaultUnlocked, sealFields, sealSections, userId, journalId, timezone]);
+
+  const discardDraft = async () => {
+    if (formData !== untouched.current && !confirm('Discard your unsaved changes?')) return;
+    draftStore.clear(user?._id, journal?._id);
+    const remote = await api.getDrafts().catch(() => []);
+    const match = Array.isArray(remote) && remote.find(d => (d.journal || null) === (journal?._id || null));
+    if (match) await api.deleteDraft(match._id);
+    onCancel();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     const data = {
       title: formData.title,
-      content: formData.content,
-      tags: formData.tags.split(',').map(t => t.trim()).filter(Boolean)
+      content: entryText,
+      tags: formData.tags,
+      mood: formData.mood,
+      moodIntensity: formData.moodIntensity,
+      emotions: formData.emotions,
+      metrics: formData.metrics,
+      template: templated ? formData.template : '',
+      sections: templated ? answers.filter(answer => answer.value.trim()) : []
     };
+    if (encrypt && !vaultUnlocked) return;
+
+    const payload = encrypt
+      ? { ...data, ...(await sealFields({ title: data.title, content: data.content })), sections: await sealSections(data.sections), encrypted: true }
+      : { ...data, encrypted: false };
 
     const result = journal
-      ? await updateJournal(journal._id, data)
-      : await createJournal(data);
+      ? await updateJournal(journal._id, payload)
+      : await createJournal(payload);
 
     if (result.success) {
+      // The server drops its copy of the draft on save
+      draftStore.clear(user?._id, journal?._id);
+      if (recording) {
+        const file = new File([recording], recordingFileName(recording), { type: recording.type });
+        await api.uploadAttachments(result.journal._id, [file]).catch(() => console.error('Failed to attach recording'));
+      }
+      if (encrypt && allowAi) {
+        await analyzeEncrypted(result.journal._id, data.content);
+      }
+      if (challenge && !journal) {
+        await submitChallenge(challenge, result.journal._id);
+      }
       onSuccess();
     }
   };
@@ -658,8 +4067,36 @@ const JournalForm = ({ journal, onCancel, onSuccess }) => {
         <h2 className="text-2xl font-bold mb-6">
           {journal ? 'Edit Journal Entry' : 'New Journal Entry'}
         </h2>
+        {challenge && (
+          <p className="mb-6 -mt-4 text-sm text-purple-600 dark:text-purple-400 flex items-center gap-2">
+            <Target className="w-4 h-4" />
+            Writing for the “{challenge.title}” challenge ({challenge.points} points)
+          </p>
+        )}
+        
+        {encrypt && !vaultUnlocked && (
+          <div className="mb-6">
+            <UnlockVault message="Unlock encryption to save this entry." />
+          </div>
+        )}
         
         <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium mb-2">Template</label>
+            <select
+              className="input-field"
+              value={activeTemplate ? formData.template : templated ? 'saved' : ''}
+              onChange={(e) => chooseTemplate(e.target.value)}
+            >
+              <option value="">Blank page</option>
+              {templated && !activeTemplate && <option value="saved" disabled>Saved sections</option>}
+              {templates.map(template => (
+                <option key={template._id} value={template._id}>{template.name}</option>
+              ))}
+            </select>
+            {activeTemplate?.description && <p className="text-xs text-gray-500 mt-1">{activeTemplate.description}</p>}
+          </div>
+
           <div>
             <label className="block text-sm font-medium mb-2">Title</label>
             <input
@@ -673,31 +4110,204 @@ const JournalForm = ({ journal, onCancel, onSuccess }) => {
           </div>
 
           <div>
-            <label className="block text-sm font-medium mb-2">Content</label>
-            <textarea
-              className="input-field min-h-64 resize-y"
-              value={formData.content}
-              onChange={(e) => setFormData({...formData, content: e.target.value})}
-              placeholder="Write your thoughts here... The AI will analyze your mood and create a summary."
-              required
-            />
+            <div className="flex flex-wrap items-end justify-between gap-2 mb-2">
+              <label className="block text-sm font-medium">Content</label>
+              <div className="flex flex-wrap items-center gap-3">
+                <button
+                  type="button"
+                  onClick={promptMe}
+                  disabled={prompting || (encrypt && !allowAi)}
+                  title={encrypt && !allowAi ? 'Allow AI for this encrypted entry to get a prompt' : 'Ask for a follow-up question about what you\'ve written'}
+                  className="flex items-center gap-1 text-sm text-purple-600 dark:text-purple-400 hover:underline disabled:opacity-50 disabled:no-underline"
+                >
+                  <Lightbulb className="w-4 h-4" />
+                  {prompting ? 'Thinking...' : 'Prompt me'}
+                </button>
+                <VoiceRecorder
+                  recording={recording}
+                  onRecorded={setRecording}
+                  onRemove={() => setRecording(null)}
+                  onTranscript={appendToEntry}
+                />
+              </div>
+            </div>
+            {recording && encrypt && (
+              <p className="text-xs text-gray-500 mb-2">Recordings are transcribed on the server and attached without end-to-end encryption.</p>
+            )}
+            {templated ? (
+              <div className="space-y-4">
+                {templateFields.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">{field.label}</label>
+                    <textarea
+                      className="input-field min-h-[80px]"
+                      value={answerFor(field.key)}
+                      onChange={(e) => setAnswer(field, e.target.value)}
+                      onFocus={() => setActiveField(field)}
+                      placeholder={field.prompt || ''}
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <MarkdownEditor
+                value={formData.content}
+                onChange={(content) => setFormData(prev => ({ ...prev, content }))}
+                placeholder="Write your thoughts here... Markdown works: # headings, - lists, - [ ] checkboxes, > quotes. The AI will analyze your mood and create a summary."
+              />
+            )}
+            {followUp && (
+              <div className="mt-3 bg-purple-50 dark:bg-purple-900/20 p-3 rounded-lg flex items-start justify-between gap-3 text-sm">
+                {followUp.error ? (
+                  <p className="text-red-600 dark:text-red-400">{followUp.error}</p>
+                ) : (
+                  <p className="flex items-start gap-2 text-gray-700 dark:text-gray-300">
+                    <Lightbulb className="w-4 h-4 text-purple-600 dark:text-purple-400 mt-0.5 flex-shrink-0" />
+                    {followUp.question}
+                  </p>
+                )}
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  {followUp.question && (
+                    <button type="button" onClick={() => { appendToEntry(`**${followUp.question}**`); setFollowUp(null); }} className="text-purple-600 dark:text-purple-400 hover:underline">
+                      Add to entry
+                    </button>
+                  )}
+                  <button type="button" onClick={() => setFollowUp(null)} aria-label="Dismiss">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
 
           <div>
-            <label className="block text-sm font-medium mb-2">Tags (comma separated)</label>
-            <input
-              type="text"
-              className="input-field"
-              value={formData.tags}
-              onChange={(e) => setFormData({...formData, tags: e.target.value})}
-              placeholder="work, personal, thoughts..."
+            <label className="block text-sm font-medium mb-2">How are you feeling?</label>
+            <div className="flex gap-2 flex-wrap">
+              {['', ...MOODS].map(mood => (
+                <button
+                  key={mood || 'ai'}
+                  type="button"
+                  onClick={() => setFormData({...formData, mood})}
+                  className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                    formData.mood === mood
+                      ? 'bg-purple-600 text-white'
+                      : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {mood ? mood.charAt(0).toUpperCase() + mood.slice(1) : 'Let AI decide'}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+              <span className="text-gray-600 dark:text-gray-400">How strongly?</span>
+              {[1, 2, 3, 4, 5].map(level => (
+                <button
+                  key={level}
+                  type="button"
+                  title={INTENSITY_LABELS[level]}
+                  onClick={() => setFormData({...formData, moodIntensity: formData.moodIntensity === level ? null : level})}
+                  className={`w-8 h-8 rounded-full transition-colors ${
+                    formData.moodIntensity >= level
+                      ? 'bg-purple-600 text-white'
+                      : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {level}
+                </button>
+              ))}
+              {formData.moodIntensity && <span className="text-gray-500">{INTENSITY_LABELS[formData.moodIntensity]}</span>}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Anything else you felt?</label>
+            <div className="flex gap-2 flex-wrap items-center">
+              {[...new Set([...EMOTIONS, ...formData.emotions])].map(emotion => (
+                <button
+                  key={emotion}
+                  type="button"
+                  onClick={() => toggleEmotion(emotion)}
+                  className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                    formData.emotions.includes(emotion)
+                      ? 'bg-teal-600 text-white'
+                      : 'bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {emotion}
+                </button>
+              ))}
+              <input
+                type="text"
+                className="bg-transparent border-b border-gray-300 dark:border-gray-600 outline-none text-sm w-28"
+                placeholder="Other..."
+                value={otherEmotion}
+                onChange={(e) => setOtherEmotion(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addOtherEmotion();
+                  }
+                }}
+                onBlur={addOtherEmotion}
+              />
+            </div>
+          </div>
+
+          {metrics.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Track (optional)</label>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                {metrics.map(metric => (
+                  <label key={metric.key} className="text-sm">
+                    <span className="block text-gray-600 dark:text-gray-400 mb-1">
+                      {metric.label}{metric.unit && ` (${metric.unit})`}
+                    </span>
+                    <input
+                      type="number"
+                      className="input-field"
+                      min={metric.min}
+                      max={metric.max}
+                      step="any"
+                      placeholder={`${metric.min}–${metric.max}`}
+                      value={formData.metrics[metric.key] ?? ''}
+                      onChange={(e) => setFormData({...formData, metrics: {...formData.metrics, [metric.key]: e.target.value}})}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Tags</label>
+            <TagInput
+              tags={formData.tags}
+              suggestions={journal?.aiTags}
+              onChange={(tags) => setFormData({...formData, tags})}
             />
           </div>
 
+          {(encryptionEnabled || journal?.encrypted) && (
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} />
+                <Lock className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+                Encrypt this entry end-to-end
+              </label>
+              {encrypt && (
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                  <input type="checkbox" checked={allowAi} onChange={(e) => setAllowAi(e.target.checked)} />
+                  <Sparkles className="w-4 h-4" />
+                  Send the text to the AI once for a summary and mood (nothing readable is stored)
+                </label>
+              )}
+            </div>
+          )}
+
           <div className="flex gap-3">
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || (encrypt && !vaultUnlocked) || !entryText.trim()}
               className="btn-primary flex items-center gap-2"
             >
               <Save className="w-4 h-4" />
@@ -705,12 +4315,13 @@ const JournalForm = ({ journal, onCancel, onSuccess }) => {
             </button>
             <button
               type="button"
-              onClick={onCancel}
+              onClick={discardDraft}
               className="btn-secondary flex items-center gap-2"
             >
               <X className="w-4 h-4" />
               Cancel
             </button>
+            {draftStatus && <span className="self-center text-sm text-gray-500">{draftStatus}</span>}
           </div>
         </form>
       </div>
@@ -718,12 +4329,380 @@ const JournalForm = ({ journal, onCancel, onSuccess }) => {
   );
 };
 
+// Revision History Component: past versions of an entry, diffed against the current one
+const DIFF_STYLES = {
+  same: 'text-gray-600 dark:text-gray-400',
+  added: 'bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+  removed: 'bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-300 line-through'
+};
+const DIFF_MARKS = { same: ' ', added: '+', removed: '-' };
+
+const RevisionHistory = ({ journal, onRestored }) => {
+  const { timezone, restoreRevision, unsealText } = useApp();
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [detail, setDetail] = useState(null);
+  // Encrypted revisions can't be diffed server-side; show the decrypted text instead
+  const [sealedContent, setSealedContent] = useState(null);
+
+  useEffect(() => {
+    api.getRevisions(journal._id)
+      .then(data => setRevisions(Array.isArray(data) ? data : []))
+      .catch(() => console.error('Failed to load revisions'));
+  }, [journal._id, journal.updatedAt]);
+
+  const selectRevision = async (revision) => {
+    setSelected(revision);
+    setDetail(null);
+    setSealedContent(null);
+    const data = await api.getRevision(journal._id, revision._id);
+    if (!data.revision) return;
+    setDetail(data);
+    if (data.revision.encrypted) {
+      unsealText(data.revision.content).then(setSealedContent).catch(() => setSealedContent(null));
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!confirm('Restore this version? The current version is kept in the history.')) return;
+    const data = await restoreRevision(journal._id, selected._id);
+    if (data?._id) {
+      onRestored(data);
+      setSelected(null);
+      setDetail(null);
+    }
+  };
+
+  const versionDate = (revision) => formatDate(revision.editedAt || revision.createdAt, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' }, timezone);
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+      <h3 className="font-semibold mb-3 flex items-center gap-2">
+        <History className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+        Revision history
+      </h3>
+
+      {revisions.length === 0 && <p className="text-sm text-gray-500">No earlier versions yet. Each edit saves the version it replaces.</p>}
+
+      <div className="flex flex-col md:flex-row gap-4">
+        {revisions.length > 0 && (
+          <ul className="md:w-64 space-y-1 flex-shrink-0">
+            {revisions.map(revision => (
+              <li key={revision._id}>
+                <button
+                  onClick={() => selectRevision(revision)}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                    selected?._id === revision._id ? 'bg-purple-100 dark:bg-purple-900/30' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  <span className="block font-medium truncate"><SealedText value={revision.title} encrypted={revision.encrypted} /></span>
+                  <span className="block text-xs text-gray-500">{versionDate(revision)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {detail && (
+          <div className="flex-1 min-w-0 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="text-sm text-gray-500">
+                Changes from this version to the current one
+                {detail.changes.titleChanged && ' · title'}
+                {detail.changes.tagsChanged && ' · tags'}
+                {detail.changes.moodChanged && ' · mood'}
+              </p>
+              <button onClick={handleRestore} className="btn-secondary text-sm flex items-center gap-2">
+                <RotateCcw className="w-4 h-4" />
+                Restore this version
+              </button>
+            </div>
+
+            {detail.changes.content ? (
+              <pre className="text-sm whitespace-pre-wrap font-sans rounded-lg bg-gray-50 dark:bg-gray-800 p-3 max-h-96 overflow-auto">
+                {detail.changes.content.map((line, index) => (
+                  <div key={index} className={DIFF_STYLES[line.type]}>
+                    {DIFF_MARKS[line.type]} {line.text}
+                  </div>
+                ))}
+              </pre>
+            ) : (
+              <pre className="text-sm whitespace-pre-wrap font-sans rounded-lg bg-gray-50 dark:bg-gray-800 p-3 max-h-96 overflow-auto">
+                {sealedContent ?? 'Unlock encryption to read this version.'}
+              </pre>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Attachment Gallery Component: image thumbnails with a lightbox, audio players and uploads
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Object URL for an attachment, released when the component goes away
+const useAttachmentUrl = (id, thumbnail) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    api.fetchAttachmentBlob(id, thumbnail)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => setUrl(null));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id, thumbnail]);
+
+  return url;
+};
+
+const AttachmentThumbnail = ({ attachment, onOpen }) => {
+  const url = useAttachmentUrl(attachment._id, true);
+  return (
+    <button onClick={onOpen} title={attachment.filename} className="block w-full aspect-square rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-700">
+      {url && <img src={url} alt={attachment.filename} className="w-full h-full object-cover" />}
+    </button>
+  );
+};
+
+const AttachmentAudio = ({ attachment }) => {
+  const url = useAttachmentUrl(attachment._id, false);
+  return url ? <audio controls src={url} className="w-full" /> : <p className="text-sm text-gray-500">Loading audio...</p>;
+};
+
+const AttachmentLightbox = ({ attachment, onClose }) => {
+  const url = useAttachmentUrl(attachment._id, false);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  return (
+    <div onClick={onClose} className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <button onClick={onClose} className="absolute top-4 right-4 p-2 text-white hover:bg-white/10 rounded-lg">
+        <X className="w-6 h-6" />
+      </button>
+      {url ? (
+        <img src={url} alt={attachment.filename} onClick={e => e.stopPropagation()} className="max-w-full max-h-full rounded-lg" />
+      ) : (
+        <p className="text-white">Loading...</p>
+      )}
+    </div>
+  );
+};
+
+const AttachmentGallery = ({ journal }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [open, setOpen] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadUsage = () => api.getAttachmentUsage().then(setUsage).catch(() => setUsage(null));
+
+  useEffect(() => {
+    api.getAttachments(journal._id)
+      .then(data => setAttachments(Array.isArray(data) ? data : []))
+      .catch(() => console.error('Failed to load attachments'));
+    loadUsage();
+  }, [journal._id]);
+
+  const handleUpload = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length === 0) return;
+    setUploading(true);
+    setError('');
+    try {
+      const added = await api.uploadAttachments(journal._id, files);
+      setAttachments(prev => [...prev, ...added]);
+      loadUsage();
+    } catch (err) {
+      setError(err.message);
+    }
+    setUploading(false);
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!confirm(`Delete ${attachment.filename || 'this attachment'}?`)) return;
+    await api.deleteAttachment(attachment._id);
+    setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+    loadUsage();
+  };
+
+  const images = attachments.filter(a => a.kind === 'image');
+  const clips = attachments.filter(a => a.kind === 'audio');
+
+  return (
+    <div className="mb-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Paperclip className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+          Attachments
+        </h3>
+        <div className="flex items-center gap-3">
+          {usage && (
+            <span className="text-xs text-gray-500">
+              {formatBytes(usage.used)} of {formatBytes(usage.quota)} used
+            </span>
+          )}
+          <label className={`btn-secondary text-sm cursor-pointer ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+            {uploading ? 'Uploading...' : 'Add photos or audio'}
+            <input type="file" accept="image/*,audio/*" multiple onChange={handleUpload} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {journal.encrypted && attachments.length > 0 && (
+        <p className="text-xs text-gray-500 mb-3">Attachments are not end-to-end encrypted.</p>
+      )}
+      {error && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{error}</p>}
+
+      {images.length > 0 && (
+        <div className="grid grid-cols-3 md:grid-cols-4 gap-3 mb-3">
+          {images.map(attachment => (
+            <div key={attachment._id} className="relative group">
+              <AttachmentThumbnail attachment={attachment} onOpen={() => setOpen(attachment)} />
+              <button onClick={() => handleDelete(attachment)} title="Delete" className="absolute top-1 right-1 p-1 rounded bg-black/50 text-white opacity-0 group-hover:opacity-100 transition-opacity">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {clips.map(attachment => (
+        <div key={attachment._id} className="flex items-center gap-3 mb-2">
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-gray-600 dark:text-gray-400 truncate">{attachment.filename}</p>
+            <AttachmentAudio attachment={attachment} />
+          </div>
+          <button onClick={() => handleDelete(attachment)} title="Delete" className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      {open && <AttachmentLightbox attachment={open} onClose={() => setOpen(null)} />}
+    </div>
+  );
+};
+
+// Related Entries Component: other entries sharing tags or close in content
+const RelatedEntries = ({ journal, onSelect }) => {
+  const { timezone } = useApp();
+  const [related, setRelated] = useState([]);
+  const tagKey = (journal.tags || []).join(',');
+
+  useEffect(() => {
+    api.getRelated(journal._id)
+      .then(data => setRelated(Array.isArray(data) ? data : []))
+      .catch(() => setRelated([]));
+  }, [journal._id, tagKey]);
+
+  if (related.length === 0) return null;
+
+  return (
+    <div className="card mt-6">
+      <h3 className="font-semibold mb-3 flex items-center gap-2">
+        <Link2 className="w-5 h-5 text-purple-600 dark:text-purple-400" />
+        Related entries
+      </h3>
+      <div className="divide-y divide-gray-200 dark:divide-gray-700">
+        {related.map(entry => (
+          <button
+            key={entry._id}
+            onClick={() => onSelect(entry)}
+            className="w-full text-left py-3 hover:text-purple-600 dark:hover:text-purple-400"
+          >
+            <div className="flex items-center justify-between gap-3">
+              <span className="font-medium"><SealedText value={entry.title} encrypted={entry.encrypted} /></span>
+              <span className="text-sm text-gray-500 flex-shrink-0">
+                {formatDate(entry.createdAt, { month: 'short', day: 'numeric', year: 'numeric' }, timezone)}
+              </span>
+            </div>
+            {entry.sharedTags?.length > 0 && (
+              <p className="text-sm text-gray-500 mt-1">{entry.sharedTags.map(t => `#${t}`).join(' ')}</p>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 // Journal View Component
-const JournalView = ({ journal, onBack, onEdit }) => {
-  const { deleteJournal } = useApp();
+const JournalView = ({ journal: selected, onBack, onEdit, onOpen }) => {
+  const { timezone, deleteJournal, refreshAnalysis, retryAnalysis, resolveAiMood, resolveAiTags, openSealed, analyzeEncrypted } = useApp();
+  // Local copy so background analysis results show up without reopening
+  const [journal, setJournal] = useState(selected);
+  // Decrypted copy for display; null while an encrypted entry is locked
+  const [plain, setPlain] = useState(selected.encrypted ? null : selected);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [metricLabels, setMetricLabels] = useState({});
+  const shown = plain || { ...journal, title: 'Encrypted entry', content: '', aiSummary: '', sections: [] };
+  const analysisPending = journal.analysisStatus === 'pending';
+  const showMoodSuggestion = journal.moodSource === 'user' && !analysisPending &&
+    MOODS.includes(journal.aiMood) && journal.aiMood !== journal.mood && !journal.aiMoodDismissed;
+  const suggestedTags = analysisPending ? [] : (journal.aiTags || []).filter(t => !journal.tags?.includes(t));
+
+  useEffect(() => {
+    if (!analysisPending) return;
+    const interval = setInterval(async () => {
+      const data = await refreshAnalysis(journal._id);
+      if (data?.analysisStatus) setJournal(j => ({ ...j, ...data }));
+    }, 3000);
+    return () => clearInterval(interval);
+  }, [analysisPending, journal._id, refreshAnalysis]);
+
+  useEffect(() => {
+    openSealed(journal).then(setPlain).catch(() => setPlain(null));
+  }, [journal, openSealed]);
+
+  useEffect(() => {
+    if (!journal.metrics || Object.keys(journal.metrics).length === 0) return;
+    api.getMetrics()
+      .then(data => setMetricLabels(Array.isArray(data) ? Object.fromEntries(data.map(m => [m.key, m])) : {}))
+      .catch(() => setMetricLabels({}));
+  }, [journal.metrics]);
+
+  const handleAnalyzeEncrypted = async () => {
+    setAnalyzing(true);
+    const data = await analyzeEncrypted(journal._id, plain.content);
+    setAnalyzing(false);
+    if (data?._id) setJournal(data);
+  };
+
+  const handleAiMood = async (accept) => {
+    const data = await resolveAiMood(journal._id, accept);
+    if (data?._id) setJournal(data);
+  };
+
+  // Omitting tags accepts or dismisses every suggestion
+  const handleAiTags = async (accept, tags) => {
+    const data = await resolveAiTags(journal._id, accept, tags || suggestedTags);
+    if (!data?._id) return;
+    // Suggestions for encrypted entries only live here, so keep the rest of them
+    const remaining = tags ? suggestedTags.filter(t => !tags.includes(t)) : [];
+    setJournal(journal.encrypted ? { ...data, aiTags: remaining } : data);
+  };
 
   const handleDelete = async () => {
-    if (confirm('Are you sure you want to delete this journal entry?')) {
+    if (confirm('Move this journal entry to the trash? You can restore it for 30 days.')) {
       const result = await deleteJournal(journal._id);
       if (result.success) {
         onBack();
@@ -734,22 +4713,40 @@ const JournalView = ({ journal, onBack, onEdit }) => {
   return (
     <div className="max-w-4xl mx-auto">
       <button onClick={onBack} className="mb-4 text-purple-600 dark:text-purple-400 hover:underline">
-        ← Back to journals
+        ← Back
       </button>
 
       <div className="card">
         <div className="flex items-start justify-between mb-6">
           <div className="flex-1">
-            <h1 className="text-3xl font-bold mb-3">{journal.title}</h1>
+            <h1 className="text-3xl font-bold mb-3">{shown.title}</h1>
             <div className="flex items-center gap-3 text-sm text-gray-600 dark:text-gray-400">
-              <span>{new Date(journal.createdAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+              {journal.encrypted && <span title="End-to-end encrypted"><Lock className="w-4 h-4" /></span>}
+              <span>{formatDate(journal.createdAt, { month: 'long', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' }, timezone)}</span>
               <span className="px-3 py-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 rounded-full">
-                {journal.mood}
+                {journal.mood}{journal.moodIntensity && ` · ${INTENSITY_LABELS[journal.moodIntensity].toLowerCase()}`}
               </span>
+              {journal.emotions?.map(emotion => (
+                <span key={emotion} className="px-3 py-1 bg-teal-50 dark:bg-teal-900/30 text-teal-700 dark:text-teal-300 rounded-full">
+                  {emotion}
+                </span>
+              ))}
             </div>
+            {journal.metrics && Object.keys(journal.metrics).length > 0 && (
+              <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 flex items-center gap-2">
+                <Activity className="w-4 h-4" />
+                {Object.entries(journal.metrics).map(([key, value]) => {
+                  const metric = metricLabels[key];
+                  return metric ? `${metric.label} ${value}${metric.unit ? ` ${metric.unit}` : `/${metric.max}`}` : `${key} ${value}`;
+                }).join(' · ')}
+              </p>
+            )}
           </div>
           <div className="flex gap-2">
-            <button onClick={onEdit} className="p-2 hover:bg-blue-50 dark:hover:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-lg transition-colors">
+            <button onClick={() => setShowHistory(!showHistory)} title="Revision history" className={`p-2 rounded-lg transition-colors ${showHistory ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400'}`}>
+              <History className="w-5 h-5" />
+            </button>
+            <button onClick={() => onEdit(plain)} disabled={!plain} className="p-2 hover:bg-blue-50 dark:hover:bg-blue-900/30 text-blue-600 dark:text-blue-400 rounded-lg transition-colors">
               <Edit className="w-5 h-5" />
             </button>
             <button onClick={handleDelete} className="p-2 hover:bg-red-50 dark:hover:bg-red-900/30 text-red-600 dark:text-red-400 rounded-lg transition-colors">
@@ -758,21 +4755,90 @@ const JournalView = ({ journal, onBack, onEdit }) => {
           </div>
         </div>
 
-        {journal.aiSummary && (
+        {!plain && (
+          <div className="mb-6">
+            <UnlockVault message="This entry is encrypted. Enter your passphrase to read it." />
+          </div>
+        )}
+
+        {showHistory && <RevisionHistory journal={journal} onRestored={setJournal} />}
+
+        {plain && journal.encrypted && journal.analysisStatus === 'skipped' && (
+          <div className="bg-purple-50 dark:bg-purple-900/20 p-4 rounded-lg mb-6 flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-gray-700 dark:text-gray-300 flex items-center gap-2">
+              <Sparkles className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+              AI analysis is off for this encrypted entry.
+            </p>
+            <button onClick={handleAnalyzeEncrypted} disabled={analyzing} className="btn-secondary text-sm">
+              {analyzing ? 'Analyzing...' : 'Analyze once'}
+            </button>
+          </div>
+        )}
+
+        {analysisPending && (
+          <div className="bg-gradient-to-r from-purple-50 to-pink-50 dark:from-purple-900/20 dark:to-pink-900/20 p-6 rounded-lg mb-6">
+            <p className="flex items-center gap-2 text-gray-600 dark:text-gray-400">
+              <Sparkles className="w-5 h-5 text-purple-600 dark:text-purple-400 animate-pulse" />
+              AI is analyzing this entry...
+            </p>
+          </div>
+        )}
+
+        {journal.analysisStatus === 'failed' && (
+          <div className="bg-red-50 dark:bg-red-900/30 p-4 rounded-lg mb-6 flex items-center justify-between">
+            <p className="text-sm text-red-600 dark:text-red-400">AI analysis failed for this entry.</p>
+            <button onClick={async () => {
+              const data = await retryAnalysis(journal._id);
+              if (data?.analysisStatus) setJournal(j => ({ ...j, analysisStatus: data.analysisStatus }));
+            }} className="text-sm text-purple-600 dark:text-purple-400 hover:underline">
+              Try again
+            </button>
+          </div>
+        )}
+
+        {showMoodSuggestion && (
+          <div className="bg-purple-50 dark:bg-purple-900/20 p-4 rounded-lg mb-6 flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-gray-700 dark:text-gray-300 flex items-center gap-2">
+              <Sparkles className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+              You picked <strong>{journal.mood}</strong>, but the AI thinks this entry sounds <strong>{journal.aiMood}</strong>.
+            </p>
+            <div className="flex gap-2">
+              <button onClick={() => handleAiMood(true)} className="btn-primary text-sm">
+                Use {journal.aiMood}
+              </button>
+              <button onClick={() => handleAiMood(false)} className="btn-secondary text-sm">
+                Keep mine
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!analysisPending && shown.aiSummary && (
           <div className="bg-gradient-to-r from-purple-50 to-pink-50 dark:from-purple-900/20 dark:to-pink-900/20 p-6 rounded-lg mb-6">
             <h3 className="font-semibold mb-2 flex items-center gap-2">
               <Sparkles className="w-5 h-5 text-purple-600 dark:text-purple-400" />
               AI Summary
             </h3>
-            <p className="text-gray-700 dark:text-gray-300">{journal.aiSummary}</p>
+            <p className="text-gray-700 dark:text-gray-300">{shown.aiSummary}</p>
           </div>
         )}
 
-        <div className="prose dark:prose-invert max-w-none mb-6">
-          <p className="whitespace-pre-wrap text-gray-700 dark:text-gray-300 leading-relaxed">
-            {journal.content}
-          </p>
-        </div>
+        {shown.sections?.length > 0 ? (
+          <div className="space-y-5 mb-6">
+            {shown.sections.map(section => (
+              <section key={section.key}>
+                <h3 className="text-sm font-semibold uppercase tracking-wide text-purple-600 dark:text-purple-400 mb-1">{section.label}</h3>
+                <Markdown text={section.value} />
+              </section>
+            ))}
+          </div>
+        ) : (
+          <div className="max-w-none mb-6">
+            <Markdown text={shown.content} />
+          </div>
+        )}
+
+        <AttachmentGallery journal={journal} />
 
         {journal.tags && journal.tags.length > 0 && (
           <div className="flex flex-wrap gap-2 pt-4 border-t border-gray-200 dark:border-gray-700">
@@ -783,7 +4849,32 @@ const JournalView = ({ journal, onBack, onEdit }) => {
             ))}
           </div>
         )}
+
+        {suggestedTags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-4 text-sm">
+            <span className="flex items-center gap-1 text-gray-600 dark:text-gray-400">
+              <Sparkles className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+              Suggested tags:
+            </span>
+            {suggestedTags.map(tag => (
+              <span key={tag} className="flex items-center gap-1 px-2 py-0.5 border border-dashed border-purple-400 text-purple-700 dark:text-purple-300 rounded-full">
+                <button onClick={() => handleAiTags(true, [tag])} title="Add this tag">+ #{tag}</button>
+                <button onClick={() => handleAiTags(false, [tag])} title="Not this one" aria-label={`Dismiss ${tag}`}>
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+            {suggestedTags.length > 1 && (
+              <>
+                <button onClick={() => handleAiTags(true)} className="text-purple-600 dark:text-purple-400 hover:underline">Add all</button>
+                <button onClick={() => handleAiTags(false)} className="text-gray-500 hover:underline">Dismiss</button>
+              </>
+            )}
+          </div>
+        )}
       </div>
+
+      <RelatedEntries journal={journal} onSelect={onOpen} />
     </div>
   );
 };